@@ -3,18 +3,28 @@
  * Orchestrates all functionality and manages UI state
  */
 
-import { debounce, createFocusTrap, parseTagsString } from './js/utils.js';
-import { renderApp, renderTagFilters, renderPromptCards, renderModal, showToast, showConfirmDialog, renderPlaceholderModal, renderSettingsModal, showRestoreModeDialog } from './js/render.js';
-import { processPrompts, createPrompt, updatePrompt, deletePrompt, copyPromptToClipboard, getAllTags, getPromptById, validatePromptData, detectPromptPlaceholders, getPromptVariablesWithAuto, insertAndCopyPrompt, duplicatePrompt } from './js/logic.js';
-import { exportToJSON, exportToMarkdown, handleImportFile, autoBackupMaybe, listLocalBackups, restoreLocalBackup, downloadLocalBackup } from './js/io.js';
-import { getPreferences, setPreferences } from './js/storage.js';
+import { debounce, createFocusTrap, parseTagsString, normalizeTagPath, isTagWithin, parseVariableLines, copyToClipboard } from './js/utils.js';
+import { renderApp, renderTagFilters, renderPromptCards, renderModal, showToast, showConfirmDialog, renderPlaceholderModal, renderSettingsModal, showRestoreModeDialog, renderRevisionDiff, renderTrashView, renderTrashCount, renderSearchError, renderCollectionsSidebar, showInputDialog, renderTagManagerModal, renderVariableProfiles, VARIABLE_SOURCE_LABELS, renderPreviewOutput, renderLintResults, renderBatchModal, renderBatchMapping, renderBatchPreview, renderCodeExportModal, renderCodeExportOutput } from './js/render.js';
+import { processPrompts, createPrompt, updatePrompt, deletePrompt, copyPromptToClipboard, getAllTags, getTagTree, getPromptById, validatePromptData, detectPromptPlaceholders, getPromptVariablesWithAuto, insertAndCopyPrompt, duplicatePrompt, restorePromptRevision, getRevisionDiff, getTrashedPrompts, restorePrompt, purgePrompt, emptyTrash, purgeExpiredTrash, SORT_ORDERS, countMatchingPrompts, getSavedCollections, createCollection, renameCollection, moveCollection, deleteCollection, mergeTags, renameTag, deleteTag, remapTag, getManagedTags, getTagColors, setTagColor, getPromptTemplateError, isTemplatePrompt, getPromptUsages, getVariableProfiles, getActiveProfileId, setActiveProfile, resolvePromptVariables, saveVariableSettings, getBatchColumnMapping, renderPromptBatch, renderPromptPreview, lintPrompt } from './js/logic.js';
+import { exportToJSON, exportToMarkdown, exportToCSV, exportToZip, handleImportFile, autoBackupMaybe, listLocalBackups, restoreLocalBackup, downloadLocalBackup, parseBatchData, exportBatchResults, getCodeExport, downloadCodeExport } from './js/io.js';
+import { getPreferences, setPreferences, initStorage, setStorageErrorHandler } from './js/storage.js';
+import { getQueryError } from './js/query.js';
+import { validatePlaceholderValue } from './js/template.js';
+import { isAutoValue } from './js/autovalues.js';
+import { EXPORT_TARGETS } from './js/formats.js';
 
 // Application state
 let currentState = {
     searchQuery: '',
     selectedTags: [],
+    excludedTags: [],
+    tagMode: 'all',
+    expandedTags: [],
+    sortOrder: 'relevance',
+    view: 'prompts',
     isModalOpen: false,
     currentEditId: null,
+    showEditorPreview: false,
     modalCleanup: null
 };
 
@@ -24,6 +34,10 @@ let currentState = {
 const handleResetApp = () => {
     currentState.searchQuery = '';
     currentState.selectedTags = [];
+    currentState.excludedTags = [];
+    currentState.tagMode = 'all';
+    currentState.sortOrder = 'relevance';
+    currentState.view = 'prompts';
     
     // Clear URL
     window.history.pushState({}, '', window.location.pathname);
@@ -55,10 +69,33 @@ const initializeFromURL = () => {
         }
     }
     
-    // Initialize tags from hash
+    // Initialize tags from hash: "#tags=a,b,-c&tagmode=any" (a "-" prefix excludes a tag)
     const tagsParam = hashParams.get('tags');
     if (tagsParam) {
-        currentState.selectedTags = tagsParam.split(',').filter(tag => tag.trim());
+        const tags = tagsParam.split(',').map(tag => tag.trim()).filter(tag => tag && tag !== '-');
+        currentState.selectedTags = tags.filter(tag => !tag.startsWith('-'));
+        currentState.excludedTags = tags.filter(tag => tag.startsWith('-')).map(tag => tag.slice(1));
+    }
+    
+    if (hashParams.get('tagmode') === 'any') {
+        currentState.tagMode = 'any';
+    }
+    
+    // Initialize sort order from URL
+    const sortParam = urlParams.get('sort');
+    if (sortParam && SORT_ORDERS[sortParam]) {
+        currentState.sortOrder = sortParam;
+    }
+    syncSortSelect();
+};
+
+/**
+ * Reflect current sort order in the sort dropdown
+ */
+const syncSortSelect = () => {
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.value = currentState.sortOrder;
     }
 };
 
@@ -75,13 +112,27 @@ const updateURL = () => {
         url.searchParams.delete('q');
     }
     
-    // Update tags hash
-    if (currentState.selectedTags.length > 0) {
-        url.hash = `tags=${currentState.selectedTags.join(',')}`;
+    // Update sort order
+    if (currentState.sortOrder !== 'relevance') {
+        url.searchParams.set('sort', currentState.sortOrder);
     } else {
-        url.hash = '';
+        url.searchParams.delete('sort');
     }
     
+    // Update tags hash
+    const hashTags = [
+        ...currentState.selectedTags,
+        ...currentState.excludedTags.map(tag => `-${tag}`)
+    ];
+    const hashParts = [];
+    if (hashTags.length > 0) {
+        hashParts.push(`tags=${hashTags.map(encodeURIComponent).join(',')}`);
+    }
+    if (currentState.tagMode === 'any') {
+        hashParts.push('tagmode=any');
+    }
+    url.hash = hashParts.join('&');
+    
     window.history.replaceState({}, '', url);
 };
 
@@ -89,14 +140,165 @@ const updateURL = () => {
  * Render current state
  */
 const renderCurrentState = () => {
-    const filteredPrompts = processPrompts(currentState.searchQuery, currentState.selectedTags);
-    const allTags = getAllTags();
+    renderCollections();
+    
+    const trashedPrompts = getTrashedPrompts();
+    renderTrashCount(trashedPrompts.length);
+    document.getElementById('trash-btn')?.setAttribute('aria-pressed', String(currentState.view === 'trash'));
     
-    renderTagFilters(allTags, currentState.selectedTags);
-    renderPromptCards(filteredPrompts);
+    if (currentState.view === 'trash') {
+        renderTagFilters([], []);
+        renderTrashView(trashedPrompts, getPreferences().trashRetentionDays);
+        return;
+    }
+    
+    const filteredPrompts = processPrompts(currentState.searchQuery, currentState.selectedTags, currentState.sortOrder, getTagOptions());
+    
+    renderSearchError(getQueryError(currentState.searchQuery));
+    renderTagFilters(getTagTree(), currentState.selectedTags, {
+        ...getTagOptions(),
+        expandedTags: currentState.expandedTags
+    });
+    renderPromptCards(filteredPrompts, getTagColors());
     updateURL();
 };
 
+/**
+ * Current tag exclusion and match mode, as passed to tag filtering
+ */
+const getTagOptions = () => ({
+    excludedTags: currentState.excludedTags,
+    mode: currentState.tagMode,
+    tagColors: getTagColors()
+});
+
+/**
+ * Render saved searches sidebar with live counts
+ */
+const renderCollections = () => {
+    const collections = getSavedCollections().map(collection => ({
+        ...collection,
+        count: countMatchingPrompts(collection.query, collection.tags, {
+            excludedTags: collection.excludedTags,
+            mode: collection.tagMode
+        })
+    }));
+    const sameTags = (a = [], b = []) => [...a].sort().join(',') === [...b].sort().join(',');
+    
+    const activeCollection = collections.find(collection =>
+        collection.query === currentState.searchQuery &&
+        collection.sortOrder === currentState.sortOrder &&
+        collection.tagMode === currentState.tagMode &&
+        sameTags(collection.tags, currentState.selectedTags) &&
+        sameTags(collection.excludedTags, currentState.excludedTags)
+    );
+    const canSave = currentState.view === 'prompts' &&
+        (currentState.searchQuery.trim().length > 0 ||
+            currentState.selectedTags.length > 0 ||
+            currentState.excludedTags.length > 0);
+    
+    renderCollectionsSidebar(collections, activeCollection?.id, canSave);
+};
+
+/**
+ * Apply a saved search
+ */
+const handleOpenCollection = (collectionId) => {
+    const collection = getSavedCollections().find(item => item.id === collectionId);
+    if (!collection) return;
+    
+    currentState.view = 'prompts';
+    currentState.searchQuery = collection.query;
+    currentState.selectedTags = [...collection.tags];
+    currentState.excludedTags = [...(collection.excludedTags || [])];
+    currentState.tagMode = collection.tagMode || 'all';
+    currentState.sortOrder = collection.sortOrder;
+    
+    const searchInput = document.getElementById('search-input');
+    if (searchInput) {
+        searchInput.value = collection.query;
+    }
+    syncSortSelect();
+    renderCurrentState();
+};
+
+/**
+ * Save current search as a smart collection
+ */
+const handleSaveCollection = async () => {
+    const name = await showInputDialog('Save Search', 'Name', currentState.searchQuery || currentState.selectedTags.join(', '));
+    if (!name) return;
+    
+    try {
+        createCollection({
+            name,
+            query: currentState.searchQuery,
+            tags: currentState.selectedTags,
+            excludedTags: currentState.excludedTags,
+            tagMode: currentState.tagMode,
+            sortOrder: currentState.sortOrder
+        });
+        showToast('Search saved', 'success');
+        renderCurrentState();
+    } catch (error) {
+        console.error('Save search failed:', error);
+        showToast(error.message || 'Failed to save search', 'error');
+    }
+};
+
+/**
+ * Rename a smart collection
+ */
+const handleRenameCollection = async (collectionId) => {
+    const collection = getSavedCollections().find(item => item.id === collectionId);
+    if (!collection) return;
+    
+    const name = await showInputDialog('Rename Saved Search', 'Name', collection.name, 'Rename');
+    if (!name) return;
+    
+    try {
+        renameCollection(collectionId, name);
+        renderCurrentState();
+    } catch (error) {
+        console.error('Rename failed:', error);
+        showToast(error.message || 'Failed to rename search', 'error');
+    }
+};
+
+/**
+ * Delete a smart collection
+ */
+const handleDeleteCollection = async (collectionId) => {
+    const collection = getSavedCollections().find(item => item.id === collectionId);
+    if (!collection) return;
+    
+    const confirmed = await showConfirmDialog(
+        'Delete Saved Search',
+        `Delete the saved search "${collection.name}"? Prompts are not affected.`,
+        'Delete',
+        'Cancel'
+    );
+    
+    if (confirmed) {
+        try {
+            deleteCollection(collectionId);
+            showToast('Saved search deleted', 'success');
+            renderCurrentState();
+        } catch (error) {
+            console.error('Delete failed:', error);
+            showToast('Failed to delete saved search', 'error');
+        }
+    }
+};
+
+/**
+ * Switch between the prompt list and the trash view
+ */
+const setView = (view) => {
+    currentState.view = view;
+    renderCurrentState();
+};
+
 /**
  * Handle search input
  */
@@ -106,23 +308,44 @@ const handleSearch = debounce((query) => {
 }, 150);
 
 /**
- * Handle tag filter toggle
+ * Handle tag filter toggle: off → include → exclude → off
  */
 const handleTagToggle = (tag) => {
-    const index = currentState.selectedTags.indexOf(tag);
-    if (index > -1) {
-        currentState.selectedTags.splice(index, 1);
+    if (currentState.selectedTags.includes(tag)) {
+        currentState.selectedTags = currentState.selectedTags.filter(item => item !== tag);
+        currentState.excludedTags = [...currentState.excludedTags, tag];
+    } else if (currentState.excludedTags.includes(tag)) {
+        currentState.excludedTags = currentState.excludedTags.filter(item => item !== tag);
     } else {
-        currentState.selectedTags.push(tag);
+        currentState.selectedTags = [...currentState.selectedTags, tag];
     }
     renderCurrentState();
 };
 
+/**
+ * Expand or collapse a branch of the tag tree
+ */
+const handleTagExpandToggle = (tag) => {
+    currentState.expandedTags = currentState.expandedTags.includes(tag)
+        ? currentState.expandedTags.filter(item => item !== tag)
+        : [...currentState.expandedTags, tag];
+    renderCurrentState();
+};
+
+/**
+ * Handle Any/All tag match mode switch
+ */
+const handleTagModeChange = (mode) => {
+    currentState.tagMode = mode === 'any' ? 'any' : 'all';
+    renderCurrentState();
+};
+
 /**
  * Clear all filters
  */
 const handleClearFilters = () => {
     currentState.selectedTags = [];
+    currentState.excludedTags = [];
     renderCurrentState();
 };
 
@@ -136,7 +359,7 @@ const showPromptModal = (promptId = null) => {
     currentState.currentEditId = promptId;
     
     const prompt = promptId ? getPromptById(promptId) : null;
-    renderModal(prompt);
+    renderModal(prompt, prompt ? getPromptUsages(prompt.id) : [], { showPreview: currentState.showEditorPreview });
     
     const modal = document.getElementById('modal-dialog');
     if (modal) {
@@ -190,6 +413,10 @@ const setupModalEventListeners = () => {
         };
     }
     
+    setupHistoryPanel();
+    setupContentPreview();
+    setupContentLint();
+    
     // ESC key
     const handleEsc = (e) => {
         if (e.key === 'Escape') {
@@ -200,6 +427,120 @@ const setupModalEventListeners = () => {
     document.addEventListener('keydown', handleEsc);
 };
 
+/**
+ * Setup the live rendered preview next to the content editor
+ */
+const setupContentPreview = () => {
+    const textarea = document.getElementById('prompt-content');
+    const toggle = document.getElementById('content-preview-toggle');
+    const pane = document.getElementById('content-preview-pane');
+    if (!textarea || !toggle || !pane) return;
+    
+    let preview = null;
+    const updatePreview = () => {
+        if (!currentState.showEditorPreview) return;
+        preview = renderPromptPreview(textarea.value, {
+            promptId: currentState.currentEditId,
+            noPlaceholders: document.getElementById('prompt-no-placeholders')?.checked
+        });
+        renderPreviewOutput('content-preview-output', preview);
+    };
+    
+    textarea.addEventListener('input', debounce(updatePreview, 150));
+    document.getElementById('prompt-no-placeholders')?.addEventListener('change', updatePreview);
+    
+    toggle.onclick = () => {
+        currentState.showEditorPreview = !currentState.showEditorPreview;
+        const isShown = currentState.showEditorPreview;
+        pane.classList.toggle('hidden', !isShown);
+        document.getElementById('content-split').classList.toggle('md:grid-cols-2', isShown);
+        document.getElementById('modal-dialog').classList.toggle('max-w-5xl', isShown);
+        document.getElementById('modal-dialog').classList.toggle('max-w-2xl', !isShown);
+        toggle.setAttribute('aria-pressed', String(isShown));
+        toggle.textContent = isShown ? 'Hide preview' : 'Show preview';
+        updatePreview();
+    };
+    
+    document.getElementById('content-preview-copy-btn').onclick = async () => {
+        updatePreview();
+        if (preview?.error) {
+            showToast(`Template error: ${preview.error}`, 'error', 6000);
+            return;
+        }
+        const success = await copyToClipboard(preview?.text || '');
+        showToast(success ? 'Rendered prompt copied!' : 'Failed to copy', success ? 'success' : 'error');
+    };
+    
+    updatePreview();
+};
+
+/**
+ * Setup template diagnostics below the content editor
+ */
+const setupContentLint = () => {
+    const textarea = document.getElementById('prompt-content');
+    const list = document.getElementById('content-lint');
+    if (!textarea || !list) return;
+    
+    const noPlaceholdersInput = document.getElementById('prompt-no-placeholders');
+    const updateLint = () => renderLintResults(lintPrompt(textarea.value, currentState.currentEditId, { noPlaceholders: noPlaceholdersInput?.checked }));
+    textarea.addEventListener('input', debounce(updateLint, 300));
+    noPlaceholdersInput?.addEventListener('change', updateLint);
+    
+    // Jump to the line of a diagnostic
+    list.onclick = (e) => {
+        const button = e.target.closest('.lint-line-btn');
+        if (!button) return;
+        
+        const lines = textarea.value.split('\n');
+        const lineIndex = Math.min(parseInt(button.dataset.line) - 1, lines.length - 1);
+        const start = lines.slice(0, lineIndex).reduce((sum, line) => sum + line.length + 1, 0);
+        textarea.focus();
+        textarea.setSelectionRange(start, start + lines[lineIndex].length);
+    };
+    
+    updateLint();
+};
+
+/**
+ * Setup version history panel in the edit modal
+ */
+const setupHistoryPanel = () => {
+    const panel = document.getElementById('history-panel');
+    const promptId = currentState.currentEditId;
+    if (!panel || !promptId) return;
+    
+    const fromSelect = document.getElementById('history-from');
+    const toSelect = document.getElementById('history-to');
+    
+    const updateDiff = () => {
+        renderRevisionDiff(getRevisionDiff(promptId, fromSelect.value, toSelect.value));
+    };
+    
+    if (fromSelect && toSelect) {
+        fromSelect.onchange = updateDiff;
+        toSelect.onchange = updateDiff;
+        updateDiff();
+    }
+    
+    panel.querySelectorAll('.history-restore-btn').forEach(button => {
+        button.onclick = () => {
+            try {
+                restorePromptRevision(promptId, button.dataset.revisionId);
+                showToast('Revision restored', 'success');
+                hideModal();
+                renderCurrentState();
+                
+                // Check for auto-backup
+                autoBackupMaybe();
+            } catch (error) {
+                console.error('Restore failed:', error);
+                showToast(error.message || 'Failed to restore revision', 'error');
+            }
+        };
+    });
+};
+
 /**
  * Handle form submission
  */
@@ -215,7 +556,8 @@ const handleFormSubmit = async (e) => {
     const data = {
         title: titleInput.value.trim(),
         tags: parseTagsString(tagsInput.value),
-        content: contentTextarea.value.trim()
+        content: contentTextarea.value.trim(),
+        noPlaceholders: document.getElementById('prompt-no-placeholders')?.checked === true
     };
     
     // Validate data
@@ -225,6 +567,17 @@ const handleFormSubmit = async (e) => {
         return;
     }
     
+    // Template errors block the save; warnings are shown but don't
+    const diagnostics = lintPrompt(contentTextarea.value, currentState.currentEditId, { noPlaceholders: data.noPlaceholders });
+    renderLintResults(diagnostics);
+    const templateErrors = diagnostics.filter(item => item.severity === 'error');
+    if (templateErrors.length > 0) {
+        showToast(`Fix ${templateErrors.length} template error${templateErrors.length !== 1 ? 's' : ''} before saving`, 'error');
+        contentTextarea.focus();
+        return;
+    }
+    const warningCount = diagnostics.filter(item => item.severity === 'warning').length;
+    
             try {
             if (currentState.currentEditId) {
                 // Update existing prompt
@@ -236,6 +589,10 @@ const handleFormSubmit = async (e) => {
                 showToast('Prompt created!', 'success');
             }
             
+            if (warningCount > 0) {
+                showToast(`Saved with ${warningCount} template warning${warningCount !== 1 ? 's' : ''}`, 'warning', 4000);
+            }
+            
             hideModal();
             renderCurrentState();
             
@@ -249,23 +606,63 @@ const handleFormSubmit = async (e) => {
 };
 
 /**
- * Handle prompt deletion
+ * Handle prompt deletion (moves prompt to trash)
  */
 const handleDelete = async (promptId) => {
     const prompt = getPromptById(promptId);
     if (!prompt) return;
     
+    try {
+        deletePrompt(promptId);
+        showToast('Prompt moved to trash', 'success', 5000, {
+            label: 'Undo',
+            onClick: () => handleRestore(promptId)
+        });
+        renderCurrentState();
+        
+        // Check for auto-backup
+        autoBackupMaybe();
+    } catch (error) {
+        console.error('Delete failed:', error);
+        showToast('Failed to delete prompt', 'error');
+    }
+};
+
+/**
+ * Handle restoring a prompt from trash
+ */
+const handleRestore = (promptId) => {
+    try {
+        restorePrompt(promptId);
+        showToast('Prompt restored', 'success');
+        renderCurrentState();
+        
+        // Check for auto-backup
+        autoBackupMaybe();
+    } catch (error) {
+        console.error('Restore failed:', error);
+        showToast('Failed to restore prompt', 'error');
+    }
+};
+
+/**
+ * Handle permanent deletion of a trashed prompt
+ */
+const handlePurge = async (promptId) => {
+    const prompt = getTrashedPrompts().find(item => item.id === promptId);
+    if (!prompt) return;
+    
     const confirmed = await showConfirmDialog(
-        'Delete Prompt',
-        `Are you sure you want to delete "${prompt.title}"? This action cannot be undone.`,
+        'Delete Permanently',
+        `Are you sure you want to permanently delete "${prompt.title}"? This action cannot be undone.`,
         'Delete',
         'Cancel'
     );
     
     if (confirmed) {
         try {
-            await deletePrompt(promptId);
-            showToast('Prompt deleted', 'success');
+            purgePrompt(promptId);
+            showToast('Prompt deleted permanently', 'success');
             renderCurrentState();
             
             // Check for auto-backup
@@ -277,6 +674,35 @@ const handleDelete = async (promptId) => {
     }
 };
 
+/**
+ * Handle emptying the trash
+ */
+const handleEmptyTrash = async () => {
+    const count = getTrashedPrompts().length;
+    if (count === 0) return;
+    
+    const confirmed = await showConfirmDialog(
+        'Empty Trash',
+        `Are you sure you want to permanently delete ${count} prompt${count !== 1 ? 's' : ''}? This action cannot be undone.`,
+        'Empty Trash',
+        'Cancel'
+    );
+    
+    if (confirmed) {
+        try {
+            emptyTrash();
+            showToast('Trash emptied', 'success');
+            renderCurrentState();
+            
+            // Check for auto-backup
+            autoBackupMaybe();
+        } catch (error) {
+            console.error('Empty trash failed:', error);
+            showToast('Failed to empty trash', 'error');
+        }
+    }
+};
+
 /**
  * Handle prompt duplication
  */
@@ -300,16 +726,35 @@ const handleDuplicate = async (promptId) => {
  * Handle Insert & Copy with placeholders
  */
 const handleInsertAndCopy = async (promptId) => {
+    const prompt = getPromptById(promptId);
+    if (!isTemplatePrompt(prompt)) {
+        // Plain text (or flagged as such): act like regular copy
+        return copyPromptToClipboard(promptId);
+    }
+    
+    const content = prompt.content;
+    const templateError = getPromptTemplateError(content, promptId);
+    if (templateError) {
+        showToast(`Template error: ${templateError}`, 'error', 6000);
+        return false;
+    }
+    
     const placeholders = detectPromptPlaceholders(promptId);
     
     if (placeholders.length === 0) {
-        // No placeholders, act like regular copy
-        return copyPromptToClipboard(promptId);
+        // No placeholders: copy with partials expanded and escapes resolved
+        return insertAndCopyPrompt(promptId, {});
     }
     
     // Show placeholder modal
-    const cachedValues = getPromptVariablesWithAuto(promptId);
-    renderPlaceholderModal(promptId, placeholders, cachedValues);
+    const activeProfileId = getActiveProfileId();
+    const cachedValues = await getPromptVariablesWithAuto(promptId, activeProfileId);
+    renderPlaceholderModal(promptId, placeholders, cachedValues, {
+        profiles: getVariableProfiles(),
+        activeProfileId,
+        sources: resolvePromptVariables(promptId, activeProfileId).sources,
+        template: content
+    });
     
     const modal = document.getElementById('placeholder-dialog');
     if (modal) {
@@ -334,27 +779,115 @@ const setupPlaceholderModalEventListeners = () => {
             currentState.modalCleanup = null;
         }
         document.getElementById('modal-container').innerHTML = '';
+        document.removeEventListener('keydown', handlePlaceholderKeydown);
+    };
+    
+    const promptId = document.getElementById('placeholder-dialog')?.dataset.promptId;
+    
+    // Collect form values (checkboxes always give "true" or "false")
+    const collectVariables = () => {
+        const variables = {};
+        form.querySelectorAll('[data-placeholder]').forEach(field => {
+            const value = field.type === 'checkbox' ? String(field.checked) : field.value.trim();
+            if (value) {
+                variables[field.dataset.placeholder] = value;
+            }
+        });
+        return variables;
+    };
+    
+    // Only show the fields reachable through #if/#each blocks with the current values,
+    // and render the prompt with them
+    let preview = null;
+    const updateReachableFields = () => {
+        const variables = collectVariables();
+        const reachable = detectPromptPlaceholders(promptId, variables).map(placeholder => placeholder.name);
+        form.querySelectorAll('[data-placeholder-field]').forEach(field => {
+            field.classList.toggle('hidden', !reachable.includes(field.dataset.placeholderField));
+        });
+        
+        // Prefilled defaults are left out, so the preview can show them as defaults
+        const defaults = Object.fromEntries(detectPromptPlaceholders(promptId)
+            .filter(placeholder => placeholder.hasDefault)
+            .map(placeholder => [placeholder.name, placeholder.defaultValue]));
+        const previewValues = Object.fromEntries(Object.entries(variables).filter(([name, value]) => value !== defaults[name]));
+        preview = renderPromptPreview(getPromptById(promptId)?.content, { promptId, values: previewValues });
+        renderPreviewOutput('placeholder-preview-output', preview);
+    };
+    
+    const previewCopyBtn = document.getElementById('placeholder-preview-copy-btn');
+    if (previewCopyBtn) {
+        previewCopyBtn.onclick = async () => {
+            const success = await copyToClipboard(preview?.text || '');
+            showToast(success ? 'Rendered prompt copied!' : 'Failed to copy', success ? 'success' : 'error');
+        };
+    }
+    
+    // Switching profile refills the fields still showing the previous profile's (or default) values
+    const profileSelect = document.getElementById('placeholder-profile');
+    let currentProfileId = profileSelect?.value || null;
+    const handleProfileChange = () => {
+        const nextProfileId = profileSelect.value || null;
+        const previous = resolvePromptVariables(promptId, currentProfileId).values;
+        const next = resolvePromptVariables(promptId, nextProfileId);
+        
+        detectPromptPlaceholders(promptId).forEach(placeholder => {
+            const field = [...form.querySelectorAll('[data-placeholder]')].find(item => item.dataset.placeholder === placeholder.name);
+            if (!field || field.readOnly) return;
+            
+            const previousValue = previous[placeholder.name] || placeholder.defaultValue;
+            const nextValue = next.values[placeholder.name] || placeholder.defaultValue;
+            const source = document.getElementById(`${field.id}-source`);
+            if (field.type === 'checkbox') {
+                if (String(field.checked) === (previousValue || 'false')) field.checked = nextValue === 'true';
+            } else if (field.value.trim() === previousValue) {
+                field.value = nextValue;
+            }
+            if (source) source.textContent = VARIABLE_SOURCE_LABELS[next.sources[placeholder.name]] || '';
+        });
+        
+        currentProfileId = nextProfileId;
+        setActiveProfile(nextProfileId);
+        updateReachableFields();
     };
     
     // Form submission
     if (form) {
+        form.oninput = updateReachableFields;
+        form.onchange = (e) => e.target === profileSelect ? handleProfileChange() : updateReachableFields();
+        updateReachableFields();
+        
         form.onsubmit = async (e) => {
             e.preventDefault();
             
-            const promptId = document.getElementById('placeholder-dialog')?.dataset.promptId;
             if (!promptId) return;
             
-            // Collect form values
-            const formData = new FormData(form);
-            const variables = {};
-            for (const [key, value] of formData.entries()) {
-                if (value.trim()) {
-                    variables[key] = value.trim();
+            const variables = collectVariables();
+            
+            // Validate each reachable value against its placeholder type
+            let firstInvalidField = null;
+            form.querySelectorAll('.placeholder-error').forEach(errorElement => errorElement.classList.add('hidden'));
+            detectPromptPlaceholders(promptId, variables).forEach(placeholder => {
+                const field = [...form.querySelectorAll('[data-placeholder]')].find(item => item.dataset.placeholder === placeholder.name);
+                const errorElement = field && document.getElementById(`${field.id}-error`);
+                if (!field || !errorElement) return;
+                
+                const error = validatePlaceholderValue(placeholder, variables[placeholder.name]);
+                errorElement.textContent = error || '';
+                errorElement.classList.toggle('hidden', !error);
+                field.setAttribute('aria-invalid', String(Boolean(error)));
+                if (error && !firstInvalidField) {
+                    firstInvalidField = field;
                 }
+            });
+            
+            if (firstInvalidField) {
+                firstInvalidField.focus();
+                return;
             }
             
             // Apply placeholders and copy
-            const success = await insertAndCopyPrompt(promptId, variables);
+            const success = await insertAndCopyPrompt(promptId, variables, currentProfileId);
             
             if (success) {
                 closePlaceholderModal();
@@ -362,6 +895,15 @@ const setupPlaceholderModalEventListeners = () => {
         };
     }
     
+    // Batch fill replaces this modal
+    const batchBtn = document.getElementById('placeholder-batch-btn');
+    if (batchBtn) {
+        batchBtn.onclick = () => {
+            closePlaceholderModal();
+            showBatchFill(promptId);
+        };
+    }
+    
     // Close buttons
     if (closeBtn) closeBtn.onclick = closePlaceholderModal;
     if (cancelBtn) cancelBtn.onclick = closePlaceholderModal;
@@ -388,6 +930,411 @@ const setupPlaceholderModalEventListeners = () => {
     document.addEventListener('keydown', handlePlaceholderKeydown);
 };
 
+/**
+ * Show batch fill modal for a prompt
+ */
+const showBatchFill = (promptId) => {
+    const prompt = getPromptById(promptId);
+    if (!prompt) return;
+    
+    renderBatchModal(prompt);
+    
+    const modal = document.getElementById('batch-dialog');
+    if (modal) {
+        currentState.modalCleanup = createFocusTrap(modal);
+    }
+    
+    setupBatchModalEventListeners(promptId);
+};
+
+/**
+ * Setup batch fill modal event listeners
+ */
+const setupBatchModalEventListeners = (promptId) => {
+    const dataInput = document.getElementById('batch-data');
+    const fileInput = document.getElementById('batch-file');
+    const dataError = document.getElementById('batch-data-error');
+    const mappingContainer = document.getElementById('batch-mapping');
+    const copyBtn = document.getElementById('batch-copy-btn');
+    const downloadBtn = document.getElementById('batch-download-btn');
+    const overlay = document.getElementById('batch-overlay');
+    if (!dataInput) return;
+    
+    const placeholders = detectPromptPlaceholders(promptId).filter(placeholder => !isAutoValue(placeholder.name));
+    let dataset = { columns: [], rows: [] };
+    let mapping = {};
+    let results = [];
+    
+    const closeBatchModal = () => {
+        if (currentState.modalCleanup) {
+            currentState.modalCleanup();
+            currentState.modalCleanup = null;
+        }
+        document.getElementById('modal-container').innerHTML = '';
+        document.removeEventListener('keydown', handleBatchKeydown);
+    };
+    
+    const setResults = (nextResults) => {
+        results = nextResults;
+        renderBatchPreview(results);
+        copyBtn.disabled = results.length === 0;
+        downloadBtn.disabled = results.length === 0;
+    };
+    
+    // Render every row with the current mapping
+    const updatePreview = async () => {
+        if (dataset.rows.length === 0) {
+            setResults([]);
+            return;
+        }
+        try {
+            setResults(await renderPromptBatch(promptId, dataset.rows, mapping));
+        } catch (error) {
+            setResults([]);
+            showToast(`Template error: ${error.message}`, 'error', 6000);
+        }
+    };
+    
+    // Parse the dataset and suggest a column for each placeholder
+    const updateData = () => {
+        if (!dataInput.value.trim()) {
+            dataset = { columns: [], rows: [] };
+            dataError.classList.add('hidden');
+            renderBatchMapping([], [], {});
+            updatePreview();
+            return;
+        }
+        
+        try {
+            dataset = parseBatchData(dataInput.value);
+            dataError.classList.add('hidden');
+        } catch (error) {
+            dataset = { columns: [], rows: [] };
+            dataError.textContent = error.message;
+            dataError.classList.remove('hidden');
+        }
+        
+        mapping = getBatchColumnMapping(placeholders, dataset.columns);
+        renderBatchMapping(dataset.rows.length > 0 ? placeholders : [], dataset.columns, mapping);
+        updatePreview();
+    };
+    
+    dataInput.oninput = debounce(updateData, 300);
+    
+    if (fileInput) {
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+            dataInput.value = await file.text();
+            fileInput.value = '';
+            updateData();
+        };
+    }
+    
+    mappingContainer.onchange = (e) => {
+        const select = e.target.closest('.batch-mapping-select');
+        if (!select) return;
+        mapping = { ...mapping, [select.dataset.placeholder]: select.value };
+        updatePreview();
+    };
+    
+    // Report rows that still miss values or have invalid ones, so those results aren't used by accident
+    const warnIncomplete = () => {
+        const incomplete = results.filter(result => result.missing.length > 0).length;
+        const invalid = results.filter(result => result.invalid.length > 0).length;
+        const problems = [
+            incomplete > 0 && `${incomplete} row${incomplete !== 1 ? 's have' : ' has'} missing values`,
+            invalid > 0 && `${invalid} row${invalid !== 1 ? 's have' : ' has'} invalid values`
+        ].filter(Boolean);
+        if (problems.length > 0) {
+            showToast(problems.join(', '), 'warning', 4000);
+        }
+    };
+    
+    copyBtn.onclick = async () => {
+        const separator = document.getElementById('batch-separator').value.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+        const success = await copyToClipboard(results.map(result => result.text).join(separator));
+        if (!success) {
+            showToast('Failed to copy', 'error');
+            return;
+        }
+        showToast(`Copied ${results.length} result${results.length !== 1 ? 's' : ''}`, 'success');
+        warnIncomplete();
+    };
+    
+    downloadBtn.onclick = () => {
+        const format = document.getElementById('batch-format').value;
+        if (exportBatchResults(results, format, { columns: dataset.columns, title: getPromptById(promptId)?.title })) {
+            warnIncomplete();
+        }
+    };
+    
+    // Close buttons
+    document.getElementById('batch-close-btn').onclick = closeBatchModal;
+    
+    // Overlay click
+    if (overlay) {
+        overlay.onclick = (e) => {
+            if (e.target.id === 'batch-overlay') {
+                closeBatchModal();
+            }
+        };
+    }
+    
+    // ESC key
+    const handleBatchKeydown = (e) => {
+        if (e.key === 'Escape') {
+            closeBatchModal();
+        }
+    };
+    document.addEventListener('keydown', handleBatchKeydown);
+    
+    dataInput.focus();
+};
+
+/**
+ * Show the code export modal for one prompt or several (the bulk export)
+ */
+const showCodeExport = (prompts, title) => {
+    if (prompts.length === 0) {
+        showToast('No prompts to export', 'warning');
+        return;
+    }
+
+    const savedTarget = getPreferences().codeExportTarget;
+    renderCodeExportModal(title, EXPORT_TARGETS, EXPORT_TARGETS[savedTarget] ? savedTarget : 'openai');
+
+    const modal = document.getElementById('code-export-dialog');
+    if (modal) {
+        currentState.modalCleanup = createFocusTrap(modal);
+    }
+
+    setupCodeExportModalEventListeners(prompts);
+};
+
+/**
+ * Setup code export modal event listeners
+ */
+const setupCodeExportModalEventListeners = (prompts) => {
+    const targetSelect = document.getElementById('code-export-target');
+    const copyBtn = document.getElementById('code-export-copy-btn');
+    const downloadBtn = document.getElementById('code-export-download-btn');
+    const overlay = document.getElementById('code-export-overlay');
+    if (!targetSelect) return;
+
+    let codeExport = null;
+
+    const closeCodeExportModal = () => {
+        if (currentState.modalCleanup) {
+            currentState.modalCleanup();
+            currentState.modalCleanup = null;
+        }
+        document.getElementById('modal-container').innerHTML = '';
+        document.removeEventListener('keydown', handleCodeExportKeydown);
+    };
+
+    const updateOutput = () => {
+        try {
+            codeExport = getCodeExport(prompts, targetSelect.value);
+            renderCodeExportOutput(codeExport);
+        } catch (error) {
+            codeExport = null;
+            renderCodeExportOutput(null, error.message);
+        }
+        copyBtn.disabled = !codeExport;
+        downloadBtn.disabled = !codeExport;
+    };
+
+    targetSelect.onchange = () => {
+        setPreferences({ ...getPreferences(), codeExportTarget: targetSelect.value });
+        updateOutput();
+    };
+
+    copyBtn.onclick = async () => {
+        const success = await copyToClipboard(codeExport.content);
+        showToast(success ? 'Copied to clipboard' : 'Failed to copy', success ? 'success' : 'error');
+    };
+
+    downloadBtn.onclick = () => downloadCodeExport(codeExport);
+
+    // Close buttons
+    document.getElementById('code-export-close-btn').onclick = closeCodeExportModal;
+
+    // Overlay click
+    if (overlay) {
+        overlay.onclick = (e) => {
+            if (e.target.id === 'code-export-overlay') {
+                closeCodeExportModal();
+            }
+        };
+    }
+
+    // ESC key
+    const handleCodeExportKeydown = (e) => {
+        if (e.key === 'Escape') {
+            closeCodeExportModal();
+        }
+    };
+    document.addEventListener('keydown', handleCodeExportKeydown);
+
+    updateOutput();
+    targetSelect.focus();
+};
+
+/**
+ * Show tag manager modal
+ */
+const showTagManager = () => {
+    renderTagManagerModal(getManagedTags(), getTagColors());
+    
+    const modal = document.getElementById('tags-dialog');
+    if (modal) {
+        currentState.modalCleanup = createFocusTrap(modal);
+    }
+    
+    setupTagManagerEventListeners();
+};
+
+/**
+ * Replace renamed, merged or deleted tags in the active filters
+ */
+const remapFilterTags = (sourceTags, targetTag = null) => {
+    const remap = (tags) => [...new Set(tags.map(tag => remapTag(tag, sourceTags, targetTag)).filter(Boolean))];
+    currentState.selectedTags = remap(currentState.selectedTags);
+    currentState.excludedTags = remap(currentState.excludedTags).filter(tag => !currentState.selectedTags.includes(tag));
+};
+
+/**
+ * Setup tag manager modal event listeners
+ */
+const setupTagManagerEventListeners = () => {
+    const dialog = document.getElementById('tags-dialog');
+    const closeBtn = document.getElementById('tags-close-btn');
+    const mergeBtn = document.getElementById('tags-merge-btn');
+    const overlay = document.getElementById('tags-overlay');
+    if (!dialog) return;
+    
+    const closeTagManager = () => {
+        if (currentState.modalCleanup) {
+            currentState.modalCleanup();
+            currentState.modalCleanup = null;
+        }
+        document.getElementById('modal-container').innerHTML = '';
+        document.removeEventListener('keydown', handleTagsKeydown);
+    };
+    
+    // Run a tag change, then refresh the list and the board
+    const applyTagChange = (change, successMessage) => {
+        closeTagManager();
+        try {
+            const changed = change();
+            showToast(`${successMessage} (${changed} prompt${changed !== 1 ? 's' : ''} updated)`, 'success');
+            renderCurrentState();
+            
+            // Check for auto-backup
+            autoBackupMaybe();
+        } catch (error) {
+            console.error('Tag update failed:', error);
+            showToast(error.message || 'Failed to update tags', 'error');
+        }
+        showTagManager();
+    };
+    
+    const getSelectedTags = () => [...dialog.querySelectorAll('.tag-select-checkbox:checked')].map(input => input.value);
+    
+    dialog.querySelectorAll('.tag-select-checkbox').forEach(checkbox => {
+        checkbox.onchange = () => {
+            mergeBtn.disabled = getSelectedTags().length < 2;
+        };
+    });
+    
+    dialog.querySelectorAll('.tag-color-select').forEach(select => {
+        select.onchange = () => {
+            setTagColor(select.dataset.tag, select.value);
+            renderCurrentState();
+        };
+    });
+    
+    dialog.querySelectorAll('.tag-rename-btn').forEach(button => {
+        button.onclick = async () => {
+            const tag = button.dataset.tag;
+            closeTagManager();
+            const newTag = await showInputDialog('Rename Tag', `New name for "${tag}"`, tag, 'Rename');
+            if (!newTag || normalizeTagPath(newTag) === tag) {
+                showTagManager();
+                return;
+            }
+            applyTagChange(() => {
+                const changed = renameTag(tag, newTag);
+                remapFilterTags([tag], normalizeTagPath(newTag));
+                return changed;
+            }, `Renamed "${tag}" to "${normalizeTagPath(newTag)}"`);
+        };
+    });
+    
+    dialog.querySelectorAll('.tag-delete-btn').forEach(button => {
+        button.onclick = async () => {
+            const tag = button.dataset.tag;
+            closeTagManager();
+            const nestedCount = getManagedTags().filter(({ tag: other }) => other !== tag && isTagWithin(other, tag)).length;
+            const nested = nestedCount > 0 ? ` and the ${nestedCount} tag${nestedCount !== 1 ? 's' : ''} nested under it` : '';
+            const confirmed = await showConfirmDialog(
+                'Delete Tag',
+                `Remove the tag "${tag}"${nested} from every prompt? The prompts themselves are kept.`,
+                'Delete Tag',
+                'Cancel'
+            );
+            if (!confirmed) {
+                showTagManager();
+                return;
+            }
+            applyTagChange(() => {
+                const changed = deleteTag(tag);
+                remapFilterTags([tag]);
+                return changed;
+            }, `Deleted tag "${tag}"`);
+        };
+    });
+    
+    if (mergeBtn) {
+        mergeBtn.onclick = async () => {
+            const sourceTags = getSelectedTags();
+            if (sourceTags.length < 2) return;
+            closeTagManager();
+            const targetTag = await showInputDialog('Merge Tags', `Merge ${sourceTags.join(', ')} into`, sourceTags[0], 'Merge');
+            if (!targetTag) {
+                showTagManager();
+                return;
+            }
+            applyTagChange(() => {
+                const changed = mergeTags(sourceTags, targetTag);
+                remapFilterTags(sourceTags, normalizeTagPath(targetTag));
+                return changed;
+            }, `Merged ${sourceTags.length} tags into "${normalizeTagPath(targetTag)}"`);
+        };
+    }
+    
+    // Close buttons
+    if (closeBtn) closeBtn.onclick = closeTagManager;
+    
+    // Overlay click
+    if (overlay) {
+        overlay.onclick = (e) => {
+            if (e.target.id === 'tags-overlay') {
+                closeTagManager();
+            }
+        };
+    }
+    
+    // ESC key
+    const handleTagsKeydown = (e) => {
+        if (e.key === 'Escape') {
+            closeTagManager();
+        }
+    };
+    document.addEventListener('keydown', handleTagsKeydown);
+};
+
 /**
  * Show settings modal
  */
@@ -426,23 +1373,59 @@ const setupSettingsModalEventListeners = () => {
         saveBtn.onclick = () => {
             const autoBackupEnabled = document.getElementById('auto-backup-enabled')?.checked || false;
             const autoBackupThreshold = parseInt(document.getElementById('backup-threshold')?.value) || 10;
+            const historyLimit = parseInt(document.getElementById('history-limit')?.value) || 20;
+            const trashRetentionDays = parseInt(document.getElementById('trash-retention-days')?.value) || 30;
+            
+            try {
+                saveVariableSettings(parseVariableLines(document.getElementById('global-variables')?.value), collectProfileEditors());
+            } catch (error) {
+                showToast(error.message || 'Failed to save variables', 'error');
+                return;
+            }
             
             const currentPrefs = getPreferences();
             const newPrefs = {
                 ...currentPrefs,
                 autoBackupEnabled,
-                autoBackupThreshold
+                autoBackupThreshold,
+                historyLimit,
+                trashRetentionDays
             };
             
             if (setPreferences(newPrefs)) {
                 showToast('Settings saved', 'success');
                 closeSettingsModal();
+                purgeExpiredTrash();
+                renderCurrentState();
             } else {
                 showToast('Failed to save settings', 'error');
             }
         };
     }
     
+    // Variable profiles are edited in place and only stored on save
+    const collectProfileEditors = () => [...document.querySelectorAll('.profile-editor')].map(editor => ({
+        id: editor.dataset.profileId || null,
+        name: editor.querySelector('.profile-name-input').value,
+        variables: parseVariableLines(editor.querySelector('.profile-variables-input').value)
+    }));
+    const profilesContainer = document.getElementById('variable-profiles');
+    const addProfileBtn = document.getElementById('profile-add-btn');
+    if (addProfileBtn) {
+        addProfileBtn.onclick = () => {
+            renderVariableProfiles([...collectProfileEditors(), { id: null, name: '', variables: {} }]);
+            [...document.querySelectorAll('.profile-name-input')].pop()?.focus();
+        };
+    }
+    if (profilesContainer) {
+        profilesContainer.onclick = (e) => {
+            const editor = e.target.closest('.profile-delete-btn')?.closest('.profile-editor');
+            if (!editor) return;
+            const editors = [...document.querySelectorAll('.profile-editor')];
+            renderVariableProfiles(collectProfileEditors().filter((_, index) => editors[index] !== editor));
+        };
+    }
+    
     // Close buttons
     if (closeBtn) closeBtn.onclick = closeSettingsModal;
     
@@ -518,14 +1501,22 @@ const setupExportMenu = () => {
         menuBtn.setAttribute('aria-expanded', 'false');
     });
     
+    // Keep menu open while toggling options inside it
+    menu.onclick = (e) => e.stopPropagation();
+    
     // Menu items
     const exportJsonBtn = document.getElementById('export-json-btn');
     const exportMarkdownBtn = document.getElementById('export-markdown-btn');
+    const exportZipBtn = document.getElementById('export-zip-btn');
+    const exportCsvBtn = document.getElementById('export-csv-btn');
+    const exportCodeBtn = document.getElementById('export-code-btn');
+    const csvDelimiterSelect = document.getElementById('export-csv-delimiter');
+    const includeTrashCheckbox = document.getElementById('export-include-trash');
     const importFile = document.getElementById('import-file');
     
     if (exportJsonBtn) {
         exportJsonBtn.onclick = () => {
-            exportToJSON();
+            exportToJSON(includeTrashCheckbox?.checked);
             menu.classList.add('hidden');
             menuBtn.setAttribute('aria-expanded', 'false');
         };
@@ -533,7 +1524,39 @@ const setupExportMenu = () => {
     
     if (exportMarkdownBtn) {
         exportMarkdownBtn.onclick = () => {
-            exportToMarkdown();
+            exportToMarkdown(includeTrashCheckbox?.checked);
+            menu.classList.add('hidden');
+            menuBtn.setAttribute('aria-expanded', 'false');
+        };
+    }
+    
+    if (exportZipBtn) {
+        exportZipBtn.onclick = () => {
+            exportToZip(includeTrashCheckbox?.checked);
+            menu.classList.add('hidden');
+            menuBtn.setAttribute('aria-expanded', 'false');
+        };
+    }
+    
+    if (exportCodeBtn) {
+        exportCodeBtn.onclick = () => {
+            const prompts = processPrompts(currentState.searchQuery, currentState.selectedTags, currentState.sortOrder, getTagOptions());
+            menu.classList.add('hidden');
+            menuBtn.setAttribute('aria-expanded', 'false');
+            showCodeExport(prompts, `${prompts.length} listed prompt${prompts.length !== 1 ? 's' : ''}`);
+        };
+    }
+    
+    if (csvDelimiterSelect) {
+        csvDelimiterSelect.value = getPreferences().csvDelimiter;
+        csvDelimiterSelect.onchange = () => {
+            setPreferences({ ...getPreferences(), csvDelimiter: csvDelimiterSelect.value });
+        };
+    }
+    
+    if (exportCsvBtn) {
+        exportCsvBtn.onclick = () => {
+            exportToCSV(includeTrashCheckbox?.checked, csvDelimiterSelect?.value);
             menu.classList.add('hidden');
             menuBtn.setAttribute('aria-expanded', 'false');
         };
@@ -598,6 +1621,7 @@ const setupKeyboardShortcuts = () => {
                 // Clear search and filters
                 currentState.searchQuery = '';
                 currentState.selectedTags = [];
+                currentState.excludedTags = [];
                 const searchInput = document.getElementById('search-input');
                 if (searchInput) {
                     searchInput.value = '';
@@ -618,12 +1642,27 @@ const initializeUI = () => {
         searchInput.oninput = (e) => handleSearch(e.target.value);
     }
     
+    // Sort order
+    const sortSelect = document.getElementById('sort-select');
+    if (sortSelect) {
+        sortSelect.onchange = (e) => {
+            currentState.sortOrder = e.target.value;
+            renderCurrentState();
+        };
+    }
+    
     // Settings button
     const settingsBtn = document.getElementById('settings-btn');
     if (settingsBtn) {
         settingsBtn.onclick = () => showSettings();
     }
     
+    // Trash button
+    const trashBtn = document.getElementById('trash-btn');
+    if (trashBtn) {
+        trashBtn.onclick = () => setView(currentState.view === 'trash' ? 'prompts' : 'trash');
+    }
+    
     // New prompt button
     const newPromptBtn = document.getElementById('new-prompt-btn');
     if (newPromptBtn) {
@@ -638,13 +1677,25 @@ const initializeUI = () => {
     
     // Tag filter buttons (event delegation)
     document.addEventListener('click', (e) => {
-        if (e.target.classList.contains('tag-filter-btn')) {
-            const tag = e.target.dataset.tag;
+        if (e.target.closest('.tag-filter-btn')) {
+            const tag = e.target.closest('.tag-filter-btn').dataset.tag;
             if (tag) {
                 handleTagToggle(tag);
             }
         }
         
+        if (e.target.closest('.tag-expand-btn')) {
+            handleTagExpandToggle(e.target.closest('.tag-expand-btn').dataset.tag);
+        }
+        
+        if (e.target.id === 'manage-tags-btn') {
+            showTagManager();
+        }
+        
+        if (e.target.closest('.tag-mode-btn')) {
+            handleTagModeChange(e.target.closest('.tag-mode-btn').dataset.mode);
+        }
+        
         if (e.target.id === 'clear-filters-btn') {
             handleClearFilters();
         }
@@ -664,6 +1715,13 @@ const initializeUI = () => {
             }
         }
         
+        if (e.target.closest('.export-code-btn')) {
+            const prompt = getPromptById(e.target.closest('.export-code-btn').dataset.id);
+            if (prompt) {
+                showCodeExport([prompt], prompt.title);
+            }
+        }
+        
         if (e.target.closest('.duplicate-btn')) {
             const promptId = e.target.closest('.duplicate-btn').dataset.id;
             if (promptId) {
@@ -684,6 +1742,49 @@ const initializeUI = () => {
                 handleDelete(promptId);
             }
         }
+        
+        // Saved search actions
+        if (e.target.closest('#save-collection-btn')) {
+            handleSaveCollection();
+        }
+        
+        const collectionButton = e.target.closest('[data-collection-id]');
+        if (collectionButton) {
+            const collectionId = collectionButton.dataset.collectionId;
+            if (collectionButton.classList.contains('collection-open-btn')) {
+                handleOpenCollection(collectionId);
+            } else if (collectionButton.classList.contains('collection-move-btn')) {
+                moveCollection(collectionId, parseInt(collectionButton.dataset.direction));
+                renderCurrentState();
+            } else if (collectionButton.classList.contains('collection-rename-btn')) {
+                handleRenameCollection(collectionId);
+            } else if (collectionButton.classList.contains('collection-delete-btn')) {
+                handleDeleteCollection(collectionId);
+            }
+        }
+        
+        // Trash view actions
+        if (e.target.closest('#trash-back-btn')) {
+            setView('prompts');
+        }
+        
+        if (e.target.closest('#empty-trash-btn')) {
+            handleEmptyTrash();
+        }
+        
+        if (e.target.closest('.trash-restore-btn')) {
+            const promptId = e.target.closest('.trash-restore-btn').dataset.id;
+            if (promptId) {
+                handleRestore(promptId);
+            }
+        }
+        
+        if (e.target.closest('.trash-purge-btn')) {
+            const promptId = e.target.closest('.trash-purge-btn').dataset.id;
+            if (promptId) {
+                handlePurge(promptId);
+            }
+        }
     });
     
     setupExportMenu();
@@ -693,9 +1794,17 @@ const initializeUI = () => {
 /**
  * Initialize application
  */
-const initializeApp = () => {
+const initializeApp = async () => {
     console.log('PromptBoard initializing...');
     
+    // Load prompts from IndexedDB (migrating legacy localStorage data on first run)
+    const backend = await initStorage();
+    setStorageErrorHandler(() => showToast('Failed to save changes to browser storage', 'error'));
+    console.log(`PromptBoard storage: ${backend}`);
+    
+    // Drop prompts that outlived the trash retention period
+    purgeExpiredTrash();
+    
     // Make reset function global for navbar
     window.handleResetApp = handleResetApp;
     
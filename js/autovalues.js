@@ -0,0 +1,177 @@
+/**
+ * Auto-values module - placeholders filled in automatically instead of asked for
+ *
+ *   {{today}}, {{now}}                 current date (YYYY-MM-DD) / date and time (YYYY-MM-DD HH:mm)
+ *   {{now:DD.MM.YYYY HH:mm}}           formatted date (tokens: see formatDatePattern)
+ *   {{today+7d}}, {{today-1m:MMMM}}    relative date (d, w, m, y; h for now), optionally formatted
+ *   {{weekday}}, {{week}}              weekday name, ISO week number
+ *   {{uuid}}, {{random:1-100}}         random id, random whole number in a range
+ *   {{clipboard}}                      current clipboard text (when the browser allows reading it)
+ *   {{prompt.title}}, {{prompt.tags}}  details of the prompt being used
+ */
+
+import { uuid } from './storage.js';
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+/**
+ * Get the ISO 8601 week number of a date
+ */
+const getISOWeek = (date) => {
+    const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7)); // Thursday of the same week
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    return Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+};
+
+/**
+ * Format a date with tokens: YYYY YY MMMM MMM MM M DD D dddd ddd HH H mm ss WW
+ * Text in [brackets] is kept as is, e.g. "YYYY-[W]WW".
+ */
+const formatDatePattern = (date, pattern) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    const tokens = {
+        YYYY: date.getFullYear(),
+        YY: String(date.getFullYear()).slice(-2),
+        MMMM: MONTHS[date.getMonth()],
+        MMM: MONTHS[date.getMonth()].slice(0, 3),
+        MM: pad(date.getMonth() + 1),
+        M: date.getMonth() + 1,
+        DD: pad(date.getDate()),
+        D: date.getDate(),
+        dddd: WEEKDAYS[date.getDay()],
+        ddd: WEEKDAYS[date.getDay()].slice(0, 3),
+        HH: pad(date.getHours()),
+        H: date.getHours(),
+        mm: pad(date.getMinutes()),
+        ss: pad(date.getSeconds()),
+        WW: pad(getISOWeek(date))
+    };
+
+    return pattern.replace(/\[([^\]]*)\]|YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|mm|ss|WW/g, (match, literal) => {
+        return literal !== undefined ? literal : String(tokens[match]);
+    });
+};
+
+/**
+ * Shift a date by an offset such as "+7d", "-1m" or "+2h" (months keep the day where possible)
+ */
+const shiftDate = (date, amount, unit) => {
+    const result = new Date(date);
+    switch (unit) {
+        case 'h':
+            result.setHours(result.getHours() + amount);
+            break;
+        case 'd':
+            result.setDate(result.getDate() + amount);
+            break;
+        case 'w':
+            result.setDate(result.getDate() + amount * 7);
+            break;
+        case 'm':
+        case 'y': {
+            const months = unit === 'y' ? amount * 12 : amount;
+            const day = result.getDate();
+            result.setDate(1);
+            result.setMonth(result.getMonth() + months);
+            const daysInMonth = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+            result.setDate(Math.min(day, daysInMonth));
+            break;
+        }
+    }
+    return result;
+};
+
+/**
+ * Read the clipboard text, or '' when the browser doesn't allow it
+ */
+const readClipboard = async () => {
+    try {
+        if (navigator.clipboard?.readText) {
+            return await navigator.clipboard.readText();
+        }
+    } catch (error) {
+        console.warn('Clipboard read not permitted:', error);
+    }
+    return '';
+};
+
+/**
+ * Auto-value registry: each entry matches placeholder names and resolves them
+ * `resolve(match, context)` gets the regex match and { prompt, date } and returns a string (or a promise of one).
+ */
+const AUTO_VALUES = [
+    {
+        pattern: /^(today|now)(?:([+-]\d+)([hdwmy]))?(?::(.+))?$/,
+        resolve: ([, base, amount, unit, pattern], { date }) => {
+            const shifted = amount ? shiftDate(date, parseInt(amount, 10), unit) : date;
+            return formatDatePattern(shifted, pattern || (base === 'now' ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD'));
+        }
+    },
+    {
+        pattern: /^weekday$/,
+        resolve: (match, { date }) => WEEKDAYS[date.getDay()]
+    },
+    {
+        pattern: /^week$/,
+        resolve: (match, { date }) => String(getISOWeek(date))
+    },
+    {
+        pattern: /^uuid$/,
+        resolve: () => uuid()
+    },
+    {
+        pattern: /^random:(-?\d+)-(-?\d+)$/,
+        resolve: ([, first, second]) => {
+            const min = Math.min(parseInt(first, 10), parseInt(second, 10));
+            const max = Math.max(parseInt(first, 10), parseInt(second, 10));
+            return String(min + Math.floor(Math.random() * (max - min + 1)));
+        }
+    },
+    {
+        pattern: /^clipboard$/,
+        resolve: () => readClipboard()
+    },
+    {
+        pattern: /^prompt\.(title|tags|id)$/,
+        resolve: ([, field], { prompt }) => {
+            if (!prompt) return '';
+            return field === 'tags' ? prompt.tags.join(', ') : prompt[field];
+        }
+    }
+];
+
+/**
+ * Add an auto-value to the registry
+ * `pattern` is a RegExp matched against the placeholder name; `resolve(match, { prompt, date })` returns its value.
+ */
+export const registerAutoValue = (pattern, resolve) => {
+    if (!(pattern instanceof RegExp) || typeof resolve !== 'function') {
+        throw new Error('An auto-value needs a RegExp pattern and a resolve function');
+    }
+    AUTO_VALUES.push({ pattern, resolve });
+};
+
+/**
+ * Check whether a placeholder name is filled in automatically
+ */
+export const isAutoValue = (name) => AUTO_VALUES.some(({ pattern }) => pattern.test(name));
+
+/**
+ * Resolve auto-value placeholders by name; unknown names are left out
+ * All dates use the same moment, so {{today}} and {{now}} agree.
+ */
+export const resolveAutoValues = async (names, { prompt = null } = {}) => {
+    const context = { prompt, date: new Date() };
+    const values = {};
+
+    for (const name of new Set(names)) {
+        const entry = AUTO_VALUES.find(({ pattern }) => pattern.test(name));
+        if (entry) {
+            values[name] = String(await entry.resolve(name.match(entry.pattern), context) ?? '');
+        }
+    }
+
+    return values;
+};
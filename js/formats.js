@@ -0,0 +1,908 @@
+/**
+ * Formats module - converts prompts from and to other tools' formats
+ *
+ * Reading:
+ *   awesome-chatgpt-prompts CSV      "act" and "prompt" columns
+ *   Chat message arrays              [{ role, content }], { messages }, { system, messages }, JSONL of those
+ *   LangChain prompt templates       legacy { _type: "prompt", template } and serialized { lc, id, kwargs }
+ *   Plain text                       one prompt per file, or several split by "---" (or ===, ***, ~~~) lines
+ *
+ * Writing (see EXPORT_TARGETS): OpenAI and Anthropic messages JSON, Jinja2 templates, Python modules
+ * (f-strings or string.Template) and JavaScript modules (template literals). Placeholders, defaults, filters,
+ * blocks and partials become the target's own syntax.
+ */
+
+import { getFirstLine, truncate } from './utils.js';
+import { parseTemplate, parsePlaceholders } from './template.js';
+
+/**
+ * Chat roles of LangChain message classes
+ */
+const LANGCHAIN_ROLES = {
+    SystemMessagePromptTemplate: 'system',
+    HumanMessagePromptTemplate: 'user',
+    AIMessagePromptTemplate: 'assistant',
+    SystemMessage: 'system',
+    HumanMessage: 'user',
+    AIMessage: 'assistant'
+};
+
+/**
+ * Lines that separate prompts in a plain text file
+ */
+const TEXT_SEPARATOR = /^[ \t]*(-{3,}|={3,}|\*{3,}|~{3,})[ \t]*$/;
+
+/**
+ * File name without folders and extension, used as a title when the data has none
+ */
+const getFileTitle = (fileName) => fileName.split('/').pop().replace(/\.[^.]+$/, '').trim() || 'Untitled';
+
+/**
+ * Get the text of a chat message's content: a string, or an array of parts as in the OpenAI and Anthropic APIs
+ */
+const getMessageText = (content) => {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .map(part => typeof part === 'string' ? part : part?.type === 'text' ? part.text : '')
+        .filter(Boolean)
+        .join('\n');
+};
+
+/**
+ * Check whether a value is a non-empty array of chat messages ({ role, content })
+ */
+const isChatMessages = (value) => {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every(item => item && typeof item === 'object' && typeof item.role === 'string' && 'content' in item);
+};
+
+/**
+ * Write chat messages as prompt content: a lone user message as is, otherwise a "### Role" section per message
+ */
+export const messagesToContent = (messages) => {
+    if (messages.length === 1 && messages[0].role === 'user') {
+        return getMessageText(messages[0].content).trim();
+    }
+    return messages
+        .map(({ role, content }) => `### ${role.charAt(0).toUpperCase()}${role.slice(1)}\n\n${getMessageText(content).trim()}`)
+        .join('\n\n');
+};
+
+/**
+ * Convert a Python format string ({name}, with {{ and }} for literal braces) to placeholder syntax
+ * Format specs and conversions ({price:.2f}, {name!r}) are dropped; literal "{{" is escaped.
+ */
+export const fStringToTemplate = (template) => {
+    let result = '';
+    let literal = '';
+    let last = 0;
+    const flush = () => {
+        result += literal.replace(/\{\{/g, '\\{{');
+        literal = '';
+    };
+
+    template.replace(/\{\{|\}\}|\{([^{}]*)\}/g, (match, field, offset) => {
+        literal += template.slice(last, offset);
+        last = offset + match.length;
+
+        const name = field === undefined ? '' : field.split(/[!:]/)[0].trim();
+        if (match === '{{') {
+            literal += '{';
+        } else if (match === '}}') {
+            literal += '}';
+        } else if (!name) {
+            literal += match;
+        } else {
+            flush();
+            result += `{{${name}}}`;
+        }
+        return match;
+    });
+
+    literal += template.slice(last);
+    flush();
+    return result;
+};
+
+/**
+ * Convert a LangChain template string; jinja2 and mustache templates already use {{name}}
+ */
+const fromLangChainTemplate = (template, templateFormat = 'f-string') => {
+    return templateFormat === 'f-string' ? fStringToTemplate(template) : template;
+};
+
+/**
+ * Read the content of a serialized LangChain prompt, or null when the object isn't one
+ */
+const readLangChainPrompt = (data) => {
+    if (!data || typeof data !== 'object') return null;
+
+    if (data._type === 'prompt') {
+        if (typeof data.template === 'string') {
+            return fromLangChainTemplate(data.template, data.template_format);
+        }
+        if (data.template_path) {
+            throw new Error(`The template file "${data.template_path}" is not included; import the .txt file instead`);
+        }
+        return null;
+    }
+
+    if (!data.lc || !Array.isArray(data.id) || !data.kwargs) return null;
+    const { kwargs } = data;
+
+    if (typeof kwargs.template === 'string') {
+        return fromLangChainTemplate(kwargs.template, kwargs.template_format);
+    }
+
+    if (Array.isArray(kwargs.messages)) {
+        const messages = kwargs.messages
+            .map(message => {
+                const type = Array.isArray(message?.id) ? message.id[message.id.length - 1] : '';
+                const content = message?.kwargs?.prompt
+                    ? readLangChainPrompt(message.kwargs.prompt)
+                    : getMessageText(message?.kwargs?.content);
+                return type in LANGCHAIN_ROLES && content !== null ? { role: LANGCHAIN_ROLES[type], content } : null;
+            })
+            .filter(Boolean);
+        return messages.length > 0 ? messagesToContent(messages) : null;
+    }
+
+    return null;
+};
+
+/**
+ * Read JSON from another tool: chat messages or LangChain templates
+ * Returns { format, prompts } with prompt data ({ title, content, tags }), or null for other JSON
+ * (such as PromptBoard's own prompts arrays).
+ */
+export const parseToolJSON = (data, fileName = '') => {
+    const title = getFileTitle(fileName);
+    const toPrompt = (item, index, count) => {
+        const messages = isChatMessages(item) ? item : item.messages;
+        const system = typeof item.system === 'string' ? [{ role: 'system', content: item.system }] : [];
+        const name = item.name || item.title;
+        return {
+            title: typeof name === 'string' && name.trim() ? name.trim() : count > 1 ? `${title} ${index + 1}` : title,
+            content: messagesToContent([...system, ...messages]),
+            tags: []
+        };
+    };
+
+    if (isChatMessages(data)) {
+        return { format: 'Chat messages', prompts: [toPrompt(data, 0, 1)] };
+    }
+
+    if (data && !Array.isArray(data) && typeof data === 'object' && isChatMessages(data.messages)) {
+        return { format: 'Chat messages', prompts: [toPrompt(data, 0, 1)] };
+    }
+
+    if (Array.isArray(data) && data.length > 0 && data.every(item => isChatMessages(item) || isChatMessages(item?.messages))) {
+        return { format: 'Chat conversations', prompts: data.map((item, index) => toPrompt(item, index, data.length)) };
+    }
+
+    const langChainContent = Array.isArray(data) ? null : readLangChainPrompt(data);
+    if (langChainContent !== null) {
+        const name = data.name || data.metadata?.name || data.kwargs?.name;
+        return {
+            format: 'LangChain prompt template',
+            prompts: [{ title: typeof name === 'string' && name.trim() ? name.trim() : title, content: langChainContent, tags: [] }]
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Check whether CSV columns are those of awesome-chatgpt-prompts ("act", "prompt")
+ */
+export const isAwesomePromptsCSV = (columns) => {
+    const names = columns.map(column => column.trim().toLowerCase());
+    return names.includes('act') && names.includes('prompt');
+};
+
+/**
+ * Read awesome-chatgpt-prompts CSV records: "act" is the title, "prompt" the content
+ */
+export const parseAwesomePromptsCSV = (columns, records) => {
+    const names = columns.map(column => column.trim().toLowerCase());
+    const actIndex = names.indexOf('act');
+    const promptIndex = names.indexOf('prompt');
+
+    return records
+        .filter(record => record.some(field => field.trim() !== ''))
+        .map(record => ({
+            title: (record[actIndex] || '').trim(),
+            content: record[promptIndex] || '',
+            tags: []
+        }));
+};
+
+/**
+ * Read a plain text file: one prompt named after the file, or several when "---" lines
+ * (or ===, ***, ~~~ - whichever is most common) split it. Split prompts take their first line as title;
+ * a Markdown heading as first line becomes the title only.
+ */
+export const parsePlainText = (text, fileName = '') => {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const counts = {};
+    lines.forEach(line => {
+        const match = line.match(TEXT_SEPARATOR);
+        if (match) counts[match[1][0]] = (counts[match[1][0]] || 0) + 1;
+    });
+    const separator = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+
+    if (!separator) {
+        const content = text.trim();
+        return content ? [{ title: getFileTitle(fileName), content, tags: [] }] : [];
+    }
+
+    const chunks = [[]];
+    lines.forEach(line => {
+        const match = line.match(TEXT_SEPARATOR);
+        if (match && match[1][0] === separator) {
+            chunks.push([]);
+        } else {
+            chunks[chunks.length - 1].push(line);
+        }
+    });
+
+    return chunks
+        .map(chunk => chunk.join('\n').trim())
+        .filter(Boolean)
+        .map(chunk => {
+            const firstLine = getFirstLine(chunk);
+            const heading = firstLine.match(/^#{1,6}\s+(.+)$/);
+            return heading
+                ? { title: truncate(heading[1].trim(), 80), content: chunk.slice(firstLine.length).trim(), tags: [] }
+                : { title: truncate(firstLine, 80), content: chunk, tags: [] };
+        });
+};
+
+/**
+ * Export targets for prompts handed to code (see convertPrompts)
+ */
+export const EXPORT_TARGETS = {
+    openai: { label: 'OpenAI messages (JSON)', extension: 'json', mimeType: 'application/json' },
+    anthropic: { label: 'Anthropic messages (JSON)', extension: 'json', mimeType: 'application/json' },
+    jinja2: { label: 'Jinja2 template', extension: 'j2', mimeType: 'text/plain' },
+    fstring: { label: 'Python module (f-strings)', extension: 'py', mimeType: 'text/x-python' },
+    'string-template': { label: 'Python module (string.Template)', extension: 'py', mimeType: 'text/x-python' },
+    js: { label: 'JavaScript module (template literals)', extension: 'js', mimeType: 'text/javascript' }
+};
+
+const PYTHON_KEYWORDS = ['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield'];
+const PYTHON_RESERVED = [...PYTHON_KEYWORDS, 'parts', 'json', 'textwrap', 'Template', '_FALSE_VALUES', '_is_truthy', '_to_list'];
+// Jinja2 compiles to Python, so Python's keywords are off limits too
+const JINJA_RESERVED = [...PYTHON_KEYWORDS, 'true', 'false', 'none', 'loop', 'self', 'caller', 'varargs', 'kwargs', 'super', 'range', 'dict', 'lipsum', 'cycler', 'joiner', 'namespace'];
+const JS_RESERVED = ['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield', 'await', 'arguments', 'eval', 'FALSE_VALUES', 'isTruthy', 'toList'];
+
+/**
+ * Role section headings in prompt content, as written by messagesToContent
+ */
+const ROLE_HEADING = /^###[ \t]+(system|developer|user|assistant)[ \t]*$/i;
+
+/**
+ * Split prompt text into chat messages by its "### System" / "### User" / "### Assistant" sections
+ * Text without sections (or before the first one) is a user message.
+ */
+export const contentToMessages = (text) => {
+    const messages = [{ role: 'user', lines: [] }];
+    text.split('\n').forEach(line => {
+        const heading = line.match(ROLE_HEADING);
+        if (heading) {
+            messages.push({ role: heading[1].toLowerCase(), lines: [] });
+        } else {
+            messages[messages.length - 1].lines.push(line);
+        }
+    });
+
+    return messages
+        .map(({ role, lines }) => ({ role, content: lines.join('\n').trim() }))
+        .filter(message => message.content !== '');
+};
+
+/**
+ * Read a whole-number filter argument, falling back when missing or invalid
+ */
+const toCount = (arg, fallback) => {
+    const count = parseInt(arg, 10);
+    return Number.isFinite(count) && count >= 0 ? count : fallback;
+};
+
+/**
+ * Turn a name into an identifier: "first name" becomes first_name (snake) or firstName (camel)
+ * With `lower`, every word is lowercased first (for function names made from titles).
+ */
+const toIdentifier = (name, style, lower = false) => {
+    const words = name.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(word => lower ? word.toLowerCase() : word);
+    const identifier = style === 'camel'
+        ? words.map((word, index) => index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1)).join('')
+        : words.join('_');
+    return /^\d/.test(identifier) ? `_${identifier}` : identifier || 'value';
+};
+
+/**
+ * Create a function giving each name a unique identifier that avoids reserved words
+ */
+const createNamer = (style, reserved, lower = false) => {
+    const names = new Map();
+    const used = new Set(reserved);
+
+    return (name) => {
+        if (!names.has(name)) {
+            let base = toIdentifier(name, style, lower);
+            if (used.has(base) && reserved.includes(base)) base = `${base}_`;
+            let identifier = base;
+            for (let number = 2; used.has(identifier); number++) {
+                identifier = style === 'camel' ? `${base}${number}` : `${base}_${number}`;
+            }
+            used.add(identifier);
+            names.set(name, identifier);
+        }
+        return names.get(name);
+    };
+};
+
+/**
+ * Value filters in each target: (expression, args) => expression
+ * Filters missing from a target are left out with a warning.
+ */
+const TARGET_FILTERS = {
+    jinja2: {
+        upper: (value) => `${value} | upper`,
+        lower: (value) => `${value} | lower`,
+        capitalize: (value) => `${value} | title`,
+        trim: (value) => `${value} | trim`,
+        oneline: (value) => `${value} | replace("\\n", " ") | trim`,
+        indent: (value, [width]) => `${value} | indent(${toCount(width, 4)}, true)`,
+        json: (value) => `${value} | tojson`,
+        // Jinja's own truncate counts the "..." and keeps values up to that length, so spell PromptBoard's out
+        truncate: (value, [length]) => {
+            const count = toCount(length, 100);
+            return `(((${value})[:${count}] | trim) ~ "..." if (${value}) | length > ${count} else (${value}))`;
+        }
+    },
+    fstring: {
+        upper: (value) => `${value}.upper()`,
+        lower: (value) => `${value}.lower()`,
+        capitalize: (value) => `${value}.title()`,
+        trim: (value) => `${value}.strip()`,
+        oneline: (value) => `" ".join(${value}.split())`,
+        indent: (value, [width]) => `textwrap.indent(${value}, "${' '.repeat(toCount(width, 4))}")`,
+        json: (value) => `json.dumps(${value})`,
+        truncate: (value, [length]) => {
+            const count = toCount(length, 100);
+            return `(${value}[:${count}].strip() + "..." if len(${value}) > ${count} else ${value})`;
+        }
+    },
+    js: {
+        upper: (value) => `${value}.toUpperCase()`,
+        lower: (value) => `${value}.toLowerCase()`,
+        capitalize: (value) => `${value}.replace(/(^|\\s)(\\S)/g, (match, space, char) => space + char.toUpperCase())`,
+        trim: (value) => `${value}.trim()`,
+        oneline: (value) => `${value}.replace(/\\s*\\n\\s*/g, ' ').trim()`,
+        indent: (value, [width]) => `${value}.replace(/^(?=.)/gm, '${' '.repeat(toCount(width, 4))}')`,
+        bullets: (value, [marker = '-']) => `${value}.split('\\n').map((line) => line.trim()).filter(Boolean).map((line) => ${JSON.stringify(`${marker} `)} + line).join('\\n')`,
+        numbered: (value) => `${value}.split('\\n').map((line) => line.trim()).filter(Boolean).map((line, index) => (index + 1) + '. ' + line).join('\\n')`,
+        quote: (value) => `${value}.split('\\n').map((line) => '> ' + line).join('\\n')`,
+        json: (value) => `JSON.stringify(${value})`,
+        truncate: (value, [length]) => {
+            const count = toCount(length, 100);
+            return `(${value}.length > ${count} ? ${value}.slice(0, ${count}).trim() + '...' : ${value})`;
+        }
+    }
+};
+
+/**
+ * Apply a variable's filters in a target, recording the ones it can't express
+ */
+const applyTargetFilters = (expression, filters, target, context) => {
+    return filters.reduce((result, filter) => {
+        const convert = TARGET_FILTERS[target][filter.name];
+        if (!convert) {
+            context.warnings.add(`Filter "!${filter.name}" has no ${EXPORT_TARGETS[target].label} equivalent and was left out`);
+            return result;
+        }
+        if (filter.name === 'json') context.imports.add('json');
+        if (filter.name === 'indent') context.imports.add('textwrap');
+        return convert(result, filter.args);
+    }, expression);
+};
+
+/**
+ * Expression for a variable node, or a loop variable inside #each
+ */
+const getLoopExpression = (name, loop, target) => {
+    if (!loop) return null;
+    if (name === 'this') return loop.item;
+    if (name === '@index') return target === 'jinja2' ? 'loop.index0' : loop.index;
+    if (name === '@number') return target === 'jinja2' ? 'loop.index' : `${loop.index} + 1`;
+    return null;
+};
+
+/**
+ * Expression for a name: a loop variable inside #each, otherwise the placeholder's identifier
+ * As in PromptBoard, a placeholder's default (from any of its occurrences) applies when its value is empty.
+ */
+const getValueExpression = (name, loop, target, context) => {
+    const loopExpression = getLoopExpression(name, loop, target);
+    if (loopExpression) return loopExpression;
+
+    const identifier = context.name(name);
+    const placeholder = context.placeholders.get(name);
+    if (!placeholder?.hasDefault) return identifier;
+
+    // Bools take their default only when left out, so an explicit false isn't replaced (see getParameters)
+    const defaultValue = JSON.stringify(placeholder.defaultValue);
+    if (placeholder.type === 'bool') {
+        return target === 'jinja2' ? `${identifier} | default(${defaultValue})` : identifier;
+    }
+    switch (target) {
+        case 'jinja2':
+            return `${identifier} | default(${defaultValue}, true)`;
+        case 'fstring':
+            return `(${identifier} or ${defaultValue})`;
+        default:
+            return `(${identifier} || ${defaultValue})`;
+    }
+};
+
+/**
+ * Condition for #if and #unless with PromptBoard's truthiness: empty, "false", "no", "off" and "0" are false
+ * The JavaScript and Python modules get isTruthy helpers (see TARGET_HELPERS).
+ */
+const getCondition = (node, loop, target, context) => {
+    const value = getValueExpression(node.name, loop, target, context);
+    const isUnless = node.type === 'unless';
+    switch (target) {
+        case 'jinja2': {
+            const condition = `(${value}) | string | trim | lower not in ["", "false", "no", "off", "0", "none"]`;
+            return isUnless ? `not (${condition})` : condition;
+        }
+        case 'fstring':
+            context.imports.add('helpers');
+            return `${isUnless ? 'not ' : ''}_is_truthy(${value})`;
+        default:
+            context.imports.add('helpers');
+            return `${isUnless ? '!' : ''}isTruthy(${value})`;
+    }
+};
+
+/**
+ * Items for #each: a list as is, or a value split into its non-empty lines as in PromptBoard
+ */
+const getListExpression = (node, loop, target, context) => {
+    const value = getValueExpression(node.name, loop, target, context);
+    switch (target) {
+        case 'jinja2':
+            return `((${value}).split("\\n") | map("trim") | select | list if (${value}) is string else (${value}))`;
+        case 'fstring':
+            context.imports.add('helpers');
+            return `_to_list(${value})`;
+        default:
+            context.imports.add('helpers');
+            return `toList(${value})`;
+    }
+};
+
+/**
+ * Helpers the JavaScript and Python modules use for #if and #each, matching PromptBoard's rules
+ */
+const TARGET_HELPERS = {
+    js: [
+        "const FALSE_VALUES = ['', 'false', 'no', 'off', '0'];",
+        'const isTruthy = (value) => typeof value === \'boolean\' ? value : !FALSE_VALUES.includes(String(value ?? \'\').trim().toLowerCase());',
+        'const toList = (value) => Array.isArray(value) ? value : String(value ?? \'\').split(\'\\n\').map((item) => item.trim()).filter(Boolean);'
+    ].join('\n'),
+    fstring: [
+        '_FALSE_VALUES = ("", "false", "no", "off", "0")',
+        '',
+        '',
+        'def _is_truthy(value) -> bool:',
+        '    if isinstance(value, bool):',
+        '        return value',
+        '    return str("" if value is None else value).strip().lower() not in _FALSE_VALUES',
+        '',
+        '',
+        'def _to_list(value) -> list:',
+        '    if isinstance(value, str):',
+        '        return [item.strip() for item in value.split("\\n") if item.strip()]',
+        '    return list(value or ())'
+    ].join('\n')
+};
+
+/**
+ * Parameters of a generated function, each with a default so left-out values render as empty (or their default)
+ */
+const getParameters = (placeholders, target, context) => placeholders.map(placeholder => {
+    const identifier = context.name(placeholder.name);
+    const isList = context.lists.has(placeholder.name) || placeholder.type === 'list';
+    const isBool = placeholder.type === 'bool';
+    const isOn = placeholder.hasDefault && placeholder.defaultValue === 'true';
+
+    if (target === 'fstring') {
+        if (isList) return `${identifier}: list = ()`;
+        if (isBool) return `${identifier}: bool = ${isOn ? 'True' : 'False'}`;
+        return `${identifier}: str = ${JSON.stringify(placeholder.hasDefault ? placeholder.defaultValue : '')}`;
+    }
+    if (isList) return `${identifier} = []`;
+    if (isBool) return `${identifier} = ${isOn}`;
+    return `${identifier} = ${JSON.stringify(placeholder.hasDefault ? placeholder.defaultValue : '')}`;
+});
+
+/**
+ * Convert template nodes to Jinja2
+ */
+const toJinja = (nodes, context, loop = null) => nodes.map(node => {
+    switch (node.type) {
+        case 'text':
+            return node.value.replace(/\{[{%#]/g, (match) => `{{ "${match}" }}`);
+        case 'variable': {
+            const base = getValueExpression(node.placeholder.name, loop, 'jinja2', context);
+            return `{{ ${applyTargetFilters(base, node.filters, 'jinja2', context)} }}`;
+        }
+        case 'partial':
+            return toJinja(node.nodes, context, loop);
+        case 'if':
+        case 'unless': {
+            const condition = getCondition(node, loop, 'jinja2', context);
+            const elsePart = node.elseBody.length > 0 ? `{% else %}${toJinja(node.elseBody, context, loop)}` : '';
+            return `{% if ${condition} %}${toJinja(node.body, context, loop)}${elsePart}{% endif %}`;
+        }
+        case 'each': {
+            const inner = context.nameLoop(loop);
+            const elsePart = node.elseBody.length > 0 ? `{% else %}${toJinja(node.elseBody, context, loop)}` : '';
+            return `{% for ${inner.item} in ${getListExpression(node, loop, 'jinja2', context)} %}${toJinja(node.body, context, inner)}${elsePart}{% endfor %}`;
+        }
+        default:
+            return '';
+    }
+}).join('');
+
+/**
+ * Convert template nodes to a JavaScript template literal body
+ */
+const toTemplateLiteral = (nodes, context, loop = null) => nodes.map(node => {
+    switch (node.type) {
+        case 'text':
+            return node.value.replace(/\\/g, '\\\\').replace(/`/g, '\\`').replace(/\$\{/g, '\\${');
+        case 'variable': {
+            const { name } = node.placeholder;
+            const base = loop && (name === '@number' || name === '@index')
+                ? `String(${getLoopExpression(name, loop, 'js')})`
+                : getValueExpression(name, loop, 'js', context);
+            return `\${${applyTargetFilters(base, node.filters, 'js', context)}}`;
+        }
+        case 'partial':
+            return toTemplateLiteral(node.nodes, context, loop);
+        case 'if':
+        case 'unless': {
+            const [shown, hidden] = node.type === 'if' ? [node.body, node.elseBody] : [node.elseBody, node.body];
+            const literal = (branch) => branch.length > 0 ? `\`${toTemplateLiteral(branch, context, loop)}\`` : `''`;
+            return `\${${getCondition({ ...node, type: 'if' }, loop, 'js', context)} ? ${literal(shown)} : ${literal(hidden)}}`;
+        }
+        case 'each': {
+            const list = getListExpression(node, loop, 'js', context);
+            const inner = context.nameLoop(loop);
+            context.lists.add(node.name);
+            const items = `${list}.map((${inner.item}, ${inner.index}) => \`${toTemplateLiteral(node.body, context, inner)}\`).join('')`;
+            return node.elseBody.length > 0
+                ? `\${${list}.length > 0 ? ${items} : \`${toTemplateLiteral(node.elseBody, context, loop)}\`}`
+                : `\${${items}}`;
+        }
+        default:
+            return '';
+    }
+}).join('');
+
+/**
+ * Write a Python triple-quoted string from pieces ({ text } or { expression }); an f-string when it has expressions
+ */
+const toPythonString = (pieces, { dollars = false } = {}) => {
+    const isFString = pieces.some(piece => piece.expression !== undefined);
+    let body = pieces.map(piece => {
+        if (piece.expression !== undefined) return `{${piece.expression}}`;
+        let text = piece.text.replace(/\\/g, '\\\\').replace(/"""/g, '\\"\\"\\"');
+        if (isFString) text = text.replace(/\{/g, '{{').replace(/\}/g, '}}');
+        if (dollars) text = text.replace(/\$/g, '$$$$');
+        return text;
+    }).join('');
+    if (body.endsWith('"') && !body.endsWith('\\"')) {
+        body = `${body.slice(0, -1)}\\"`;
+    }
+    return `${isFString ? 'f' : ''}"""${body}"""`;
+};
+
+/**
+ * Convert template nodes to Python statements appending to `parts` (f-strings)
+ * Returns the code lines; a template without blocks becomes a single piece list instead.
+ */
+const toPythonStatements = (nodes, context, loop = null) => {
+    const lines = [];
+    let pieces = [];
+    const flush = () => {
+        if (pieces.length > 0) lines.push(`parts.append(${toPythonString(pieces)})`);
+        pieces = [];
+    };
+    const indent = (body) => (body.length > 0 ? body : ['pass']).map(line => `    ${line}`);
+
+    const walk = (items, currentLoop) => items.forEach(node => {
+        switch (node.type) {
+            case 'text':
+                if (node.value) pieces.push({ text: node.value });
+                break;
+            case 'variable': {
+                const base = getValueExpression(node.placeholder.name, currentLoop, 'fstring', context);
+                pieces.push({ expression: applyTargetFilters(base, node.filters, 'fstring', context) });
+                break;
+            }
+            case 'partial':
+                walk(node.nodes, currentLoop);
+                break;
+            case 'if':
+            case 'unless':
+                flush();
+                lines.push(`if ${getCondition(node, currentLoop, 'fstring', context)}:`, ...indent(toPythonStatements(node.body, context, currentLoop)));
+                if (node.elseBody.length > 0) {
+                    lines.push('else:', ...indent(toPythonStatements(node.elseBody, context, currentLoop)));
+                }
+                break;
+            case 'each': {
+                flush();
+                const list = getListExpression(node, currentLoop, 'fstring', context);
+                const inner = context.nameLoop(currentLoop);
+                const loopLines = [`for ${inner.index}, ${inner.item} in enumerate(${list}):`, ...indent(toPythonStatements(node.body, context, inner))];
+                context.lists.add(node.name);
+                if (node.elseBody.length > 0) {
+                    lines.push(`if ${list}:`, ...indent(loopLines), 'else:', ...indent(toPythonStatements(node.elseBody, context, currentLoop)));
+                } else {
+                    lines.push(...loopLines);
+                }
+                break;
+            }
+        }
+    });
+
+    walk(nodes, loop);
+    flush();
+    return lines;
+};
+
+/**
+ * Check whether template nodes use blocks (#if, #unless, #each), partials included
+ */
+const hasBlocks = (nodes) => nodes.some(node => ['if', 'unless', 'each'].includes(node.type) || (node.type === 'partial' && hasBlocks(node.nodes)));
+
+/**
+ * Convert template nodes to string.Template pieces; blocks can't be expressed
+ */
+const toStringTemplatePieces = (nodes, context) => nodes.flatMap(node => {
+    switch (node.type) {
+        case 'text':
+            return [{ text: node.value }];
+        case 'variable':
+            if (node.filters.length > 0) {
+                context.warnings.add('string.Template has no filters; filtered values are inserted as is');
+            }
+            return [{ text: `\${${context.name(node.placeholder.name)}}`, raw: true }];
+        case 'partial':
+            return toStringTemplatePieces(node.nodes, context);
+        default:
+            return [];
+    }
+});
+
+/**
+ * Prepare a prompt for conversion: its template nodes and placeholders (partials resolved with `options`)
+ * Plain text prompts (`noPlaceholders`) are one text node.
+ */
+const readPromptTemplate = (prompt, options) => {
+    if (prompt.noPlaceholders) {
+        return { nodes: [{ type: 'text', value: prompt.content }], placeholders: [] };
+    }
+    return {
+        nodes: parseTemplate(prompt.content, options),
+        placeholders: parsePlaceholders(prompt.content, null, options)
+    };
+};
+
+/**
+ * A partial tag, or an escape or raw block to pass over unchanged
+ */
+const PARTIAL_TAG = /\\\{\{|\{\{\{\{raw\}\}\}\}[\s\S]*?(?:\{\{\{\{\/raw\}\}\}\}|$)|\{\{\s*>([^}|]+)\}\}/g;
+
+/**
+ * Replace the partials in template text by the included prompts' text (cycles are caught by parseTemplate first)
+ */
+const inlinePartials = (text, options) => text.replace(PARTIAL_TAG, (match, reference) => {
+    const partial = reference !== undefined && options.resolvePartial ? options.resolvePartial(reference.trim()) : null;
+    if (!partial) return match;
+    return partial.noPlaceholders
+        ? (partial.content || '').replace(/\{\{/g, '\\{{')
+        : inlinePartials(partial.content || '', options);
+});
+
+/**
+ * Check whether template nodes use filters, partials included
+ */
+const hasFilters = (nodes) => nodes.some(node => {
+    if (node.type === 'variable') return node.filters.length > 0;
+    if (node.type === 'partial') return hasFilters(node.nodes);
+    return Boolean(node.body) && (hasFilters(node.body) || hasFilters(node.elseBody));
+});
+
+/**
+ * Build the chat messages of a prompt, keeping its template as written (partials inlined)
+ * Messages can't fill in values, so placeholders, defaults, blocks and filters are carried into the text
+ * for the caller to render; blocks and filters get a warning, as a plain "{{name}}" substitution won't do.
+ */
+const toMessages = (prompt, options, context) => {
+    if (prompt.noPlaceholders) {
+        return contentToMessages(prompt.content);
+    }
+
+    const nodes = parseTemplate(prompt.content, options);
+    if (hasBlocks(nodes) || hasFilters(nodes)) {
+        context.warnings.add('Blocks ({{#if}}, {{#each}}) and filters are kept as PromptBoard syntax in the messages; render them before sending');
+    }
+    return contentToMessages(inlinePartials(prompt.content, options));
+};
+
+/**
+ * Convert prompts to an export target (see EXPORT_TARGETS)
+ * `items` are [{ prompt, options }] with the template options resolving each prompt's partials.
+ * Returns { content, warnings }; prompts that can't be converted are skipped with a warning,
+ * or throw when converting a single prompt.
+ */
+export const convertPrompts = (items, target) => {
+    if (!EXPORT_TARGETS[target]) {
+        throw new Error(`Unknown export target "${target}"`);
+    }
+
+    const single = items.length === 1;
+    const warnings = [];
+    const imports = new Set();
+    const functionNamer = createNamer(target === 'js' ? 'camel' : 'snake', target === 'js' ? JS_RESERVED : PYTHON_RESERVED, true);
+    const blocks = [];
+
+    items.forEach(({ prompt, options }) => {
+        const context = {
+            warnings: new Set(),
+            imports,
+            placeholders: new Map(),
+            lists: new Set(),
+            name: createNamer(target === 'js' ? 'camel' : 'snake', target === 'jinja2' ? JINJA_RESERVED : target === 'js' ? JS_RESERVED : PYTHON_RESERVED),
+            nameLoop: (loop) => {
+                const depth = loop ? loop.depth + 1 : 1;
+                const suffix = depth > 1 ? ` ${depth}` : '';
+                return { depth, item: context.name(`@item${suffix}`), index: context.name(`@index${suffix}`) };
+            }
+        };
+
+        try {
+            if (target === 'openai' || target === 'anthropic') {
+                const messages = toMessages(prompt, options, context);
+                if (target === 'openai') {
+                    blocks.push({ title: prompt.title, messages });
+                } else {
+                    const system = messages.filter(message => message.role === 'system' || message.role === 'developer');
+                    blocks.push({
+                        title: prompt.title,
+                        ...(system.length > 0 && { system: system.map(message => message.content).join('\n\n') }),
+                        messages: messages.filter(message => !system.includes(message))
+                    });
+                }
+            } else {
+                blocks.push(convertTemplate(prompt, options, target, context, functionNamer, single, imports));
+            }
+
+            context.warnings.forEach(warning => warnings.push(`"${prompt.title}": ${warning}`));
+        } catch (error) {
+            if (single) throw error;
+            warnings.push(`"${prompt.title}" was skipped: ${error.message}`);
+        }
+    });
+
+    return { content: bundleTarget(blocks, target, imports, single), warnings };
+};
+
+/**
+ * Convert one prompt's template to a code target: a Jinja2 template or macro, or a Python or JavaScript function
+ */
+const convertTemplate = (prompt, options, target, context, functionNamer, single, imports) => {
+    const { nodes, placeholders } = readPromptTemplate(prompt, options);
+    placeholders.forEach(placeholder => context.name(placeholder.name));
+    context.placeholders = new Map(placeholders.map(placeholder => [placeholder.name, placeholder]));
+    const functionName = functionNamer(prompt.title);
+    const docTitle = prompt.title.replace(/\s+/g, ' ');
+
+    switch (target) {
+        case 'jinja2': {
+            const body = toJinja(nodes, context);
+            return single
+                ? `{# ${docTitle.replace(/#\}/g, '# }')} -#}\n${body}\n`
+                : `{# ${docTitle.replace(/#\}/g, '# }')} #}\n{% macro ${functionName}(${placeholders.map(placeholder => context.name(placeholder.name)).join(', ')}) -%}\n${body}\n{%- endmacro %}\n`;
+        }
+        case 'fstring': {
+            const statements = toPythonStatements(nodes, context);
+            const params = getParameters(placeholders, 'fstring', context);
+            const body = hasBlocks(nodes)
+                ? ['parts = []', ...statements, 'return "".join(parts)']
+                : [statements.length > 0 ? statements[0].replace(/^parts\.append\((.*)\)$/s, 'return $1') : 'return ""'];
+            return [
+                `def ${functionName}(${params.length > 0 ? `*, ${params.join(', ')}` : ''}) -> str:`,
+                `    ${toPythonString([{ text: docTitle }])}`,
+                ...body.map(line => `    ${line}`)
+            ].join('\n') + '\n';
+        }
+        case 'string-template': {
+            if (hasBlocks(nodes)) {
+                throw new Error('string.Template has no #if or #each blocks; export this prompt as a Python f-string module instead');
+            }
+            imports.add('Template');
+            const constant = functionName.toUpperCase();
+            const pieces = toStringTemplatePieces(nodes, context);
+            const templateText = pieces.map(piece => piece.raw ? piece.text : piece.text.replace(/\$/g, '$$$$')).join('');
+            const defaults = placeholders
+                .filter(placeholder => placeholder.hasDefault)
+                .map(placeholder => `${JSON.stringify(context.name(placeholder.name))}: ${JSON.stringify(placeholder.defaultValue)}`);
+            return [
+                `${constant} = Template(${toPythonString([{ text: templateText }])})`,
+                `${constant}_DEFAULTS = {${defaults.join(', ')}}`,
+                '',
+                '',
+                `def ${functionName}(**values) -> str:`,
+                `    ${toPythonString([{ text: docTitle }])}`,
+                `    return ${constant}.safe_substitute({**${constant}_DEFAULTS, **{name: value for name, value in values.items() if value != ""}})`
+            ].join('\n') + '\n';
+        }
+        case 'js': {
+            const literal = toTemplateLiteral(nodes, context);
+            const params = getParameters(placeholders, 'js', context);
+            return [
+                '/**',
+                ` * ${docTitle.replace(/\*\//g, '* /')}`,
+                ' */',
+                `export const ${functionName} = (${params.length > 0 ? `{ ${params.join(', ')} } = {}` : ''}) => \`${literal}\`;`
+            ].join('\n') + '\n';
+        }
+        default:
+            return '';
+    }
+};
+
+/**
+ * Join converted prompts into the file for a target
+ */
+const bundleTarget = (blocks, target, imports, single) => {
+    switch (target) {
+        case 'openai':
+        case 'anthropic': {
+            const payloads = single ? blocks.map(({ title, ...payload }) => payload) : blocks;
+            return JSON.stringify(single ? payloads[0] || {} : payloads, null, 2) + '\n';
+        }
+        case 'jinja2':
+            return single
+                ? blocks.join('')
+                : `{# Prompts exported from PromptBoard; use {% from "prompts.j2" import name %} #}\n\n${blocks.join('\n')}`;
+        case 'fstring':
+        case 'string-template': {
+            const importLines = [
+                ...['json', 'textwrap'].filter(name => imports.has(name)).map(name => `import ${name}`),
+                ...(imports.has('Template') ? ['from string import Template'] : [])
+            ];
+            const helpers = imports.has('helpers') ? [TARGET_HELPERS.fstring, '', ''] : [];
+            return ['"""Prompts exported from PromptBoard."""', '', ...(importLines.length > 0 ? [...importLines, ''] : []), '', ...helpers, blocks.join('\n\n')].join('\n');
+        }
+        case 'js': {
+            const helpers = imports.has('helpers') ? `${TARGET_HELPERS.js}\n\n` : '';
+            return `/**\n * Prompts exported from PromptBoard\n */\n\n${helpers}${blocks.join('\n')}`;
+        }
+        default:
+            return '';
+    }
+};
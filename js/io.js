@@ -1,20 +1,37 @@
 /**
- * I/O module - handles import/export functionality (JSON and Markdown)
+ * I/O module - handles import/export functionality (JSON, Markdown, CSV, ZIP folders and other tools' formats) and batch datasets
  */
 
-import { getState, getPreferences, resetChangeCounter, saveLocalBackup, getLocalBackups } from './storage.js';
-import { downloadFile, formatDate, formatDateTime } from './utils.js';
-import { batchCreatePrompts } from './logic.js';
+import { getState, getPreferences, resetChangeCounter, saveLocalBackup, getLocalBackups, isUuid } from './storage.js';
+import { downloadFile, formatDate, formatDateTime, parseCSV, toCSV, slugify, sanitizeHTML, truncate, parseTagsString, parseFrontMatter, toFrontMatter, CSV_DELIMITERS } from './utils.js';
+import { createZip, readZip } from './zip.js';
+import { parseToolJSON, isAwesomePromptsCSV, parseAwesomePromptsCSV, parsePlainText, convertPrompts, EXPORT_TARGETS } from './formats.js';
+import { batchCreatePrompts, mergeCollections, mergeVariableSettings, getPromptTemplateOptions, previewImport, getDefaultResolution } from './logic.js';
 import { showToast, showConfirmDialog } from './render.js';
 
+/**
+ * Get state for export, leaving out trashed prompts unless requested
+ */
+const getExportState = (includeTrash = false) => {
+    const state = getState();
+    return includeTrash
+        ? state
+        : { ...state, prompts: state.prompts.filter(prompt => !prompt.deletedAt) };
+};
+
 /**
  * Export all data as JSON
  */
-export const exportToJSON = () => {
+export const exportToJSON = (includeTrash = false) => {
     try {
-        const state = getState();
+        const state = getExportState(includeTrash);
         const exportData = {
             ...state,
+            collections: getPreferences().savedCollections || [],
+            variables: {
+                globals: getPreferences().globalVariables || {},
+                profiles: getPreferences().variableProfiles || []
+            },
             exportedAt: Date.now(),
             exportedBy: 'PromptBoard'
         };
@@ -36,9 +53,9 @@ export const exportToJSON = () => {
 /**
  * Export all data as Markdown
  */
-export const exportToMarkdown = () => {
+export const exportToMarkdown = (includeTrash = false) => {
     try {
-        const state = getState();
+        const state = getExportState(includeTrash);
         const prompts = state.prompts || [];
 
         if (prompts.length === 0) {
@@ -58,10 +75,18 @@ export const exportToMarkdown = () => {
         sortedPrompts.forEach((prompt, index) => {
             markdown += `## ${prompt.title}\n\n`;
             
+            if (prompt.deletedAt) {
+                markdown += `*In trash since: ${formatDate(prompt.deletedAt)}*\n\n`;
+            }
+            
             if (prompt.tags && prompt.tags.length > 0) {
                 markdown += `**Tags:** ${prompt.tags.join(', ')}\n\n`;
             }
             
+            if (prompt.noPlaceholders) {
+                markdown += `**Placeholders:** off\n\n`;
+            }
+            
             if (prompt.content) {
                 markdown += `${prompt.content}\n\n`;
             }
@@ -87,11 +112,163 @@ export const exportToMarkdown = () => {
 };
 
 /**
- * Parse and validate imported JSON data
+ * Prompt fields in CSV files, with the header names recognized for each when guessing the column mapping
+ */
+const CSV_FIELDS = [
+    { key: 'title', label: 'Title', aliases: ['title', 'name', 'prompt name'] },
+    { key: 'content', label: 'Content', aliases: ['content', 'prompt', 'text', 'body', 'template'] },
+    { key: 'tags', label: 'Tags', aliases: ['tags', 'tag', 'labels', 'category', 'categories'] },
+    { key: 'createdAt', label: 'Created', aliases: ['created at', 'created', 'date created'] },
+    { key: 'updatedAt', label: 'Updated', aliases: ['updated at', 'updated', 'modified', 'last modified'] },
+    { key: 'deletedAt', label: 'In trash since', aliases: ['deleted at', 'trashed at', 'in trash since'] }
+];
+
+/**
+ * Export all data as CSV (one row per prompt; tags comma-separated, dates as ISO 8601)
+ * Multi-line content is quoted, so it survives the round trip through a spreadsheet. With trash included,
+ * a deletedAt column keeps trashed prompts in the trash when the file is imported again.
+ */
+export const exportToCSV = (includeTrash = false, delimiterKey = 'comma') => {
+    try {
+        const state = getExportState(includeTrash);
+        const prompts = state.prompts || [];
+
+        if (prompts.length === 0) {
+            showToast('No prompts to export', 'warning');
+            return false;
+        }
+
+        const delimiter = (CSV_DELIMITERS[delimiterKey] || CSV_DELIMITERS.comma).char;
+        const sortedPrompts = [...prompts].sort((a, b) => b.updatedAt - a.updatedAt);
+        const fields = includeTrash ? CSV_FIELDS : CSV_FIELDS.filter(field => field.key !== 'deletedAt');
+        const rows = [
+            fields.map(field => field.key),
+            ...sortedPrompts.map(prompt => [
+                prompt.title,
+                prompt.content,
+                prompt.tags.join(', '),
+                new Date(prompt.createdAt).toISOString(),
+                new Date(prompt.updatedAt).toISOString(),
+                ...(includeTrash ? [prompt.deletedAt ? new Date(prompt.deletedAt).toISOString() : ''] : [])
+            ])
+        ];
+
+        // The byte order mark makes Excel read the file as UTF-8
+        const csv = '\uFEFF' + toCSV(rows, delimiter) + '\r\n';
+        const isTab = delimiter === '\t';
+        const filename = `promptboard-export-${new Date().toISOString().split('T')[0]}.${isTab ? 'tsv' : 'csv'}`;
+
+        downloadFile(csv, filename, isTab ? 'text/tab-separated-values' : 'text/csv');
+        showToast('CSV export downloaded', 'success');
+
+        return true;
+    } catch (error) {
+        console.error('CSV export failed:', error);
+        showToast('CSV export failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Make a tag segment safe as a folder name (characters not allowed in file names become "-")
+ */
+const toFolderName = (segment) => {
+    return segment.replace(/[<>:"\\|?*\u0000-\u001f]/g, '-').replace(/^[.\s]+|[.\s]+$/g, '') || '_';
+};
+
+/**
+ * Export prompts as a ZIP of Markdown files, one per prompt, for reviewing prompts in git
+ * Each file has YAML front matter (id, title, tags, timestamps) and the content as body.
+ * The first tag becomes the folder ("team/docs" → team/docs/) and the title the file name.
+ */
+export const exportToZip = (includeTrash = false) => {
+    try {
+        const prompts = getExportState(includeTrash).prompts || [];
+
+        if (prompts.length === 0) {
+            showToast('No prompts to export', 'warning');
+            return false;
+        }
+
+        // Oldest first, so files for equal titles keep their numbers from one export to the next
+        const sortedPrompts = [...prompts].sort((a, b) => a.createdAt - b.createdAt || a.id.localeCompare(b.id));
+        const usedPaths = new Set();
+
+        const files = sortedPrompts.map(prompt => {
+            const folder = prompt.tags.length > 0 ? `${prompt.tags[0].split('/').map(toFolderName).join('/')}/` : '';
+            const baseName = slugify(prompt.title) || 'prompt';
+            let path = `${folder}${baseName}.md`;
+            for (let number = 2; usedPaths.has(path.toLowerCase()); number++) {
+                path = `${folder}${baseName}-${number}.md`;
+            }
+            usedPaths.add(path.toLowerCase());
+
+            const frontMatter = toFrontMatter({
+                id: prompt.id,
+                title: prompt.title,
+                tags: prompt.tags,
+                noPlaceholders: prompt.noPlaceholders ? true : undefined,
+                createdAt: new Date(prompt.createdAt).toISOString(),
+                updatedAt: new Date(prompt.updatedAt).toISOString(),
+                deletedAt: prompt.deletedAt ? new Date(prompt.deletedAt).toISOString() : undefined
+            });
+
+            return { name: path, content: frontMatter + (prompt.content ? `\n${prompt.content}\n` : '') };
+        });
+
+        files.sort((a, b) => a.name.localeCompare(b.name));
+        const filename = `promptboard-prompts-${new Date().toISOString().split('T')[0]}.zip`;
+
+        downloadFile(createZip(files), filename, 'application/zip');
+        showToast(`ZIP export downloaded (${files.length} file${files.length !== 1 ? 's' : ''})`, 'success');
+
+        return true;
+    } catch (error) {
+        console.error('ZIP export failed:', error);
+        showToast('ZIP export failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Convert prompts to a code export target (see EXPORT_TARGETS)
+ * A single prompt is named after its title; several go into one file of functions (or macros, or payloads).
+ * Returns { content, warnings, fileName, mimeType }; throws when a single prompt can't be converted.
  */
-const parseImportData = (jsonString) => {
+export const getCodeExport = (prompts, target) => {
+    const { content, warnings } = convertPrompts(
+        prompts.map(prompt => ({ prompt, options: getPromptTemplateOptions(prompt) })),
+        target
+    );
+    const { extension, mimeType } = EXPORT_TARGETS[target];
+    let baseName = prompts.length === 1 ? slugify(prompts[0].title) || 'prompt' : 'prompts';
+    if (extension === 'json') {
+        baseName = `${baseName}-${target}`;
+    } else if (extension === 'py') {
+        // Python modules are imported by file name, so it has to be an identifier
+        baseName = baseName.replace(/-/g, '_').replace(/^(\d)/, '_$1');
+    }
+
+    return { content, warnings, fileName: `${baseName}.${extension}`, mimeType };
+};
+
+/**
+ * Download a code export made by getCodeExport
+ */
+export const downloadCodeExport = (codeExport) => {
+    downloadFile(codeExport.content, codeExport.fileName, codeExport.mimeType);
+    showToast(`Downloaded ${codeExport.fileName}`, 'success');
+};
+
+/**
+ * Parse and validate imported JSON data (or JSONL, one value per line)
+ * Chat messages and LangChain templates are detected and converted (see parseToolJSON).
+ */
+const parseImportData = (jsonString, fileName = '') => {
     try {
-        const data = JSON.parse(jsonString);
+        const data = /\.jsonl$/i.test(fileName)
+            ? jsonString.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line))
+            : JSON.parse(jsonString);
         
         // Check if it's a valid PromptBoard export
         if (!data || typeof data !== 'object') {
@@ -100,8 +277,13 @@ const parseImportData = (jsonString) => {
 
         // Extract prompts array
         let prompts = [];
+        let format = 'PromptBoard JSON';
+        const toolData = parseToolJSON(data, fileName);
         
-        if (Array.isArray(data)) {
+        if (toolData) {
+            // Another tool's format, already converted to prompt data
+            ({ prompts, format } = toolData);
+        } else if (Array.isArray(data)) {
             // Direct array of prompts
             prompts = data;
         } else if (data.prompts && Array.isArray(data.prompts)) {
@@ -128,11 +310,16 @@ const parseImportData = (jsonString) => {
 
             // Normalize prompt data
             const normalizedPrompt = {
+                // Kept so a re-imported export updates the prompts it came from (uuids only, see isUuid)
+                id: isUuid(prompt.id) ? prompt.id : undefined,
                 title: prompt.title.trim(),
                 content: prompt.content || '',
                 tags: Array.isArray(prompt.tags) ? prompt.tags : [],
-                createdAt: prompt.createdAt || Date.now(),
-                updatedAt: prompt.updatedAt || Date.now()
+                noPlaceholders: prompt.noPlaceholders === true,
+                createdAt: parseImportTimestamp(prompt.createdAt) || Date.now(),
+                updatedAt: parseImportTimestamp(prompt.updatedAt) || Date.now(),
+                deletedAt: parseImportTimestamp(prompt.deletedAt),
+                history: Array.isArray(prompt.history) ? prompt.history : []
             };
 
             validPrompts.push(normalizedPrompt);
@@ -144,9 +331,12 @@ const parseImportData = (jsonString) => {
 
         return {
             prompts: validPrompts,
+            collections: Array.isArray(data.collections) ? data.collections : [],
+            variables: data.variables && typeof data.variables === 'object' ? data.variables : {},
             errors: errors,
             totalCount: prompts.length,
-            validCount: validPrompts.length
+            validCount: validPrompts.length,
+            format
         };
 
     } catch (error) {
@@ -157,6 +347,256 @@ const parseImportData = (jsonString) => {
     }
 };
 
+/**
+ * Read a list of tags from front matter (a YAML list or a comma-separated string)
+ */
+const toTagList = (value) => {
+    if (Array.isArray(value)) return value.filter(tag => tag !== null).map(String);
+    if (typeof value === 'string') return parseTagsString(value);
+    return [];
+};
+
+/**
+ * Take the metadata lines PromptBoard writes above the content (trash date, tags, placeholders flag)
+ * Each one is followed by a blank line; whatever follows them is the content.
+ */
+const takeMarkdownMetadata = (section) => {
+    const metadata = { tags: [], noPlaceholders: false, deletedAt: null };
+    const metadataLine = /^\n*(?:\*In trash since: ([^\n]*)\*|\*\*Tags:\*\* ([^\n]*)|\*\*Placeholders:\*\* off)[ \t]*(?:\n\n|\n?$)/;
+    let rest = section;
+    let match;
+
+    while ((match = rest.match(metadataLine))) {
+        if (match[1] !== undefined) {
+            metadata.deletedAt = Date.parse(match[1]) || Date.now();
+        } else if (match[2] !== undefined) {
+            metadata.tags = parseTagsString(match[2]);
+        } else {
+            metadata.noPlaceholders = true;
+        }
+        rest = rest.slice(match[0].length);
+    }
+
+    return { ...metadata, content: rest.trim() };
+};
+
+/**
+ * Parse the body of a PromptBoard Markdown export (see exportToMarkdown)
+ * Prompts are split on their "*Created:*" / "*Updated:*" footer, so content may contain headings and rules.
+ */
+const parsePromptBoardMarkdown = (text) => {
+    const prompts = [];
+    const errors = [];
+    const footer = /\n\*Created: ([^\n]*)\*\n\*Updated: ([^\n]*)\*[ \t]*\n*(?:---[ \t]*\n+|$)/;
+    const headerEnd = text.indexOf('\n---\n');
+    let rest = headerEnd === -1 ? '' : text.slice(headerEnd + 5);
+
+    while (rest.trim()) {
+        const heading = rest.match(/^\s*## ([^\n]*)\n/);
+        const end = heading && rest.match(footer);
+        if (!heading || !end) {
+            errors.push(`Item ${prompts.length + errors.length + 1}: Expected "## Title" … "*Updated: …*"`);
+            break;
+        }
+
+        const { content, ...metadata } = takeMarkdownMetadata(rest.slice(heading[0].length, end.index));
+        if (!heading[1].trim()) {
+            errors.push(`Item ${prompts.length + errors.length + 1}: Missing title`);
+        } else {
+            prompts.push({
+                title: heading[1].trim(),
+                content,
+                ...metadata,
+                createdAt: Date.parse(end[1]) || Date.now(),
+                updatedAt: Date.parse(end[2]) || Date.now(),
+                history: []
+            });
+        }
+        rest = rest.slice(end.index + end[0].length);
+    }
+
+    return { prompts, errors };
+};
+
+/**
+ * Parse generic Markdown where each heading starts a prompt
+ * Prompts use the highest heading level, or the next one when a single heading above them titles the document.
+ * Deeper headings stay in the content; headings in fenced code blocks are ignored.
+ */
+const parseHeadingMarkdown = (text, { title, tags, noPlaceholders }) => {
+    const lines = text.split('\n');
+    const headings = [];
+    let fence = null;
+
+    lines.forEach((line, index) => {
+        const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+        if (fenceMatch) {
+            if (!fence) {
+                fence = fenceMatch[1];
+            } else if (fenceMatch[1].startsWith(fence)) {
+                fence = null;
+            }
+            return;
+        }
+        const heading = !fence && line.match(/^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+        if (heading) {
+            headings.push({ index, level: heading[1].length, title: heading[2] });
+        }
+    });
+
+    const trimSection = (sectionLines) => sectionLines.join('\n').replace(/(?:\n[ \t]*(?:---|\*\*\*|___)[ \t]*)+\s*$/, '');
+
+    // A whole file is one prompt when it has a title in front matter or no headings
+    if (title || headings.length === 0) {
+        const { content, ...metadata } = takeMarkdownMetadata(trimSection(lines));
+        return {
+            prompts: content || title ? [{ ...metadata, title: title || 'Untitled', content, tags: [...tags, ...metadata.tags], noPlaceholders: noPlaceholders || metadata.noPlaceholders }] : [],
+            errors: []
+        };
+    }
+
+    let level = Math.min(...headings.map(heading => heading.level));
+    const deeper = headings.filter(heading => heading.level > level);
+    if (headings.filter(heading => heading.level === level).length === 1 && deeper.length > 0) {
+        level = Math.min(...deeper.map(heading => heading.level));
+    }
+
+    const prompts = [];
+    const errors = [];
+    const starts = headings.filter(heading => heading.level === level);
+
+    starts.forEach((heading, position) => {
+        const next = headings.find(other => other.index > heading.index && other.level <= level);
+        const { content, ...metadata } = takeMarkdownMetadata(trimSection(lines.slice(heading.index + 1, next ? next.index : lines.length)));
+
+        if (!heading.title) {
+            errors.push(`Heading ${position + 1} (line ${heading.index + 1}): Missing title`);
+            return;
+        }
+        prompts.push({
+            ...metadata,
+            title: heading.title,
+            content,
+            tags: [...tags, ...metadata.tags],
+            noPlaceholders: noPlaceholders || metadata.noPlaceholders
+        });
+    });
+
+    return { prompts, errors };
+};
+
+/**
+ * Parse imported Markdown: a PromptBoard export, or generic Markdown with one prompt per heading
+ * Optional YAML front matter sets tags for every prompt (and the title, for a single-prompt file).
+ */
+const parseMarkdownImport = (text, fileName = '') => {
+    const { data, body } = parseFrontMatter(text.replace(/\r\n?/g, '\n'));
+    const isExport = /^\s*# PromptBoard Export\s*\n/.test(body);
+
+    const { prompts, errors } = isExport
+        ? parsePromptBoardMarkdown(body)
+        : parseHeadingMarkdown(body, {
+            title: typeof data.title === 'string' || typeof data.title === 'number' ? String(data.title).trim() : '',
+            tags: toTagList(data.tags),
+            noPlaceholders: data.noPlaceholders === true || data.placeholders === false
+        });
+
+    // A single prompt without a heading or title is named after the file
+    if (prompts.length === 1 && prompts[0].title === 'Untitled' && fileName) {
+        prompts[0].title = fileName.replace(/\.(md|markdown)$/i, '');
+    }
+
+    return {
+        prompts,
+        collections: [],
+        variables: {},
+        errors,
+        totalCount: prompts.length + errors.length,
+        validCount: prompts.length,
+        format: isExport ? 'PromptBoard Markdown' : 'Markdown'
+    };
+};
+
+/**
+ * How each import preview status is shown
+ */
+const IMPORT_STATUSES = {
+    new: { label: 'New', className: 'bg-green-900 text-green-300' },
+    identical: { label: 'Identical', className: 'bg-gray-600 text-gray-300' },
+    updated: { label: 'Updated remotely', className: 'bg-blue-900 text-blue-300' },
+    conflict: { label: 'Conflict', className: 'bg-yellow-900 text-yellow-300' }
+};
+
+/**
+ * Choices for an imported prompt that differs from ours
+ */
+const IMPORT_RESOLUTIONS = {
+    mine: 'Keep mine',
+    theirs: 'Take theirs',
+    both: 'Keep both'
+};
+
+/**
+ * Render a line diff side by side: ours on the left, the imported version on the right
+ */
+const renderSideBySideDiff = (diff) => {
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            rows.push({ left: removed[i], right: added[i] });
+        }
+        removed = [];
+        added = [];
+    };
+
+    diff.forEach(({ type, line }) => {
+        if (type === 'removed') {
+            removed.push(line);
+        } else if (type === 'added') {
+            added.push(line);
+        } else {
+            flush();
+            rows.push({ left: line, right: line, same: true });
+        }
+    });
+    flush();
+
+    const cell = (line, same, changedClass) => line === undefined
+        ? '<div class="px-2 bg-gray-800"></div>'
+        : `<div class="px-2 whitespace-pre-wrap break-words ${same ? 'text-gray-400' : changedClass}">${sanitizeHTML(line) || '&nbsp;'}</div>`;
+
+    return `
+        <div class="grid grid-cols-2 gap-px bg-gray-700 rounded font-mono text-xs max-h-60 overflow-auto">
+            <div class="px-2 py-1 bg-gray-900 text-gray-400 font-sans">Yours</div>
+            <div class="px-2 py-1 bg-gray-900 text-gray-400 font-sans">Imported</div>
+            ${rows.map(({ left, right, same }) => `
+                ${cell(left, same, 'bg-red-900 bg-opacity-50 text-red-300')}
+                ${cell(right, same, 'bg-green-900 bg-opacity-50 text-green-300')}
+            `).join('')}
+        </div>
+    `;
+};
+
+/**
+ * Count what a merge import will do with the chosen resolutions
+ */
+const getImportOutcome = (preview, resolutions) => {
+    const outcome = { added: 0, updated: 0, skipped: 0 };
+    preview.forEach(item => {
+        const resolution = item.status === 'new' ? 'new' : resolutions[item.index] || 'mine';
+        if (resolution === 'new' || resolution === 'both') {
+            outcome.added++;
+        } else if (resolution === 'theirs' && (item.status === 'updated' || item.status === 'conflict')) {
+            outcome.updated++;
+        } else {
+            outcome.skipped++;
+        }
+    });
+    return outcome;
+};
+
 /**
  * Show import confirmation dialog
  */
@@ -168,13 +608,22 @@ const showImportDialog = (importData) => {
             return;
         }
 
-        const { prompts, errors, totalCount, validCount } = importData;
+        const { prompts, collections = [], variables = {}, errors, totalCount, validCount, format } = importData;
+        const profileCount = Array.isArray(variables.profiles) ? variables.profiles.length : 0;
+
+        // What a merge would do with each prompt; differing ones get a choice, defaulting to take updates and keep ours on conflicts
+        const preview = previewImport(prompts).filter(item => item.status !== 'invalid');
+        const differing = preview.filter(item => item.status === 'updated' || item.status === 'conflict');
+        const resolutions = Object.fromEntries(differing.map(item => [item.index, getDefaultResolution(item.status)]));
+        const statusCounts = Object.keys(IMPORT_STATUSES)
+            .map(status => ({ status, count: preview.filter(item => item.status === status).length }))
+            .filter(({ count }) => count > 0);
 
         container.innerHTML = `
             <div id="import-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
                 <div
                     id="import-dialog"
-                    class="bg-gray-800 rounded-lg shadow-xl w-full max-w-lg"
+                    class="bg-gray-800 rounded-lg shadow-xl w-full ${differing.length > 0 ? 'max-w-4xl' : 'max-w-lg'} max-h-[90vh] overflow-y-auto"
                     role="dialog"
                     aria-labelledby="import-title"
                     aria-modal="true"
@@ -186,6 +635,12 @@ const showImportDialog = (importData) => {
                         
                         <div class="bg-gray-700 rounded-lg p-4 mb-6">
                             <div class="text-sm text-gray-300">
+                                ${format ? `
+                                    <div class="flex justify-between mb-2">
+                                        <span>Format:</span>
+                                        <span class="font-medium">${sanitizeHTML(format)}</span>
+                                    </div>
+                                ` : ''}
                                 <div class="flex justify-between mb-2">
                                     <span>Total items:</span>
                                     <span class="font-medium">${totalCount}</span>
@@ -194,6 +649,18 @@ const showImportDialog = (importData) => {
                                     <span>Valid prompts:</span>
                                     <span class="font-medium text-green-400">${validCount}</span>
                                 </div>
+                                ${collections.length > 0 ? `
+                                    <div class="flex justify-between mb-2">
+                                        <span>Saved searches:</span>
+                                        <span class="font-medium">${collections.length}</span>
+                                    </div>
+                                ` : ''}
+                                ${profileCount > 0 ? `
+                                    <div class="flex justify-between mb-2">
+                                        <span>Variable profiles:</span>
+                                        <span class="font-medium">${profileCount}</span>
+                                    </div>
+                                ` : ''}
                                 ${errors.length > 0 ? `
                                     <div class="flex justify-between mb-2">
                                         <span>Errors:</span>
@@ -202,13 +669,25 @@ const showImportDialog = (importData) => {
                                 ` : ''}
                             </div>
                             
+                            ${validCount > 0 ? `
+                                <details class="mt-3">
+                                    <summary class="text-sm text-gray-400 cursor-pointer hover:text-gray-300">
+                                        View prompts (${validCount})
+                                    </summary>
+                                    <div class="mt-2 text-xs text-gray-300 max-h-32 overflow-y-auto">
+                                        ${prompts.slice(0, 20).map(prompt => `<div class="mb-1 truncate">• ${sanitizeHTML(prompt.title)}</div>`).join('')}
+                                        ${validCount > 20 ? `<div class="text-gray-400">... and ${validCount - 20} more</div>` : ''}
+                                    </div>
+                                </details>
+                            ` : ''}
+                            
                             ${errors.length > 0 ? `
                                 <details class="mt-3">
                                     <summary class="text-sm text-red-400 cursor-pointer hover:text-red-300">
                                         View errors (${errors.length})
                                     </summary>
                                     <div class="mt-2 text-xs text-red-300 max-h-32 overflow-y-auto">
-                                        ${errors.slice(0, 10).map(error => `<div class="mb-1">• ${error}</div>`).join('')}
+                                        ${errors.slice(0, 10).map(error => `<div class="mb-1">• ${sanitizeHTML(error)}</div>`).join('')}
                                         ${errors.length > 10 ? `<div class="text-gray-400">... and ${errors.length - 10} more</div>` : ''}
                                     </div>
                                 </details>
@@ -226,7 +705,7 @@ const showImportDialog = (importData) => {
                                            class="mr-3 text-blue-600 focus:ring-blue-500 focus:ring-2">
                                     <div>
                                         <div class="font-medium text-white">Merge</div>
-                                        <div class="text-sm text-gray-400">Add new prompts, skip duplicates</div>
+                                        <div class="text-sm text-gray-400">Match prompts by id, then by title and content; add new ones</div>
                                     </div>
                                 </label>
                                 
@@ -240,6 +719,55 @@ const showImportDialog = (importData) => {
                                 </label>
                             </div>
                             
+                            <div id="import-preview" class="mb-6">
+                                <div class="flex flex-wrap gap-2 mb-3">
+                                    ${statusCounts.map(({ status, count }) => `
+                                        <span class="px-2 py-1 rounded text-xs font-medium ${IMPORT_STATUSES[status].className}">${IMPORT_STATUSES[status].label}: ${count}</span>
+                                    `).join('')}
+                                </div>
+                                
+                                ${differing.length > 0 ? `
+                                    <div class="flex flex-wrap items-center gap-2 mb-3 text-sm text-gray-300">
+                                        <span>For all ${differing.length} changed prompt${differing.length !== 1 ? 's' : ''}:</span>
+                                        ${Object.entries(IMPORT_RESOLUTIONS).map(([resolution, label]) => `
+                                            <button
+                                                type="button"
+                                                class="import-bulk-btn px-3 py-1 bg-gray-700 hover:bg-gray-600 text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500"
+                                                data-resolution="${resolution}"
+                                            >
+                                                ${label}
+                                            </button>
+                                        `).join('')}
+                                    </div>
+                                    
+                                    <div class="space-y-3">
+                                        ${differing.map(item => `
+                                            <div class="border ${item.status === 'conflict' ? 'border-yellow-600' : 'border-gray-600'} rounded-lg">
+                                                <div class="flex flex-wrap items-center gap-2 px-3 py-2 bg-gray-900 rounded-t-lg">
+                                                    <span class="px-2 py-0.5 rounded text-xs font-medium ${IMPORT_STATUSES[item.status].className}">${IMPORT_STATUSES[item.status].label}</span>
+                                                    <span class="flex-1 min-w-0 truncate text-sm text-white">${sanitizeHTML(item.incoming.title)}</span>
+                                                    <select
+                                                        class="import-resolution px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                                        data-index="${item.index}"
+                                                        aria-label="Resolution for ${sanitizeHTML(item.incoming.title)}"
+                                                    >
+                                                        ${Object.entries(IMPORT_RESOLUTIONS).map(([resolution, label]) => `
+                                                            <option value="${resolution}" ${resolutions[item.index] === resolution ? 'selected' : ''}>${label}</option>
+                                                        `).join('')}
+                                                    </select>
+                                                </div>
+                                                <details class="px-3 py-2" ${item.status === 'conflict' && differing.length <= 5 ? 'open' : ''}>
+                                                    <summary class="text-xs text-gray-400 cursor-pointer hover:text-gray-300">Compare</summary>
+                                                    <div class="mt-2">${renderSideBySideDiff(item.diff)}</div>
+                                                </details>
+                                            </div>
+                                        `).join('')}
+                                    </div>
+                                ` : ''}
+                                
+                                <p id="import-outcome" class="mt-3 text-sm text-gray-300" aria-live="polite"></p>
+                            </div>
+                            
                             <div class="flex justify-end gap-3">
                                 <button
                                     id="import-cancel-btn"
@@ -281,9 +809,41 @@ const showImportDialog = (importData) => {
         document.getElementById('import-cancel-btn').onclick = () => handleResolve(null);
         
         if (validCount > 0) {
+            const previewSection = document.getElementById('import-preview');
+            const getMode = () => document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
+
+            // Summary of what will change before anything is written
+            const updateOutcome = () => {
+                const { added, updated, skipped } = getImportOutcome(preview, resolutions);
+                document.getElementById('import-outcome').textContent =
+                    `Will add ${added}, update ${updated} and skip ${skipped} prompt${skipped !== 1 ? 's' : ''}.`;
+            };
+
+            container.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+                radio.onchange = () => previewSection.classList.toggle('hidden', getMode() !== 'merge');
+            });
+
+            previewSection.onchange = (e) => {
+                const select = e.target.closest('.import-resolution');
+                if (!select) return;
+                resolutions[select.dataset.index] = select.value;
+                updateOutcome();
+            };
+
+            previewSection.onclick = (e) => {
+                const bulkButton = e.target.closest('.import-bulk-btn');
+                if (!bulkButton) return;
+                previewSection.querySelectorAll('.import-resolution').forEach(select => {
+                    select.value = bulkButton.dataset.resolution;
+                    resolutions[select.dataset.index] = select.value;
+                });
+                updateOutcome();
+            };
+
+            updateOutcome();
+
             document.getElementById('import-confirm-btn').onclick = () => {
-                const mode = document.querySelector('input[name="import-mode"]:checked')?.value || 'merge';
-                handleResolve({ prompts, mode });
+                handleResolve({ prompts, mode: getMode(), resolutions });
             };
         }
 
@@ -300,82 +860,523 @@ const showImportDialog = (importData) => {
 };
 
 /**
- * Import prompts from JSON file
+ * Check and read an import file as text (or an ArrayBuffer with `binary`); shows a toast and returns null when it can't be used
+ */
+const readImportFile = async (file, extensions, typeLabel, { binary = false } = {}) => {
+    if (!file) {
+        showToast('No file selected', 'error');
+        return null;
+    }
+
+    if (!extensions.some(extension => file.name.toLowerCase().endsWith(extension))) {
+        showToast(`Please select a ${typeLabel} file`, 'error');
+        return null;
+    }
+
+    if (file.size > 10 * 1024 * 1024) { // 10MB limit
+        showToast('File too large (max 10MB)', 'error');
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Failed to read file'));
+        if (binary) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+    });
+};
+
+/**
+ * Confirm parsed import data with the user and add it (prompts, saved searches, variables)
+ */
+const completeImport = async (importData) => {
+    if (importData.validCount === 0) {
+        showToast('No valid prompts found in file', 'error');
+        return false;
+    }
+
+    // Show import dialog
+    const importChoice = await showImportDialog(importData);
+    
+    if (!importChoice) {
+        return false; // User cancelled
+    }
+
+    // Perform import
+    const results = batchCreatePrompts(importChoice.prompts, importChoice.mode, { resolutions: importChoice.resolutions });
+    const collectionsAdded = mergeCollections(importData.collections);
+    if (collectionsAdded > 0) {
+        showToast(`Added ${collectionsAdded} saved search${collectionsAdded !== 1 ? 'es' : ''}`, 'info');
+    }
+    const { globalsAdded, profilesAdded } = mergeVariableSettings(importData.variables);
+    if (globalsAdded > 0 || profilesAdded > 0) {
+        showToast(`Added ${globalsAdded} global variable${globalsAdded !== 1 ? 's' : ''} and ${profilesAdded} profile${profilesAdded !== 1 ? 's' : ''}`, 'info');
+    }
+
+    // Show results
+    const changed = results.created + results.updated;
+    if (changed > 0) {
+        const message = `Imported ${results.created} prompts` + 
+                      (results.updated > 0 ? `, updated ${results.updated}` : '') +
+                      (results.skipped > 0 ? `, skipped ${results.skipped}` : '');
+        showToast(message, 'success');
+    }
+
+    if (results.errors.length > 0) {
+        console.warn('Import errors:', results.errors);
+        if (changed === 0) {
+            showToast('Import failed with errors', 'error');
+        }
+    } else if (changed === 0) {
+        showToast('Nothing to import: all prompts are already up to date', 'info');
+    }
+
+    return changed > 0;
+};
+
+/**
+ * Import prompts from JSON file (PromptBoard, chat messages or LangChain; see parseImportData)
  */
 export const importFromJSON = async (file) => {
     try {
-        // Validate file
-        if (!file) {
-            showToast('No file selected', 'error');
+        const fileContent = await readImportFile(file, ['.json', '.jsonl'], 'JSON');
+        if (fileContent === null) {
             return false;
         }
 
-        if (!file.name.toLowerCase().endsWith('.json')) {
-            showToast('Please select a JSON file', 'error');
+        return await completeImport(parseImportData(fileContent, file.name));
+
+    } catch (error) {
+        console.error('Import failed:', error);
+        showToast(error.message || 'Import failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Normalize a CSV header for matching against field aliases ("Created At" -> "createdat")
+ */
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Guess which column holds each prompt field from the header names
+ * Returns { field: columnIndex } with '' for fields without a matching column.
+ */
+const guessCSVMapping = (columns) => {
+    const normalized = columns.map(normalizeHeader);
+    return Object.fromEntries(CSV_FIELDS.map(field => {
+        const aliases = field.aliases.map(normalizeHeader);
+        const index = normalized.findIndex(column => aliases.includes(column));
+        return [field.key, index === -1 ? '' : String(index)];
+    }));
+};
+
+/**
+ * Read an imported date: ISO 8601 or anything Date understands, or a Unix timestamp (seconds or milliseconds)
+ */
+const parseImportTimestamp = (value) => {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    if (/^\d+$/.test(text)) {
+        const number = Number(text);
+        return number < 1e11 ? number * 1000 : number;
+    }
+    const timestamp = Date.parse(text);
+    return Number.isNaN(timestamp) ? null : timestamp;
+};
+
+/**
+ * Turn CSV records into import data using a column mapping (see guessCSVMapping)
+ * Row numbers in errors count the header row, so they match the spreadsheet.
+ */
+const csvRecordsToImportData = (records, mapping) => {
+    const prompts = [];
+    const errors = [];
+    const rows = records.filter(record => record.some(field => field.trim() !== ''));
+
+    records.forEach((record, index) => {
+        if (!record.some(field => field.trim() !== '')) return;
+
+        const get = (key) => mapping[key] === '' ? '' : record[Number(mapping[key])] ?? '';
+        const title = get('title').trim();
+        if (!title) {
+            errors.push(`Row ${index + 2}: Missing title`);
+            return;
+        }
+
+        prompts.push({
+            title,
+            content: get('content'),
+            tags: parseTagsString(get('tags')),
+            noPlaceholders: false,
+            createdAt: parseImportTimestamp(get('createdAt')) || Date.now(),
+            updatedAt: parseImportTimestamp(get('updatedAt')) || Date.now(),
+            deletedAt: parseImportTimestamp(get('deletedAt')),
+            history: []
+        });
+    });
+
+    return {
+        prompts,
+        collections: [],
+        variables: {},
+        errors,
+        totalCount: rows.length,
+        validCount: prompts.length,
+        format: 'CSV'
+    };
+};
+
+/**
+ * Show the CSV column-mapping step: pick the delimiter and which column feeds each prompt field
+ * Resolves with import data (see parseImportData), or null when cancelled.
+ */
+const showCSVMappingDialog = (text) => {
+    return new Promise((resolve) => {
+        const container = document.getElementById('modal-container');
+        if (!container) {
+            resolve(null);
+            return;
+        }
+
+        let delimiter = detectDelimiter(text);
+        let columns = [];
+        let records = [];
+        let mapping = {};
+
+        const parse = () => {
+            [columns = [], ...records] = parseCSV(text, delimiter);
+            columns = columns.map(column => column.trim());
+            mapping = guessCSVMapping(columns);
+        };
+
+        const renderPreview = () => {
+            const preview = document.getElementById('csv-import-preview');
+            const confirmBtn = document.getElementById('csv-import-confirm-btn');
+            if (!preview || !confirmBtn) return;
+
+            const importData = csvRecordsToImportData(records, mapping);
+            confirmBtn.disabled = mapping.title === '' || importData.validCount === 0;
+
+            preview.innerHTML = `
+                <p class="text-sm text-gray-400 mb-2">
+                    ${importData.totalCount} row${importData.totalCount !== 1 ? 's' : ''}
+                    ${importData.errors.length > 0 ? `· <span class="text-red-400">${importData.errors.length} without a title</span>` : ''}
+                </p>
+                ${mapping.title === '' ? `
+                    <p class="text-sm text-yellow-400">Choose the column that holds the prompt titles.</p>
+                ` : importData.prompts.slice(0, 3).map(prompt => `
+                    <div class="bg-gray-700 rounded p-2 mb-2 text-sm">
+                        <div class="font-medium text-white truncate">${sanitizeHTML(prompt.title)}</div>
+                        <div class="text-gray-400 truncate">${sanitizeHTML(truncate(prompt.content, 120))}</div>
+                        ${prompt.tags.length > 0 ? `<div class="text-xs text-blue-300 truncate">${sanitizeHTML(prompt.tags.join(', '))}</div>` : ''}
+                    </div>
+                `).join('')}
+            `;
+        };
+
+        const render = () => {
+            container.innerHTML = `
+                <div id="csv-import-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+                    <div
+                        id="csv-import-dialog"
+                        class="bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-y-auto"
+                        role="dialog"
+                        aria-labelledby="csv-import-title"
+                        aria-modal="true"
+                    >
+                        <div class="p-6">
+                            <h3 id="csv-import-title" class="text-lg font-semibold text-white mb-4">
+                                Import CSV
+                            </h3>
+
+                            <div class="flex items-center gap-2 mb-4">
+                                <label for="csv-import-delimiter" class="w-1/3 text-sm text-gray-300">Delimiter</label>
+                                <select
+                                    id="csv-import-delimiter"
+                                    class="flex-1 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                >
+                                    ${Object.entries(CSV_DELIMITERS).map(([key, option]) => `
+                                        <option value="${key}" ${option.char === delimiter ? 'selected' : ''}>${option.label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+
+                            <h4 class="text-sm font-medium text-gray-300 mb-2">Columns</h4>
+                            <div class="space-y-2 mb-4">
+                                ${CSV_FIELDS.map(field => `
+                                    <div class="flex items-center gap-2">
+                                        <label for="csv-map-${field.key}" class="w-1/3 text-sm text-gray-300">
+                                            ${field.label}${field.key === 'title' ? ' <span class="text-red-400">*</span>' : ''}
+                                        </label>
+                                        <select
+                                            id="csv-map-${field.key}"
+                                            data-field="${field.key}"
+                                            class="csv-mapping-select flex-1 min-w-0 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                        >
+                                            <option value="">Not imported</option>
+                                            ${columns.map((column, index) => `
+                                                <option value="${index}" ${mapping[field.key] === String(index) ? 'selected' : ''}>${sanitizeHTML(column || `Column ${index + 1}`)}</option>
+                                            `).join('')}
+                                        </select>
+                                    </div>
+                                `).join('')}
+                            </div>
+
+                            <div id="csv-import-preview" class="mb-6"></div>
+
+                            <div class="flex justify-end gap-3">
+                                <button
+                                    id="csv-import-cancel-btn"
+                                    class="px-4 py-2 text-gray-300 hover:text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 rounded"
+                                >
+                                    Cancel
+                                </button>
+                                <button
+                                    id="csv-import-confirm-btn"
+                                    class="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                    Continue
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            renderPreview();
+
+            document.getElementById('csv-import-delimiter').onchange = (e) => {
+                delimiter = CSV_DELIMITERS[e.target.value].char;
+                parse();
+                render();
+                document.getElementById('csv-import-delimiter')?.focus();
+            };
+
+            container.querySelectorAll('.csv-mapping-select').forEach(select => {
+                select.onchange = () => {
+                    mapping[select.dataset.field] = select.value;
+                    renderPreview();
+                };
+            });
+
+            document.getElementById('csv-import-cancel-btn').onclick = () => handleResolve(null);
+            document.getElementById('csv-import-confirm-btn').onclick = () => handleResolve(csvRecordsToImportData(records, mapping));
+            document.getElementById('csv-import-overlay').onclick = (e) => {
+                if (e.target.id === 'csv-import-overlay') {
+                    handleResolve(null);
+                }
+            };
+        };
+
+        const handleResolve = (result) => {
+            container.innerHTML = '';
+            resolve(result);
+        };
+
+        parse();
+        render();
+        document.getElementById('csv-import-delimiter')?.focus();
+    });
+};
+
+/**
+ * Import prompts from a CSV (or tab-separated) file, after a column-mapping step
+ */
+export const importFromCSV = async (file) => {
+    try {
+        const fileContent = await readImportFile(file, ['.csv', '.tsv'], 'CSV');
+        if (fileContent === null) {
             return false;
         }
 
-        if (file.size > 10 * 1024 * 1024) { // 10MB limit
-            showToast('File too large (max 10MB)', 'error');
+        const text = fileContent.replace(/^\uFEFF/, '');
+        if (!text.trim()) {
+            showToast('The CSV file is empty', 'error');
             return false;
         }
 
-        // Read file
-        const fileContent = await new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => resolve(e.target.result);
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
+        // awesome-chatgpt-prompts files need no column mapping
+        const [columns = [], ...records] = parseCSV(text, detectDelimiter(text));
+        if (isAwesomePromptsCSV(columns)) {
+            return await completeImport(toolPromptsToImportData(parseAwesomePromptsCSV(columns, records), 'awesome-chatgpt-prompts CSV'));
+        }
+
+        const importData = await showCSVMappingDialog(text);
+        if (!importData) {
+            return false; // User cancelled
+        }
 
-        // Parse and validate
-        const importData = parseImportData(fileContent);
+        return await completeImport(importData);
 
-        if (importData.validCount === 0) {
-            showToast('No valid prompts found in file', 'error');
+    } catch (error) {
+        console.error('CSV import failed:', error);
+        showToast(error.message || 'Import failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Import prompts from a Markdown file (a PromptBoard export or one prompt per heading)
+ */
+export const importFromMarkdown = async (file) => {
+    try {
+        const fileContent = await readImportFile(file, ['.md', '.markdown'], 'Markdown');
+        if (fileContent === null) {
             return false;
         }
 
-        // Show import dialog
-        const importChoice = await showImportDialog(importData);
-        
-        if (!importChoice) {
-            return false; // User cancelled
+        return await completeImport(parseMarkdownImport(fileContent, file.name));
+
+    } catch (error) {
+        console.error('Markdown import failed:', error);
+        showToast(error.message || 'Import failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Parse the Markdown files of a ZIP archive (see exportToZip) into import data, one prompt per file
+ * Without front matter, the title comes from the file name and the tag from its folder.
+ */
+const parseZipImport = (files) => {
+    const decoder = new TextDecoder();
+    const markdownFiles = files.filter(file => /\.(md|markdown)$/i.test(file.name) &&
+        !file.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+
+    if (markdownFiles.length === 0) {
+        throw new Error('No Markdown files found in the ZIP archive');
+    }
+
+    const prompts = [];
+    const errors = [];
+
+    markdownFiles.forEach(file => {
+        const { data, body } = parseFrontMatter(decoder.decode(file.content).replace(/\r\n?/g, '\n'));
+        const folders = file.name.split('/');
+        const fileName = folders.pop();
+        const title = data.title !== undefined && data.title !== null
+            ? String(data.title).trim()
+            : fileName.replace(/\.(md|markdown)$/i, '');
+
+        if (!title) {
+            errors.push(`${file.name}: Missing title`);
+            return;
+        }
+
+        prompts.push({
+            id: isUuid(data.id) ? data.id : undefined,
+            title,
+            content: body.trim(),
+            tags: data.tags !== undefined ? toTagList(data.tags) : (folders.length > 0 ? [folders.join('/')] : []),
+            noPlaceholders: data.noPlaceholders === true,
+            createdAt: parseImportTimestamp(data.createdAt) || Date.now(),
+            updatedAt: parseImportTimestamp(data.updatedAt) || Date.now(),
+            deletedAt: parseImportTimestamp(data.deletedAt) || null,
+            history: []
+        });
+    });
+
+    return {
+        prompts,
+        collections: [],
+        variables: {},
+        errors,
+        totalCount: markdownFiles.length,
+        validCount: prompts.length,
+        format: 'ZIP of Markdown files'
+    };
+};
+
+/**
+ * Import prompts from a ZIP of Markdown files, updating prompts with the same id
+ */
+export const importFromZip = async (file) => {
+    try {
+        const fileContent = await readImportFile(file, ['.zip'], 'ZIP', { binary: true });
+        if (fileContent === null) {
+            return false;
         }
 
-        // Perform import
-        const results = batchCreatePrompts(importChoice.prompts, importChoice.mode);
+        return await completeImport(parseZipImport(await readZip(fileContent)));
 
-        // Show results
-        if (results.created > 0) {
-            const message = `Imported ${results.created} prompts` + 
-                          (results.skipped > 0 ? `, skipped ${results.skipped}` : '');
-            showToast(message, 'success');
+    } catch (error) {
+        console.error('ZIP import failed:', error);
+        showToast(error.message || 'Import failed', 'error');
+        return false;
+    }
+};
+
+/**
+ * Wrap prompt data converted from another tool's format (see formats.js) as import data
+ */
+const toolPromptsToImportData = (toolPrompts, format) => {
+    const prompts = [];
+    const errors = [];
+
+    toolPrompts.forEach((prompt, index) => {
+        if (!prompt.title) {
+            errors.push(`Item ${index + 1}: Missing title`);
+            return;
         }
+        prompts.push({ ...prompt, noPlaceholders: false, createdAt: Date.now(), updatedAt: Date.now(), deletedAt: null, history: [] });
+    });
 
-        if (results.errors.length > 0) {
-            console.warn('Import errors:', results.errors);
-            if (results.created === 0) {
-                showToast('Import failed with errors', 'error');
-            }
+    return {
+        prompts,
+        collections: [],
+        variables: {},
+        errors,
+        totalCount: toolPrompts.length,
+        validCount: prompts.length,
+        format
+    };
+};
+
+/**
+ * Import prompts from a plain text file (one prompt, or several split by "---" lines)
+ */
+export const importFromText = async (file) => {
+    try {
+        const fileContent = await readImportFile(file, ['.txt'], 'text');
+        if (fileContent === null) {
+            return false;
         }
 
-        return results.created > 0;
+        return await completeImport(toolPromptsToImportData(parsePlainText(fileContent.replace(/^\uFEFF/, ''), file.name), 'Plain text'));
 
     } catch (error) {
-        console.error('Import failed:', error);
+        console.error('Text import failed:', error);
         showToast(error.message || 'Import failed', 'error');
         return false;
     }
 };
 
 /**
- * Handle file input change for import
+ * Handle file input change for import (JSON, CSV, Markdown, ZIP or text, by file extension)
  */
 export const handleImportFile = async (event) => {
     const file = event.target.files?.[0];
     if (file) {
-        const success = await importFromJSON(file);
+        const isCSV = /\.(csv|tsv)$/i.test(file.name);
+        let success = false;
+        if (isCSV) {
+            success = await importFromCSV(file);
+        } else if (/\.jsonl?$/i.test(file.name)) {
+            success = await importFromJSON(file);
+        } else if (/\.(md|markdown)$/i.test(file.name)) {
+            success = await importFromMarkdown(file);
+        } else if (/\.zip$/i.test(file.name)) {
+            success = await importFromZip(file);
+        } else if (/\.txt$/i.test(file.name)) {
+            success = await importFromText(file);
+        } else {
+            showToast('Please select a JSON, CSV, Markdown, ZIP or text file', 'error');
+        }
         // Clear the input so the same file can be selected again
         event.target.value = '';
         return success;
@@ -387,7 +1388,7 @@ export const handleImportFile = async (event) => {
  * Get export statistics
  */
 export const getExportStats = () => {
-    const state = getState();
+    const state = getExportState();
     const prompts = state.prompts || [];
     
     if (prompts.length === 0) {
@@ -560,3 +1561,109 @@ export const downloadLocalBackup = (backupId) => {
         return false;
     }
 };
+
+/**
+ * Guess the CSV delimiter from the header line (comma, semicolon or tab)
+ */
+const detectDelimiter = (text) => {
+    const header = text.split(/\r?\n/)[0];
+    const count = (delimiter) => header.split(delimiter).length - 1;
+    return [',', ';', '\t'].reduce((best, delimiter) => count(delimiter) > count(best) ? delimiter : best, ',');
+};
+
+/**
+ * Turn a dataset value into placeholder text (arrays become one item per line, for list placeholders)
+ */
+const toBatchValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toBatchValue).join('\n');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+/**
+ * Parse a batch dataset: a JSON array of objects, or CSV with a header row
+ * Returns { columns, rows } where each row maps column names to strings.
+ */
+export const parseBatchData = (text) => {
+    const trimmed = (text || '').trim();
+    if (!trimmed) {
+        throw new Error('No data to fill in');
+    }
+
+    if (trimmed.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error('Invalid JSON format');
+        }
+
+        if (!data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+            throw new Error('JSON data must be an array of objects');
+        }
+
+        const columns = [...new Set(data.flatMap(item => Object.keys(item)))];
+        const rows = data.map(item => Object.fromEntries(columns.map(column => [column, toBatchValue(item[column])])));
+        if (rows.length === 0) {
+            throw new Error('The JSON array is empty');
+        }
+        return { columns, rows };
+    }
+
+    const [header = [], ...records] = parseCSV(trimmed, detectDelimiter(trimmed));
+    const columns = header.map(column => column.trim());
+    const rows = records
+        .filter(record => record.some(field => field.trim() !== ''))
+        .map(record => Object.fromEntries(columns.map((column, index) => [column, record[index] ?? ''])));
+
+    if (columns.filter(Boolean).length === 0 || rows.length === 0) {
+        throw new Error('CSV data needs a header row and at least one data row');
+    }
+    return { columns, rows };
+};
+
+/**
+ * Download batch results (see renderPromptBatch) as JSONL, CSV or a ZIP of text files
+ * JSONL and CSV keep the dataset columns next to each result.
+ */
+export const exportBatchResults = (results, format, { columns = [], title = 'batch' } = {}) => {
+    try {
+        if (results.length === 0) {
+            showToast('No results to download', 'warning');
+            return false;
+        }
+
+        const baseName = slugify(title) || 'batch';
+        const date = new Date().toISOString().split('T')[0];
+        const width = String(results.length).length;
+        const rowNumber = (result) => String(result.index + 1).padStart(width, '0');
+
+        switch (format) {
+            case 'jsonl': {
+                const lines = results.map(result => JSON.stringify({ row: result.index + 1, values: result.row, text: result.text }));
+                downloadFile(lines.join('\n') + '\n', `${baseName}-${date}.jsonl`, 'application/x-ndjson');
+                break;
+            }
+            case 'csv': {
+                const rows = [[...columns, 'result'], ...results.map(result => [...columns.map(column => result.row[column]), result.text])];
+                downloadFile(toCSV(rows) + '\r\n', `${baseName}-${date}.csv`, 'text/csv');
+                break;
+            }
+            case 'zip': {
+                const files = results.map(result => ({ name: `${baseName}-${rowNumber(result)}.txt`, content: result.text }));
+                downloadFile(createZip(files), `${baseName}-${date}.zip`, 'application/zip');
+                break;
+            }
+            default:
+                throw new Error(`Unknown format "${format}"`);
+        }
+
+        showToast(`${results.length} result${results.length !== 1 ? 's' : ''} downloaded`, 'success');
+        return true;
+    } catch (error) {
+        console.error('Batch download failed:', error);
+        showToast('Batch download failed', 'error');
+        return false;
+    }
+};
@@ -2,16 +2,31 @@
  * Logic module - handles CRUD operations, search, filtering, and clipboard functionality
  */
 
-import { getState, setState, uuid, now, incrementChangeCounter, getPromptVariables, setPromptVariables } from './storage.js';
-import { sanitizeTags, parseTagsString, escapeRegex, copyToClipboard, simpleHash, parsePlaceholders, applyPlaceholders } from './utils.js';
+import { getState, setState, uuid, isUuid, now, incrementChangeCounter, getPromptVariables, setPromptVariables, getPreferences, setPreferences, normalizeHistory } from './storage.js';
+import { sanitizeTags, isTagWithin, parseTagsString, copyToClipboard, simpleHash, diffLines, isLikelyTypo, escapeRegex } from './utils.js';
+import { parsePlaceholders, applyPlaceholders, getPartialReferences, getTemplateError, lintTemplate, hasTemplateSyntax, validatePlaceholderValue } from './template.js';
+import { isAutoValue, resolveAutoValues } from './autovalues.js';
+import { parseQuery, evaluateQuery, getSearchMatch } from './query.js';
 import { showToast } from './render.js';
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 /**
- * Get all prompts from state
+ * Get all prompts from state (excluding trashed prompts)
  */
 export const getAllPrompts = () => {
     const state = getState();
-    return state.prompts || [];
+    return (state.prompts || []).filter(prompt => !prompt.deletedAt);
+};
+
+/**
+ * Get trashed prompts (most recently deleted first)
+ */
+export const getTrashedPrompts = () => {
+    const state = getState();
+    return (state.prompts || [])
+        .filter(prompt => prompt.deletedAt)
+        .sort((a, b) => b.deletedAt - a.deletedAt);
 };
 
 /**
@@ -22,11 +37,38 @@ export const getPromptById = (id) => {
     return prompts.find(prompt => prompt.id === id);
 };
 
+/**
+ * Snapshot a prompt's editable fields as a revision
+ */
+const createRevision = (prompt, savedAt = now()) => ({
+    id: uuid(),
+    title: prompt.title,
+    content: prompt.content,
+    tags: [...prompt.tags],
+    savedAt
+});
+
+/**
+ * Append a revision for the prompt's current fields and enforce the retention limit
+ */
+const appendRevision = (history, prompt) => {
+    const last = history[history.length - 1];
+    const unchanged = last &&
+        last.title === prompt.title &&
+        last.content === prompt.content &&
+        last.tags.join(',') === prompt.tags.join(',');
+
+    const nextHistory = unchanged ? history : [...history, createRevision(prompt, prompt.updatedAt)];
+    const limit = Math.max(1, parseInt(getPreferences().historyLimit) || 20);
+
+    return nextHistory.slice(-limit);
+};
+
 /**
  * Create new prompt
  */
 export const createPrompt = (data) => {
-    const { title, content = '', tags = [] } = data;
+    const { title, content = '', tags = [], noPlaceholders = false } = data;
     
     // Validate title
     if (!title || typeof title !== 'string' || title.trim().length === 0) {
@@ -38,9 +80,12 @@ export const createPrompt = (data) => {
         title: title.trim(),
         content: typeof content === 'string' ? content.trim() : '',
         tags: sanitizeTags(tags),
+        noPlaceholders: noPlaceholders === true,
         createdAt: now(),
-        updatedAt: now()
+        updatedAt: now(),
+        deletedAt: null
     };
+    prompt.history = appendRevision([], prompt);
 
     const state = getState();
     state.prompts = [...state.prompts, prompt];
@@ -66,7 +111,7 @@ export const updatePrompt = (id, data) => {
         throw new Error('Prompt not found');
     }
 
-    const { title, content, tags } = data;
+    const { title, content, tags, noPlaceholders } = data;
     
     // Validate title
     if (title !== undefined) {
@@ -81,9 +126,16 @@ export const updatePrompt = (id, data) => {
         ...(title !== undefined && { title: title.trim() }),
         ...(content !== undefined && { content: typeof content === 'string' ? content.trim() : '' }),
         ...(tags !== undefined && { tags: sanitizeTags(tags) }),
+        ...(noPlaceholders !== undefined && { noPlaceholders: noPlaceholders === true }),
         updatedAt: now()
     };
 
+    // Prompts saved before history existed get their previous version recorded first
+    const previousHistory = currentPrompt.history?.length > 0
+        ? currentPrompt.history
+        : [createRevision(currentPrompt, currentPrompt.updatedAt)];
+    updatedPrompt.history = appendRevision(previousHistory, updatedPrompt);
+
     state.prompts[promptIndex] = updatedPrompt;
     
     if (!setState(state)) {
@@ -97,18 +149,62 @@ export const updatePrompt = (id, data) => {
 };
 
 /**
- * Delete prompt by ID
+ * Restore a prompt to one of its revisions (recorded as a new revision)
+ */
+export const restorePromptRevision = (promptId, revisionId) => {
+    const prompt = getPromptById(promptId);
+    if (!prompt) {
+        throw new Error('Prompt not found');
+    }
+
+    const revision = (prompt.history || []).find(item => item.id === revisionId);
+    if (!revision) {
+        throw new Error('Revision not found');
+    }
+
+    return updatePrompt(promptId, {
+        title: revision.title,
+        content: revision.content,
+        tags: revision.tags
+    });
+};
+
+/**
+ * Format a revision as plain text for diffing
+ */
+const revisionToText = (revision) => {
+    return `Title: ${revision.title}\nTags: ${revision.tags.join(', ')}\n\n${revision.content}`;
+};
+
+/**
+ * Get a line-level diff between two revisions of a prompt
+ */
+export const getRevisionDiff = (promptId, fromRevisionId, toRevisionId) => {
+    const prompt = getPromptById(promptId);
+    const history = prompt?.history || [];
+    const fromRevision = history.find(item => item.id === fromRevisionId);
+    const toRevision = history.find(item => item.id === toRevisionId);
+
+    if (!fromRevision || !toRevision) {
+        return [];
+    }
+
+    return diffLines(revisionToText(fromRevision), revisionToText(toRevision));
+};
+
+/**
+ * Move prompt to trash (soft delete)
  */
 export const deletePrompt = (id) => {
     const state = getState();
-    const initialLength = state.prompts.length;
+    const promptIndex = state.prompts.findIndex(prompt => prompt.id === id && !prompt.deletedAt);
     
-    state.prompts = state.prompts.filter(prompt => prompt.id !== id);
-    
-    if (state.prompts.length === initialLength) {
+    if (promptIndex === -1) {
         throw new Error('Prompt not found');
     }
     
+    state.prompts[promptIndex] = { ...state.prompts[promptIndex], deletedAt: now() };
+    
     if (!setState(state)) {
         throw new Error('Failed to delete prompt');
     }
@@ -120,50 +216,124 @@ export const deletePrompt = (id) => {
 };
 
 /**
- * Search prompts by query
+ * Restore prompt from trash
  */
-export const searchPrompts = (prompts, query) => {
-    if (!query || typeof query !== 'string' || query.trim().length === 0) {
-        return prompts;
+export const restorePrompt = (id) => {
+    const state = getState();
+    const promptIndex = state.prompts.findIndex(prompt => prompt.id === id && prompt.deletedAt);
+    
+    if (promptIndex === -1) {
+        throw new Error('Prompt not found in trash');
+    }
+    
+    state.prompts[promptIndex] = { ...state.prompts[promptIndex], deletedAt: null };
+    
+    if (!setState(state)) {
+        throw new Error('Failed to restore prompt');
     }
 
-    const searchTerm = query.trim().toLowerCase();
-    const searchRegex = new RegExp(escapeRegex(searchTerm), 'gi');
+    // Increment change counter for auto-backup
+    incrementChangeCounter();
 
-    return prompts.filter(prompt => {
-        // Search in title
-        if (prompt.title && searchRegex.test(prompt.title)) {
-            return true;
-        }
+    return state.prompts[promptIndex];
+};
 
-        // Search in content
-        if (prompt.content && searchRegex.test(prompt.content)) {
-            return true;
-        }
+/**
+ * Permanently remove trashed prompts matching a predicate
+ */
+const purgeTrashedPrompts = (predicate) => {
+    const state = getState();
+    const initialLength = state.prompts.length;
+    
+    state.prompts = state.prompts.filter(prompt => !(prompt.deletedAt && predicate(prompt)));
+    
+    const purged = initialLength - state.prompts.length;
+    if (purged === 0) {
+        return 0;
+    }
+    
+    if (!setState(state)) {
+        throw new Error('Failed to delete prompts');
+    }
 
-        // Search in tags
-        if (prompt.tags && prompt.tags.some(tag => searchRegex.test(tag))) {
-            return true;
-        }
+    // Increment change counter for auto-backup
+    incrementChangeCounter();
 
-        return false;
-    });
+    return purged;
+};
+
+/**
+ * Permanently delete a trashed prompt
+ */
+export const purgePrompt = (id) => {
+    if (purgeTrashedPrompts(prompt => prompt.id === id) === 0) {
+        throw new Error('Prompt not found in trash');
+    }
+    return true;
+};
+
+/**
+ * Permanently delete all trashed prompts
+ */
+export const emptyTrash = () => purgeTrashedPrompts(() => true);
+
+/**
+ * Permanently delete prompts that have been in trash longer than the retention period
+ */
+export const purgeExpiredTrash = () => {
+    const retentionDays = parseInt(getPreferences().trashRetentionDays) || 30;
+    const cutoff = now() - retentionDays * DAY_MS;
+    return purgeTrashedPrompts(prompt => prompt.deletedAt < cutoff);
 };
 
 /**
- * Filter prompts by tags (AND logic)
+ * Search prompts by query (see query.js for the syntax)
+ * Falls back to a plain text match when the query has invalid syntax.
+ * Returns copies of the matching prompts with a `match` object (score and highlight ranges).
  */
-export const filterPromptsByTags = (prompts, selectedTags) => {
-    if (!selectedTags || selectedTags.length === 0) {
+export const searchPrompts = (prompts, query) => {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return prompts;
+    }
+
+    let ast;
+    try {
+        ast = parseQuery(query);
+    } catch (error) {
+        ast = { type: 'term', field: null, value: query.trim().toLowerCase() };
+    }
+
+    return prompts
+        .filter(prompt => evaluateQuery(ast, prompt))
+        .map(prompt => ({ ...prompt, match: getSearchMatch(ast, prompt) }));
+};
+
+/**
+ * Filter prompts by tags
+ * Included tags must all match (mode 'all') or at least one must match (mode 'any');
+ * prompts with any excluded tag are left out. A parent tag also matches its nested tags.
+ */
+export const filterPromptsByTags = (prompts, selectedTags, { excludedTags = [], mode = 'all' } = {}) => {
+    const included = (selectedTags || []).map(tag => tag.toLowerCase());
+    const excluded = excludedTags.map(tag => tag.toLowerCase());
+
+    if (included.length === 0 && excluded.length === 0) {
         return prompts;
     }
 
     return prompts.filter(prompt => {
-        return selectedTags.every(selectedTag => 
-            prompt.tags.some(promptTag => 
-                promptTag.toLowerCase() === selectedTag.toLowerCase()
-            )
-        );
+        const promptTags = prompt.tags.map(tag => tag.toLowerCase());
+        const hasTag = (tag) => promptTags.some(promptTag => isTagWithin(promptTag, tag));
+
+        if (excluded.some(hasTag)) {
+            return false;
+        }
+
+        if (included.length === 0) {
+            return true;
+        }
+
+        return mode === 'any' ? included.some(hasTag) : included.every(hasTag);
     });
 };
 
@@ -186,10 +356,203 @@ export const getAllTags = (prompts = null) => {
 };
 
 /**
- * Sort prompts by update date (newest first)
+ * Get every tag with its count across all prompts, trashed ones included (the prompts tag changes apply to)
+ */
+export const getManagedTags = () => getAllTags(getState().prompts || []);
+
+/**
+ * Build the tag hierarchy ("client/acme/email" nests under "client" and "client/acme")
+ * Each node counts the prompts tagged with it or any of its nested tags.
+ */
+export const getTagTree = (prompts = null) => {
+    const allPrompts = prompts || getAllPrompts();
+    const root = { children: new Map() };
+
+    allPrompts.forEach(prompt => {
+        // Collect every path once per prompt so parents aren't counted twice
+        const paths = new Set();
+        prompt.tags.forEach(tag => {
+            const segments = tag.split('/');
+            segments.forEach((_, index) => paths.add(segments.slice(0, index + 1).join('/')));
+        });
+
+        paths.forEach(path => {
+            let node = root;
+            path.split('/').forEach((segment, index, segments) => {
+                if (!node.children.has(segment)) {
+                    node.children.set(segment, {
+                        name: segment,
+                        path: segments.slice(0, index + 1).join('/'),
+                        count: 0,
+                        children: new Map()
+                    });
+                }
+                node = node.children.get(segment);
+            });
+            node.count++;
+        });
+    });
+
+    const toSortedList = (children) => [...children.values()]
+        .map(node => ({ ...node, children: toSortedList(node.children) }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    return toSortedList(root.children);
+};
+
+/**
+ * Available sort orders
+ */
+export const SORT_ORDERS = {
+    relevance: 'Best match',
+    updated: 'Recently updated',
+    created: 'Recently created',
+    title: 'Title (A–Z)'
+};
+
+/**
+ * Work out a tag's new name after sourceTags are replaced by targetTag (null when removed)
+ * Nested tags move along with a replaced parent and are dropped along with a removed one.
+ */
+export const remapTag = (tag, sourceTags, targetTag) => {
+    if (sourceTags.includes(tag)) {
+        return targetTag;
+    }
+    if (!targetTag) {
+        return sourceTags.some(source => isTagWithin(tag, source)) ? null : tag;
+    }
+    // Merging "a" into "a/b" must not move "a/b" itself under the new name
+    const source = targetTag && sourceTags.find(source => tag.startsWith(source + '/') && !isTagWithin(targetTag, source));
+    return source ? targetTag + tag.slice(source.length) : tag;
+};
+
+/**
+ * Replace (or remove, when targetTag is null) tags across all prompts in one state update.
+ * Trashed prompts are included so they come back consistent when restored. Tag colors and saved searches
+ * are saved right after; if that fails the prompts are put back so the two never disagree.
+ */
+const replaceTags = (sourceTags, targetTag) => {
+    const sources = sourceTags.map(tag => tag.toLowerCase());
+    const mapTag = (tag) => remapTag(tag, sources, targetTag);
+
+    const previousState = getState();
+    const state = getState();
+    let changed = 0;
+
+    state.prompts = state.prompts.map(prompt => {
+        if (prompt.tags.every(tag => mapTag(tag) === tag)) {
+            return prompt;
+        }
+
+        changed++;
+        return { ...prompt, tags: sanitizeTags(prompt.tags.map(mapTag).filter(Boolean)) };
+    });
+
+    // Keep saved searches and tag colors in line with the new tag names
+    const prefs = getPreferences();
+    const replaceInList = (tags = []) => sanitizeTags(tags.map(mapTag).filter(Boolean));
+    const colorEntries = Object.entries(prefs.tagColors || {});
+    const tagColors = Object.fromEntries(colorEntries.filter(([tag]) => mapTag(tag) === tag));
+    // A tag keeps its own color; otherwise it inherits the first color among the tags merged into it
+    colorEntries.forEach(([tag, color]) => {
+        const mapped = mapTag(tag);
+        if (mapped && mapped !== tag && !tagColors[mapped]) {
+            tagColors[mapped] = color;
+        }
+    });
+
+    const updatedPrefs = {
+        ...prefs,
+        tagColors,
+        savedCollections: (prefs.savedCollections || []).map(collection => ({
+            ...collection,
+            tags: replaceInList(collection.tags),
+            excludedTags: replaceInList(collection.excludedTags)
+        }))
+    };
+
+    if (changed > 0 && !setState(state)) {
+        throw new Error('Failed to update tags');
+    }
+    if (!setPreferences(updatedPrefs)) {
+        if (changed > 0) {
+            setState(previousState);
+        }
+        throw new Error('Failed to update tags');
+    }
+
+    if (changed > 0) {
+        // Increment change counter for auto-backup
+        incrementChangeCounter();
+    }
+
+    return changed;
+};
+
+/**
+ * Merge several tags into one (also used for renaming); returns number of prompts changed
+ */
+export const mergeTags = (sourceTags, targetTag) => {
+    const [target] = sanitizeTags([targetTag]);
+    if (!target) {
+        throw new Error('Tag name is required');
+    }
+
+    const sources = sanitizeTags(sourceTags).filter(tag => tag !== target);
+    if (sources.length === 0) {
+        return 0;
+    }
+
+    return replaceTags(sources, target);
+};
+
+/**
+ * Rename a tag on every prompt
+ */
+export const renameTag = (oldTag, newTag) => mergeTags([oldTag], newTag);
+
+/**
+ * Remove a tag, and the tags nested under it, from every prompt
+ */
+export const deleteTag = (tag) => replaceTags(sanitizeTags([tag]), null);
+
+/**
+ * Get tag colors ({ tag: colorName })
+ */
+export const getTagColors = () => getPreferences().tagColors || {};
+
+/**
+ * Set or clear (empty color) a tag's color
+ */
+export const setTagColor = (tag, color) => {
+    const prefs = getPreferences();
+    const tagColors = { ...prefs.tagColors };
+
+    if (color) {
+        tagColors[tag] = color;
+    } else {
+        delete tagColors[tag];
+    }
+
+    if (!setPreferences({ ...prefs, tagColors })) {
+        throw new Error('Failed to save tag color');
+    }
+    return tagColors;
+};
+
+/**
+ * Sort prompts (default: relevance while searching, then update date, newest first)
  */
-export const sortPrompts = (prompts) => {
-    return [...prompts].sort((a, b) => b.updatedAt - a.updatedAt);
+export const sortPrompts = (prompts, sortOrder = 'relevance') => {
+    const byUpdated = (a, b) => b.updatedAt - a.updatedAt;
+    const comparators = {
+        relevance: (a, b) => (b.match?.score || 0) - (a.match?.score || 0) || byUpdated(a, b),
+        updated: byUpdated,
+        created: (a, b) => b.createdAt - a.createdAt || byUpdated(a, b),
+        title: (a, b) => a.title.localeCompare(b.title) || byUpdated(a, b)
+    };
+
+    return [...prompts].sort(comparators[sortOrder] || comparators.relevance);
 };
 
 /**
@@ -226,7 +589,7 @@ export const copyPromptToClipboard = async (id) => {
 /**
  * Process and filter prompts based on search and tag filters
  */
-export const processPrompts = (searchQuery = '', selectedTags = []) => {
+export const processPrompts = (searchQuery = '', selectedTags = [], sortOrder = 'relevance', tagOptions = {}) => {
     let prompts = getAllPrompts();
     
     // Apply search filter
@@ -235,16 +598,125 @@ export const processPrompts = (searchQuery = '', selectedTags = []) => {
     }
     
     // Apply tag filters
-    if (selectedTags.length > 0) {
-        prompts = filterPromptsByTags(prompts, selectedTags);
-    }
+    prompts = filterPromptsByTags(prompts, selectedTags, tagOptions);
     
-    // Sort by update date
-    prompts = sortPrompts(prompts);
+    // Sort by relevance (while searching) or the chosen order
+    prompts = sortPrompts(prompts, sortOrder);
     
     return prompts;
 };
 
+/**
+ * Count prompts matching search and tag filters (no sorting)
+ */
+export const countMatchingPrompts = (searchQuery = '', selectedTags = [], tagOptions = {}) => {
+    return filterPromptsByTags(searchPrompts(getAllPrompts(), searchQuery), selectedTags, tagOptions).length;
+};
+
+/**
+ * Get saved searches (smart collections)
+ */
+export const getSavedCollections = () => {
+    return getPreferences().savedCollections || [];
+};
+
+/**
+ * Persist saved searches
+ */
+const setSavedCollections = (collections) => {
+    if (!setPreferences({ ...getPreferences(), savedCollections: collections })) {
+        throw new Error('Failed to save collections');
+    }
+    return collections;
+};
+
+/**
+ * Save a search as a named smart collection
+ */
+export const createCollection = ({ name, query = '', tags = [], excludedTags = [], tagMode = 'all', sortOrder = 'relevance' }) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('Name is required');
+    }
+
+    const collection = {
+        id: uuid(),
+        name: name.trim(),
+        query,
+        tags: [...tags],
+        excludedTags: [...excludedTags],
+        tagMode,
+        sortOrder
+    };
+
+    setSavedCollections([...getSavedCollections(), collection]);
+    return collection;
+};
+
+/**
+ * Rename a smart collection
+ */
+export const renameCollection = (id, name) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        throw new Error('Name is required');
+    }
+
+    const collections = getSavedCollections();
+    if (!collections.some(collection => collection.id === id)) {
+        throw new Error('Collection not found');
+    }
+
+    return setSavedCollections(collections.map(collection =>
+        collection.id === id ? { ...collection, name: name.trim() } : collection
+    ));
+};
+
+/**
+ * Move a smart collection up (-1) or down (+1) in the list
+ */
+export const moveCollection = (id, direction) => {
+    const collections = [...getSavedCollections()];
+    const index = collections.findIndex(collection => collection.id === id);
+    const targetIndex = index + direction;
+
+    if (index === -1 || targetIndex < 0 || targetIndex >= collections.length) {
+        return collections;
+    }
+
+    [collections[index], collections[targetIndex]] = [collections[targetIndex], collections[index]];
+    return setSavedCollections(collections);
+};
+
+/**
+ * Delete a smart collection
+ */
+export const deleteCollection = (id) => {
+    return setSavedCollections(getSavedCollections().filter(collection => collection.id !== id));
+};
+
+/**
+ * Add imported collections that don't exist yet (matched by id)
+ */
+export const mergeCollections = (importedCollections = []) => {
+    const collections = getSavedCollections();
+    const existingIds = new Set(collections.map(collection => collection.id));
+    const added = importedCollections.filter(collection =>
+        collection && typeof collection.name === 'string' && !existingIds.has(collection.id)
+    ).map(collection => ({
+        id: collection.id || uuid(),
+        name: collection.name.trim(),
+        query: typeof collection.query === 'string' ? collection.query : '',
+        tags: Array.isArray(collection.tags) ? collection.tags : [],
+        excludedTags: Array.isArray(collection.excludedTags) ? collection.excludedTags : [],
+        tagMode: collection.tagMode === 'any' ? 'any' : 'all',
+        sortOrder: SORT_ORDERS[collection.sortOrder] ? collection.sortOrder : 'relevance'
+    }));
+
+    if (added.length > 0) {
+        setSavedCollections([...collections, ...added]);
+    }
+    return added.length;
+};
+
 /**
  * Validate prompt data
  */
@@ -282,13 +754,118 @@ export const validatePromptData = (data) => {
     return errors;
 };
 
+/**
+ * Normalize imported prompt data to the fields a prompt stores
+ */
+const toIncomingPrompt = (promptData) => ({
+    title: promptData.title.trim(),
+    content: promptData.content ? promptData.content.trim() : '',
+    tags: sanitizeTags(promptData.tags || []),
+    noPlaceholders: promptData.noPlaceholders === true,
+    deletedAt: promptData.deletedAt || null
+});
+
+/**
+ * Check whether a revision (or prompt) has the given title, content and tags
+ */
+const isSameRevision = (revision, prompt) => {
+    return revision.title === prompt.title &&
+        revision.content === prompt.content &&
+        revision.tags.join('\n') === prompt.tags.join('\n');
+};
+
+/**
+ * Classify one imported prompt against the library, matching by id first and then by title+content hash
+ * Statuses: new, identical, updated (changed on their side since our version), conflict (changed on both sides).
+ * `seenHashes` and `seenIds` hold the hashes of prompts added and the ids met earlier in the same import;
+ * a repeated id is skipped as identical, so only its first occurrence is imported.
+ */
+const classifyImportItem = (prompts, promptData, seenHashes, seenIds) => {
+    const incoming = toIncomingPrompt(promptData);
+
+    if (promptData.id) {
+        if (seenIds.has(promptData.id)) {
+            return { status: 'identical', existing: null, incoming };
+        }
+        seenIds.add(promptData.id);
+    }
+
+    const existing = promptData.id ? prompts.find(prompt => prompt.id === promptData.id) : null;
+
+    if (existing) {
+        const unchanged = isSameRevision(incoming, existing) &&
+            incoming.noPlaceholders === (existing.noPlaceholders === true) &&
+            Boolean(incoming.deletedAt) === Boolean(existing.deletedAt);
+        if (unchanged) {
+            return { status: 'identical', existing, incoming };
+        }
+
+        // Our history contains their version: it's an older copy and ours is simply ahead
+        const oursIsAhead = normalizeHistory(existing.history).some(revision => isSameRevision(revision, incoming));
+        if (oursIsAhead) {
+            return { status: 'identical', existing, incoming };
+        }
+
+        // Their history contains our current version: they edited on top of it. Without history, the newer
+        // side wins the guess, as long as ours wasn't saved after theirs.
+        const theirHistory = normalizeHistory(promptData.history);
+        const basedOnOurs = theirHistory.length > 0
+            ? theirHistory.some(revision => isSameRevision(revision, existing))
+            : Boolean(promptData.updatedAt) && promptData.updatedAt >= existing.updatedAt;
+
+        return {
+            status: basedOnOurs ? 'updated' : 'conflict',
+            existing,
+            incoming,
+            diff: diffLines(revisionToText(existing), revisionToText(incoming))
+        };
+    }
+
+    const contentHash = simpleHash(incoming.title + incoming.content);
+    const duplicate = prompts.find(prompt => !prompt.deletedAt && simpleHash(prompt.title + prompt.content) === contentHash);
+    if (duplicate || seenHashes.has(contentHash)) {
+        return { status: 'identical', existing: duplicate || null, incoming };
+    }
+
+    seenHashes.add(contentHash);
+    return { status: 'new', existing: null, incoming };
+};
+
+/**
+ * Preview a merge import: what happens to each prompt (see classifyImportItem)
+ * Returns [{ index, status, existing, incoming, diff }] in import order; invalid prompts have status "invalid" and errors.
+ */
+export const previewImport = (promptsData) => {
+    const prompts = getState().prompts;
+    const seenHashes = new Set();
+    const seenIds = new Set();
+
+    return promptsData.map((promptData, index) => {
+        const errors = validatePromptData(promptData);
+        if (errors.length > 0) {
+            return { index, status: 'invalid', errors };
+        }
+        return { index, ...classifyImportItem(prompts, promptData, seenHashes, seenIds) };
+    });
+};
+
+/**
+ * Default choice for an imported prompt that differs from ours: take updates, keep ours on conflicts
+ */
+export const getDefaultResolution = (status) => status === 'updated' ? 'theirs' : 'mine';
+
 /**
  * Batch operations for import
+ * In merge mode prompts are matched by id first, then by title+content hash (see previewImport). Identical
+ * prompts are skipped and new ones keep their id. For prompts that differ from ours, `resolutions` (by index)
+ * picks "mine" (skip), "theirs" (update ours, recorded in its history) or "both" (add theirs as a copy);
+ * without one, updates are taken and conflicts keep ours.
  */
-export const batchCreatePrompts = (promptsData, mode = 'merge') => {
+export const batchCreatePrompts = (promptsData, mode = 'merge', { resolutions = {} } = {}) => {
     const state = getState();
     const results = {
         created: 0,
+        updated: 0,
         skipped: 0,
         errors: []
     };
@@ -297,6 +874,25 @@ export const batchCreatePrompts = (promptsData, mode = 'merge') => {
         state.prompts = [];
     }
 
+    const seenHashes = new Set();
+    const seenIds = new Set();
+
+    const addPrompt = (promptData, incoming, { keepId = true, title = incoming.title } = {}) => {
+        // Only uuid-shaped ids are kept: an imported id ends up in HTML attributes
+        const idTaken = !isUuid(promptData.id) || state.prompts.some(prompt => prompt.id === promptData.id);
+        const prompt = {
+            id: keepId && !idTaken ? promptData.id : uuid(),
+            ...incoming,
+            title,
+            createdAt: promptData.createdAt || now(),
+            updatedAt: now()
+        };
+        prompt.history = appendRevision(keepId ? normalizeHistory(promptData.history) : [], prompt);
+
+        state.prompts.push(prompt);
+        results.created++;
+    };
+
     promptsData.forEach((promptData, index) => {
         try {
             // Validate prompt data
@@ -307,32 +903,34 @@ export const batchCreatePrompts = (promptsData, mode = 'merge') => {
                 return;
             }
 
-            // Check for duplicates in merge mode
-            if (mode === 'merge') {
-                const contentHash = simpleHash(promptData.title + promptData.content);
-                const duplicate = state.prompts.find(existing => {
-                    const existingHash = simpleHash(existing.title + existing.content);
-                    return existingHash === contentHash;
-                });
-
-                if (duplicate) {
-                    results.skipped++;
-                    return;
-                }
+            if (mode === 'replace') {
+                addPrompt(promptData, toIncomingPrompt(promptData));
+                return;
             }
 
-            // Create new prompt
-            const prompt = {
-                id: uuid(),
-                title: promptData.title.trim(),
-                content: promptData.content ? promptData.content.trim() : '',
-                tags: sanitizeTags(promptData.tags || []),
-                createdAt: promptData.createdAt || now(),
-                updatedAt: now()
-            };
+            const { status, existing, incoming } = classifyImportItem(state.prompts, promptData, seenHashes, seenIds);
 
-            state.prompts.push(prompt);
-            results.created++;
+            if (status === 'new') {
+                addPrompt(promptData, incoming);
+                return;
+            }
+
+            const resolution = status === 'identical' ? 'mine' : resolutions[index] || getDefaultResolution(status);
+
+            if (resolution === 'both') {
+                addPrompt(promptData, incoming, { keepId: false, title: `${incoming.title} (imported)` });
+            } else if (resolution === 'theirs') {
+                const updated = { ...existing, ...incoming, updatedAt: now() };
+                const previousHistory = existing.history?.length > 0
+                    ? existing.history
+                    : [createRevision(existing, existing.updatedAt)];
+                updated.history = appendRevision(previousHistory, updated);
+
+                state.prompts[state.prompts.indexOf(existing)] = updated;
+                results.updated++;
+            } else {
+                results.skipped++;
+            }
 
         } catch (error) {
             results.errors.push(`Prompt ${index + 1}: ${error.message}`);
@@ -340,7 +938,7 @@ export const batchCreatePrompts = (promptsData, mode = 'merge') => {
         }
     });
 
-    if (results.created > 0) {
+    if (results.created > 0 || results.updated > 0) {
         if (!setState(state)) {
             throw new Error('Failed to save imported prompts');
         }
@@ -375,45 +973,308 @@ export const getPromptStats = () => {
 };
 
 /**
- * Detect placeholders in prompt content
+ * Find the prompt a partial include points at: "id:<uuid>" or a title (case-insensitive)
  */
-export const detectPromptPlaceholders = (promptId) => {
-    const prompt = getPromptById(promptId);
-    if (!prompt || !prompt.content) {
-        return [];
+const resolvePromptReference = (reference, prompts = getAllPrompts()) => {
+    if (reference.startsWith('id:')) {
+        const id = reference.slice(3).trim();
+        return prompts.find(prompt => prompt.id === id) || null;
     }
-    
-    return parsePlaceholders(prompt.content);
+
+    const title = reference.trim().toLowerCase();
+    return prompts.find(prompt => prompt.title.trim().toLowerCase() === title) || null;
 };
 
 /**
- * Get cached variables for prompt with auto values
+ * Template options resolving {{> partial}} includes, starting the include trail at the given prompt
  */
-export const getPromptVariablesWithAuto = (promptId) => {
-    const prompt = getPromptById(promptId);
-    const cachedVars = getPromptVariables(promptId);
-    const autoVars = {};
-    
-    if (prompt && prompt.content) {
-        // Add auto values if they exist as placeholders
-        if (prompt.content.includes('{{today}}')) {
-            autoVars.today = new Date().toISOString().split('T')[0];
+const getTemplateOptions = (prompt) => ({
+    resolvePartial: (reference) => resolvePromptReference(reference),
+    trail: prompt?.id ? [{ id: prompt.id, title: prompt.title }] : []
+});
+
+/**
+ * Template options for converting a saved prompt, with its partials resolved
+ */
+export const getPromptTemplateOptions = (prompt) => getTemplateOptions(prompt);
+
+/**
+ * Get the template error of prompt content (resolving partials), or null when valid
+ */
+export const getPromptTemplateError = (content, promptId = null) => {
+    const prompt = promptId ? getPromptById(promptId) : null;
+    return getTemplateError(content, getTemplateOptions(prompt));
+};
+
+/**
+ * Lint prompt content (see lintTemplate) and check its placeholders against the shared variables:
+ * names one typo away from a global or profile variable, and variables of the active profile
+ * that the prompt leaves out while using others from it. Plain text prompts (`noPlaceholders`) have nothing to check.
+ */
+export const lintPrompt = (content, promptId = null, { noPlaceholders = false } = {}) => {
+    if (noPlaceholders) {
+        return [];
+    }
+
+    const prompt = promptId ? getPromptById(promptId) : null;
+    const options = getTemplateOptions(prompt);
+    const diagnostics = lintTemplate(content, options);
+    if (!content || diagnostics.some(item => item.severity === 'error')) {
+        return diagnostics;
+    }
+
+    const names = parsePlaceholders(content, null, options).map(placeholder => placeholder.name);
+    const profiles = getVariableProfiles();
+    const sharedNames = [...new Set([
+        ...Object.keys(getGlobalVariables()),
+        ...profiles.flatMap(profile => Object.keys(profile.variables))
+    ])];
+    const findLine = (name) => {
+        const index = content.search(new RegExp(`\\{\\{\\s*(#\\w+\\s+)?${escapeRegex(name)}`));
+        return index === -1 ? null : content.slice(0, index).split('\n').length;
+    };
+
+    names.filter(name => !sharedNames.includes(name) && !isAutoValue(name)).forEach(name => {
+        const match = sharedNames.find(shared => isLikelyTypo(shared, name));
+        if (match) {
+            diagnostics.push({ severity: 'warning', message: `"${name}" isn't a global or profile variable; did you mean "${match}"?`, line: findLine(name), column: null });
         }
-        if (prompt.content.includes('{{now}}')) {
-            const now = new Date();
-            const hours = String(now.getHours()).padStart(2, '0');
-            const minutes = String(now.getMinutes()).padStart(2, '0');
-            autoVars.now = `${now.toISOString().split('T')[0]} ${hours}:${minutes}`;
+    });
+
+    const activeProfile = profiles.find(profile => profile.id === getActiveProfileId());
+    if (activeProfile) {
+        const profileNames = Object.keys(activeProfile.variables);
+        const unused = profileNames.filter(name => !names.includes(name));
+        if (unused.length > 0 && unused.length < profileNames.length) {
+            diagnostics.push({ severity: 'info', message: `Profile "${activeProfile.name}" also sets ${unused.map(name => `"${name}"`).join(', ')}, unused here`, line: null, column: null });
         }
     }
+
+    return diagnostics;
+};
+
+/**
+ * Check whether a prompt is a template: not flagged as plain text, with tags, partials or escapes to render
+ */
+export const isTemplatePrompt = (prompt) => Boolean(prompt && !prompt.noPlaceholders && hasTemplateSyntax(prompt.content));
+
+/**
+ * List the prompts that include a prompt, directly or through other partials
+ * Returns [{ id, title, via, byTitle }]: `via` names the partial in between for indirect uses,
+ * `byTitle` marks direct includes that would break if the prompt were renamed.
+ */
+export const getPromptUsages = (promptId) => {
+    const prompts = getAllPrompts();
+    const includes = new Map(prompts.map(prompt => [
+        prompt.id,
+        (prompt.noPlaceholders ? [] : getPartialReferences(prompt.content)).map(reference => ({
+            id: resolvePromptReference(reference, prompts)?.id,
+            byTitle: !reference.startsWith('id:')
+        }))
+    ]));
+
+    const usages = [];
+    const queue = [{ id: promptId, via: null }];
+    const seen = new Set([promptId]);
+
+    while (queue.length > 0) {
+        const target = queue.shift();
+        prompts.forEach(prompt => {
+            const matches = includes.get(prompt.id).filter(include => include.id === target.id);
+            if (matches.length === 0 || seen.has(prompt.id)) return;
+
+            seen.add(prompt.id);
+            const via = target.id === promptId ? null : target.title;
+            usages.push({ id: prompt.id, title: prompt.title, via, byTitle: !via && matches.some(include => include.byTitle) });
+            queue.push({ id: prompt.id, title: prompt.title });
+        });
+    }
+
+    return usages;
+};
+
+/**
+ * Detect placeholders in prompt content and its partials (only those reachable with the given values, if any)
+ */
+export const detectPromptPlaceholders = (promptId, values = null) => {
+    const prompt = getPromptById(promptId);
+    if (!prompt || !prompt.content || prompt.noPlaceholders) {
+        return [];
+    }
     
+    return parsePlaceholders(prompt.content, values, getTemplateOptions(prompt));
+};
+
+/**
+ * Get global variables, available to every prompt
+ */
+export const getGlobalVariables = () => getPreferences().globalVariables || {};
+
+/**
+ * Get named variable profiles ({ id, name, variables })
+ */
+export const getVariableProfiles = () => getPreferences().variableProfiles || [];
+
+/**
+ * Get the profile picked last in the Insert & Copy modal (null when none or deleted)
+ */
+export const getActiveProfileId = () => {
+    const { activeProfileId } = getPreferences();
+    return getVariableProfiles().some(profile => profile.id === activeProfileId) ? activeProfileId : null;
+};
+
+/**
+ * Remember the profile picked in the Insert & Copy modal
+ */
+export const setActiveProfile = (profileId) => {
+    if (!setPreferences({ ...getPreferences(), activeProfileId: profileId || null })) {
+        throw new Error('Failed to save active profile');
+    }
+};
+
+/**
+ * Save global variables and the full list of profiles (as edited in settings)
+ */
+export const saveVariableSettings = (globalVariables, profiles) => {
+    const names = profiles.map(profile => (profile.name || '').trim());
+    if (names.some(name => !name)) {
+        throw new Error('Every profile needs a name');
+    }
+    const duplicate = names.find((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) !== index);
+    if (duplicate) {
+        throw new Error(`There is more than one profile named "${duplicate}"`);
+    }
+
+    const variableProfiles = profiles.map((profile, index) => ({
+        id: profile.id || uuid(),
+        name: names[index],
+        variables: { ...profile.variables }
+    }));
+    const prefs = getPreferences();
+    const saved = setPreferences({
+        ...prefs,
+        globalVariables: { ...globalVariables },
+        variableProfiles,
+        activeProfileId: variableProfiles.some(profile => profile.id === prefs.activeProfileId) ? prefs.activeProfileId : null
+    });
+
+    if (!saved) {
+        throw new Error('Failed to save variables');
+    }
+    return variableProfiles;
+};
+
+/**
+ * Merge imported global variables and profiles: existing names win, new ones are added
+ * Returns { globalsAdded, profilesAdded }
+ */
+export const mergeVariableSettings = ({ globals = {}, profiles = [] } = {}) => {
+    const globalVariables = getGlobalVariables();
+    const existingProfiles = getVariableProfiles();
+    const newGlobals = Object.entries(globals || {}).filter(([name, value]) =>
+        typeof value === 'string' && !Object.prototype.hasOwnProperty.call(globalVariables, name)
+    );
+    const newProfiles = (Array.isArray(profiles) ? profiles : []).filter(profile =>
+        profile && typeof profile.name === 'string' && profile.name.trim() &&
+        !existingProfiles.some(existing => existing.id === profile.id || existing.name.toLowerCase() === profile.name.trim().toLowerCase())
+    ).map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        variables: Object.fromEntries(Object.entries(profile.variables || {}).filter(([, value]) => typeof value === 'string'))
+    }));
+
+    if (newGlobals.length > 0 || newProfiles.length > 0) {
+        saveVariableSettings({ ...globalVariables, ...Object.fromEntries(newGlobals) }, [...existingProfiles, ...newProfiles]);
+    }
+    return { globalsAdded: newGlobals.length, profilesAdded: newProfiles.length };
+};
+
+/**
+ * Resolve the variables shared between prompts: the profile's, falling back to global ones
+ * Returns { values, sources } where sources tells 'profile' or 'global' per variable
+ */
+const resolveSharedVariables = (profileId) => {
+    const profile = getVariableProfiles().find(item => item.id === profileId);
+    const values = {};
+    const sources = {};
+
+    // Lowest precedence first, so later layers overwrite
+    [['global', getGlobalVariables()], ['profile', profile?.variables || {}]].forEach(([source, variables]) => {
+        Object.entries(variables).forEach(([name, value]) => {
+            if (value !== '') {
+                values[name] = value;
+                sources[name] = source;
+            }
+        });
+    });
+
+    return { values, sources };
+};
+
+/**
+ * Resolve a prompt's variables in lookup order: prompt cache, then profile, then global
+ * (placeholder defaults come last, in the modal and when rendering).
+ * Returns { values, sources } where sources tells 'prompt', 'profile' or 'global' per variable
+ */
+export const resolvePromptVariables = (promptId, profileId = getActiveProfileId()) => {
+    const { values, sources } = resolveSharedVariables(profileId);
+
+    Object.entries(getPromptVariables(promptId)).forEach(([name, value]) => {
+        if (value !== '') {
+            values[name] = value;
+            sources[name] = 'prompt';
+        }
+    });
+
+    return { values, sources };
+};
+
+/**
+ * Resolve the auto-values ({{today}}, {{uuid}}, …) used by a prompt, including its partials
+ * Names already in `skip` are left out.
+ */
+const resolvePromptAutoValues = (prompt, skip = {}) => {
+    const names = parsePlaceholders(prompt.content, null, getTemplateOptions(prompt))
+        .map(placeholder => placeholder.name)
+        .filter(name => isAutoValue(name) && !Object.prototype.hasOwnProperty.call(skip, name));
+    return resolveAutoValues(names, { prompt });
+};
+
+/**
+ * Get resolved variables for prompt (see resolvePromptVariables) with auto values
+ */
+export const getPromptVariablesWithAuto = async (promptId, profileId = getActiveProfileId()) => {
+    const prompt = getPromptById(promptId);
+    const cachedVars = resolvePromptVariables(promptId, profileId).values;
+    const autoVars = prompt && prompt.content ? await resolvePromptAutoValues(prompt) : {};
+
     return { ...cachedVars, ...autoVars };
 };
 
+/**
+ * Render (possibly unsaved) prompt content for a live preview
+ * Without `values`, the prompt's last used, profile and global values are used; auto values
+ * are left as written. Template errors are returned as `error` instead of thrown.
+ */
+export const renderPromptPreview = (content, { promptId = null, values = null, noPlaceholders = false } = {}) => {
+    if (noPlaceholders) {
+        return { text: content || '', missing: [], segments: [{ kind: 'text', text: content || '' }], error: null };
+    }
+
+    const prompt = promptId ? getPromptById(promptId) : null;
+    const previewValues = values || (prompt ? resolvePromptVariables(prompt.id).values : resolveSharedVariables(getActiveProfileId()).values);
+
+    try {
+        return { ...applyPlaceholders(content || '', previewValues, getTemplateOptions(prompt)), error: null };
+    } catch (error) {
+        return { text: '', missing: [], segments: [], error: error.message };
+    }
+};
+
 /**
  * Apply placeholders and copy to clipboard
  */
-export const insertAndCopyPrompt = async (promptId, variables = {}) => {
+export const insertAndCopyPrompt = async (promptId, variables = {}, profileId = getActiveProfileId()) => {
     const prompt = getPromptById(promptId);
     if (!prompt) {
         showToast('Prompt not found', 'error');
@@ -425,13 +1286,22 @@ export const insertAndCopyPrompt = async (promptId, variables = {}) => {
         return false;
     }
 
-    // Apply placeholders
-    const result = applyPlaceholders(prompt.content, variables);
+    // Apply placeholders, resolving auto values the caller didn't provide (e.g. previewed in the modal)
+    let result;
+    try {
+        const autoVars = prompt.noPlaceholders ? {} : await resolvePromptAutoValues(prompt, variables);
+        result = prompt.noPlaceholders
+            ? { text: prompt.content, missing: [] }
+            : applyPlaceholders(prompt.content, { ...autoVars, ...variables }, getTemplateOptions(prompt));
+    } catch (error) {
+        showToast(`Template error: ${error.message}`, 'error', 6000);
+        return false;
+    }
     
-    // Save used variables to cache (excluding auto values)
-    const varsToCache = { ...variables };
-    delete varsToCache.today;
-    delete varsToCache.now;
+    // Save used variables to cache (excluding auto values); values that just repeat the
+    // profile or global ones aren't cached, so switching profiles keeps working for this prompt
+    const shared = resolveSharedVariables(profileId).values;
+    const varsToCache = Object.fromEntries(Object.entries(variables).filter(([name, value]) => !isAutoValue(name) && shared[name] !== value));
     setPromptVariables(promptId, varsToCache);
 
     try {
@@ -454,6 +1324,53 @@ export const insertAndCopyPrompt = async (promptId, variables = {}) => {
     }
 };
 
+/**
+ * Suggest which dataset column fills each placeholder: same name, ignoring case, spaces and punctuation
+ * Returns { placeholderName: column } with '' for placeholders left unmapped.
+ */
+export const getBatchColumnMapping = (placeholders, columns) => {
+    const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.fromEntries(placeholders.map(placeholder => {
+        const column = columns.find(item => item === placeholder.name)
+            || columns.find(item => normalize(item) === normalize(placeholder.name));
+        return [placeholder.name, column || ''];
+    }));
+};
+
+/**
+ * Render a prompt once per dataset row, with `mapping` naming the column for each placeholder
+ * Row values go over the profile and global variables; auto values are resolved per row.
+ * Each row is checked against the placeholder types like the Insert & Copy form; `invalid` lists the problems.
+ * Returns [{ index, row, text, missing, invalid }]; throws on template errors.
+ */
+export const renderPromptBatch = async (promptId, rows, mapping, profileId = getActiveProfileId()) => {
+    const prompt = getPromptById(promptId);
+    if (!prompt) {
+        throw new Error('Prompt not found');
+    }
+
+    const options = getTemplateOptions(prompt);
+    const shared = resolveSharedVariables(profileId).values;
+    const results = [];
+
+    for (const [index, row] of rows.entries()) {
+        const values = { ...shared, ...await resolvePromptAutoValues(prompt) };
+        Object.entries(mapping).forEach(([name, column]) => {
+            if (column && row[column] !== undefined && row[column] !== '') {
+                values[name] = row[column];
+            }
+        });
+
+        const invalid = detectPromptPlaceholders(promptId, values)
+            .map(placeholder => validatePlaceholderValue(placeholder, values[placeholder.name]))
+            .filter(Boolean);
+        const { text, missing } = applyPlaceholders(prompt.content, values, options);
+        results.push({ index, row, text, missing, invalid });
+    }
+
+    return results;
+};
+
 /**
  * Duplicate an existing prompt
  */
@@ -468,9 +1385,12 @@ export const duplicatePrompt = (promptId) => {
         title: `${originalPrompt.title} (copy)`,
         content: originalPrompt.content,
         tags: [...originalPrompt.tags],
+        noPlaceholders: originalPrompt.noPlaceholders === true,
         createdAt: now(),
-        updatedAt: now()
+        updatedAt: now(),
+        deletedAt: null
     };
+    duplicatedPrompt.history = appendRevision([], duplicatedPrompt);
 
     const state = getState();
     state.prompts = [...state.prompts, duplicatedPrompt];
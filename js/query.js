@@ -0,0 +1,474 @@
+/**
+ * Query module - parses the search box query syntax into an AST and evaluates it against prompts
+ *
+ * Syntax:
+ *   word                 text match in title, content or tags
+ *   "quoted phrase"      exact phrase match
+ *   tag:foo              prompt has tag "foo" (or a nested tag like "foo/bar")
+ *   title:"code review"  field match (title, content)
+ *   created:>2025-01-01  date comparison (created, updated; >, >=, <, <=, =)
+ *   has:placeholders     prompt has placeholders (also has:tags, has:content)
+ *   -term                negation
+ *   a OR b               either term (terms next to each other are ANDed)
+ *   (a OR b) c           grouping
+ *
+ * Text terms tolerate typos (edit distance 1 for 4+ characters, 2 for 8+) and
+ * matches are scored so results can be ranked by relevance.
+ */
+
+import { levenshtein, normalizeTagPath, isTagWithin } from './utils.js';
+import { parsePlaceholders } from './template.js';
+
+const TEXT_FIELDS = ['title', 'content'];
+const DATE_FIELDS = ['created', 'updated'];
+const HAS_VALUES = ['placeholders', 'tags', 'content'];
+const FIELDS = ['tag', ...TEXT_FIELDS, ...DATE_FIELDS, 'has'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relevance weights per field; exact matches count double
+const FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+const WORD_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+/**
+ * Create a syntax error carrying the offending position
+ */
+const syntaxError = (message, position) => {
+    const error = new Error(`${message} (at character ${position + 1})`);
+    error.position = position;
+    return error;
+};
+
+/**
+ * Read a quoted string starting at the opening quote
+ */
+const readQuoted = (query, start) => {
+    const end = query.indexOf('"', start + 1);
+    if (end === -1) {
+        throw syntaxError('Missing closing quote', start);
+    }
+    return { value: query.slice(start + 1, end), end: end + 1 };
+};
+
+/**
+ * Split query into tokens: ( ) OR NOT and terms
+ */
+const tokenize = (query) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        const char = query[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: char, position: i });
+            i++;
+            continue;
+        }
+
+        if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            tokens.push({ type: 'NOT', position: i });
+            i++;
+            continue;
+        }
+
+        if (char === '"') {
+            const { value, end } = readQuoted(query, i);
+            tokens.push({ type: 'TERM', field: null, value, position: i });
+            i = end;
+            continue;
+        }
+
+        // Bare word, possibly field:value
+        const start = i;
+        while (i < query.length && !/[\s()"]/.test(query[i])) {
+            i++;
+        }
+        const word = query.slice(start, i);
+
+        if (word === 'OR') {
+            tokens.push({ type: 'OR', position: start });
+            continue;
+        }
+
+        const colonIndex = word.indexOf(':');
+        const field = colonIndex > 0 ? word.slice(0, colonIndex).toLowerCase() : null;
+
+        if (field && FIELDS.includes(field)) {
+            let value = word.slice(colonIndex + 1);
+            if (value === '' && query[i] === '"') {
+                const quoted = readQuoted(query, i);
+                value = quoted.value;
+                i = quoted.end;
+            }
+            tokens.push({ type: 'TERM', field, value, position: start });
+        } else {
+            tokens.push({ type: 'TERM', field: null, value: word, position: start });
+        }
+    }
+
+    return tokens;
+};
+
+/**
+ * Parse a date value like ">=2025-01-01" into an operator and day range
+ */
+const parseDateValue = (value, position) => {
+    const match = value.match(/^(>=|<=|>|<|=)?(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) {
+        throw syntaxError(`Invalid date "${value}", expected YYYY-MM-DD`, position);
+    }
+
+    const [, op = '=', year, month, day] = match;
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    // Date rolls "2025-13-45" over into 2026, so the parts must come back unchanged
+    const isValid = date.getFullYear() === Number(year) && date.getMonth() === Number(month) - 1 && date.getDate() === Number(day);
+    if (!isValid) {
+        throw syntaxError(`Invalid date "${value}"`, position);
+    }
+
+    const start = date.getTime();
+    return { op, start, end: start + DAY_MS };
+};
+
+/**
+ * Validate a term token and turn it into an AST node
+ */
+const createTermNode = (token) => {
+    const { field, value, position } = token;
+
+    if (field && value.trim() === '') {
+        throw syntaxError(`Missing value for "${field}:"`, position);
+    }
+
+    if (DATE_FIELDS.includes(field)) {
+        return { type: 'date', field, ...parseDateValue(value, position) };
+    }
+
+    if (field === 'has') {
+        const normalized = value.toLowerCase();
+        if (!HAS_VALUES.includes(normalized)) {
+            throw syntaxError(`Unknown value "has:${value}" (use ${HAS_VALUES.join(', ')})`, position);
+        }
+        return { type: 'has', value: normalized };
+    }
+
+    return { type: 'term', field, value: value.toLowerCase() };
+};
+
+/**
+ * Parse query string into an AST (null for an empty query)
+ * Throws an Error with a `position` property on invalid syntax
+ */
+export const parseQuery = (query) => {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return null;
+    }
+
+    const tokens = tokenize(query);
+    let index = 0;
+
+    const peek = () => tokens[index];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            const orToken = tokens[index++];
+            if (!peek() || peek().type === 'OR' || peek().type === ')') {
+                throw syntaxError('Expected a term after OR', orToken.position);
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            children.push(parseUnary());
+        }
+        if (children.length === 0) {
+            const token = peek();
+            throw syntaxError(token ? `Unexpected "${token.type}"` : 'Unexpected end of query', token ? token.position : query.length);
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        const token = tokens[index++];
+
+        if (token.type === 'NOT') {
+            if (!peek() || peek().type === 'OR' || peek().type === ')') {
+                throw syntaxError('Expected a term after "-"', token.position);
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+
+        if (token.type === '(') {
+            const node = parseOr();
+            if (peek()?.type !== ')') {
+                throw syntaxError('Missing closing parenthesis', token.position);
+            }
+            index++;
+            return node;
+        }
+
+        if (token.type === 'TERM') {
+            return createTermNode(token);
+        }
+
+        throw syntaxError(`Unexpected "${token.type}"`, token.position);
+    };
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+        throw syntaxError(`Unexpected "${peek().type}"`, peek().position);
+    }
+
+    return ast;
+};
+
+/**
+ * Get the syntax error message for a query, or null if it is valid
+ */
+export const getQueryError = (query) => {
+    try {
+        parseQuery(query);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * Allowed number of typos for a search term
+ */
+const getMaxTypos = (value) => {
+    if (value.length >= 8) return 2;
+    if (value.length >= 4) return 1;
+    return 0;
+};
+
+/**
+ * Find where a (lowercase) term matches in text
+ * Returns exact substring ranges if there are any, otherwise ranges of words within the typo budget
+ */
+export const findTextMatches = (text, value) => {
+    const ranges = [];
+    if (!text || !value) {
+        return { ranges, exact: false };
+    }
+
+    const lowerText = text.toLowerCase();
+    let index = lowerText.indexOf(value);
+    while (index !== -1) {
+        ranges.push([index, index + value.length]);
+        index = lowerText.indexOf(value, index + value.length);
+    }
+
+    if (ranges.length > 0) {
+        return { ranges, exact: true };
+    }
+
+    // Phrases are matched exactly
+    const maxTypos = getMaxTypos(value);
+    if (maxTypos === 0 || /\s/.test(value)) {
+        return { ranges, exact: false };
+    }
+
+    for (const match of lowerText.matchAll(WORD_PATTERN)) {
+        const word = match[0];
+        if (levenshtein(word, value, maxTypos) <= maxTypos) {
+            ranges.push([match.index, match.index + word.length]);
+        }
+    }
+
+    return { ranges, exact: false };
+};
+
+const hasTextMatch = (text, value) => findTextMatches(text, value).ranges.length > 0;
+
+/**
+ * Check a text term against a prompt
+ */
+const matchTerm = (node, prompt) => {
+    const { field, value } = node;
+    const tags = prompt.tags || [];
+
+    switch (field) {
+        case 'tag':
+            return tags.some(tag => isTagWithin(tag.toLowerCase(), normalizeTagPath(value)));
+        case 'title':
+            return hasTextMatch(prompt.title, value);
+        case 'content':
+            return hasTextMatch(prompt.content, value);
+        default:
+            return hasTextMatch(prompt.title, value) ||
+                hasTextMatch(prompt.content, value) ||
+                tags.some(tag => hasTextMatch(tag, value));
+    }
+};
+
+/**
+ * Check a date comparison against a prompt
+ */
+const matchDate = (node, prompt) => {
+    const timestamp = node.field === 'created' ? prompt.createdAt : prompt.updatedAt;
+
+    switch (node.op) {
+        case '>': return timestamp >= node.end;
+        case '>=': return timestamp >= node.start;
+        case '<': return timestamp < node.start;
+        case '<=': return timestamp < node.end;
+        default: return timestamp >= node.start && timestamp < node.end;
+    }
+};
+
+/**
+ * Evaluate an AST node against a prompt
+ */
+export const evaluateQuery = (node, prompt) => {
+    if (!node) {
+        return true;
+    }
+
+    switch (node.type) {
+        case 'and':
+            return node.children.every(child => evaluateQuery(child, prompt));
+        case 'or':
+            return node.children.some(child => evaluateQuery(child, prompt));
+        case 'not':
+            return !evaluateQuery(node.child, prompt);
+        case 'date':
+            return matchDate(node, prompt);
+        case 'has':
+            if (node.value === 'placeholders') return !prompt.noPlaceholders && parsePlaceholders(prompt.content).length > 0;
+            if (node.value === 'tags') return (prompt.tags || []).length > 0;
+            return !!prompt.content;
+        default:
+            return matchTerm(node, prompt);
+    }
+};
+
+/**
+ * Collect text terms that are not negated (the ones worth scoring and highlighting)
+ */
+const collectTextTerms = (node, negated = false, terms = []) => {
+    if (!node) {
+        return terms;
+    }
+
+    switch (node.type) {
+        case 'and':
+        case 'or':
+            node.children.forEach(child => collectTextTerms(child, negated, terms));
+            break;
+        case 'not':
+            collectTextTerms(node.child, !negated, terms);
+            break;
+        case 'term':
+            if (!negated && node.field !== 'tag') {
+                terms.push(node);
+            }
+            break;
+    }
+
+    return terms;
+};
+
+/**
+ * Sort and merge overlapping ranges
+ */
+const mergeRanges = (ranges) => {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    sorted.forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+
+    return merged;
+};
+
+/**
+ * Cut the content line holding the first match, keeping ranges relative to the snippet
+ */
+const getMatchSnippet = (content, ranges, maxLength = 150) => {
+    if (!content || ranges.length === 0) {
+        return null;
+    }
+
+    const [matchStart] = ranges[0];
+    const lineStart = content.lastIndexOf('\n', matchStart - 1) + 1;
+    const lineBreak = content.indexOf('\n', matchStart);
+    const lineEnd = lineBreak === -1 ? content.length : lineBreak;
+
+    // On long lines, start a little before the match so it stays visible
+    const start = lineEnd - lineStart > maxLength ? Math.max(lineStart, matchStart - 40) : lineStart;
+    const end = Math.min(lineEnd, start + maxLength);
+
+    return {
+        text: content.slice(start, end),
+        prefix: start > lineStart ? '…' : '',
+        suffix: end < lineEnd ? '…' : '',
+        ranges: ranges
+            .filter(([rangeStart, rangeEnd]) => rangeStart < end && rangeEnd > start)
+            .map(([rangeStart, rangeEnd]) => [Math.max(rangeStart, start) - start, Math.min(rangeEnd, end) - start])
+    };
+};
+
+/**
+ * Score a prompt against a query and locate the spans to highlight
+ * Title hits weigh more than tag hits, which weigh more than content hits
+ */
+export const getSearchMatch = (node, prompt) => {
+    const titleRanges = [];
+    const contentRanges = [];
+    let score = 0;
+
+    const addScore = (fieldWeight, exact) => {
+        score += fieldWeight * (exact ? 2 : 1);
+    };
+
+    collectTextTerms(node).forEach(({ field, value }) => {
+        if (field !== 'content') {
+            const titleMatch = findTextMatches(prompt.title, value);
+            if (titleMatch.ranges.length > 0) {
+                addScore(FIELD_WEIGHTS.title, titleMatch.exact);
+                titleRanges.push(...titleMatch.ranges);
+            }
+        }
+
+        if (field === null) {
+            const tagMatches = (prompt.tags || []).map(tag => findTextMatches(tag, value));
+            const bestTagMatch = tagMatches.find(match => match.exact) || tagMatches.find(match => match.ranges.length > 0);
+            if (bestTagMatch) {
+                addScore(FIELD_WEIGHTS.tags, bestTagMatch.exact);
+            }
+        }
+
+        if (field !== 'title') {
+            const contentMatch = findTextMatches(prompt.content, value);
+            if (contentMatch.ranges.length > 0) {
+                addScore(FIELD_WEIGHTS.content, contentMatch.exact);
+                contentRanges.push(...contentMatch.ranges);
+            }
+        }
+    });
+
+    return {
+        score,
+        titleRanges: mergeRanges(titleRanges),
+        snippet: getMatchSnippet(prompt.content, mergeRanges(contentRanges))
+    };
+};
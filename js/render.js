@@ -2,7 +2,45 @@
  * Render module - handles all UI rendering (app, cards, filters, toasts, modals)
  */
 
-import { sanitizeHTML, truncate, getFirstLine, formatDate, formatDateTime, createFocusTrap, parsePlaceholders } from './utils.js';
+import { sanitizeHTML, truncate, getFirstLine, formatDate, createFocusTrap, highlightMatches, formatVariableLines, CSV_DELIMITERS } from './utils.js';
+import { isAutoValue } from './autovalues.js';
+import { SORT_ORDERS, isTemplatePrompt } from './logic.js';
+
+/**
+ * Tag color palette: name → chip classes and dot class
+ */
+export const TAG_COLORS = {
+    red: { chip: 'bg-red-900 text-red-200', dot: 'bg-red-500' },
+    orange: { chip: 'bg-orange-900 text-orange-200', dot: 'bg-orange-500' },
+    yellow: { chip: 'bg-yellow-900 text-yellow-200', dot: 'bg-yellow-500' },
+    green: { chip: 'bg-green-900 text-green-200', dot: 'bg-green-500' },
+    teal: { chip: 'bg-teal-900 text-teal-200', dot: 'bg-teal-500' },
+    blue: { chip: 'bg-blue-900 text-blue-200', dot: 'bg-blue-500' },
+    indigo: { chip: 'bg-indigo-900 text-indigo-200', dot: 'bg-indigo-500' },
+    purple: { chip: 'bg-purple-900 text-purple-200', dot: 'bg-purple-500' },
+    pink: { chip: 'bg-pink-900 text-pink-200', dot: 'bg-pink-500' }
+};
+
+/**
+ * Render a small color dot for a tag (empty when the tag has no color)
+ */
+const renderTagDot = (color) => {
+    return TAG_COLORS[color]
+        ? `<span class="inline-block w-2 h-2 rounded-full ${TAG_COLORS[color].dot} mr-1" aria-hidden="true"></span>`
+        : '';
+};
+
+/**
+ * Resolve a tag's color; nested tags without their own color use their nearest parent's
+ */
+const getTagColor = (tagColors, tag) => {
+    const segments = tag.split('/');
+    for (let length = segments.length; length > 0; length--) {
+        const color = tagColors[segments.slice(0, length).join('/')];
+        if (color) return color;
+    }
+    return null;
+};
 
 /**
  * Render main application structure
@@ -19,17 +57,29 @@ export const renderApp = () => {
                     <input
                         type="text"
                         id="search-input"
-                        placeholder="Search prompts... (Press / to focus)"
+                        placeholder="Search prompts... e.g. tag:email -tag:draft (Press / to focus)"
                         class="w-full px-4 py-3 pl-10 bg-gray-800 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
                         autocomplete="off"
+                        aria-describedby="search-error"
                     >
                     <svg class="absolute left-3 top-3.5 h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"></path>
                     </svg>
                 </div>
+                <p id="search-error" class="hidden mt-2 text-sm text-red-400" role="status" aria-live="polite"></p>
             </div>
             
             <div class="flex gap-2">
+                <select
+                    id="sort-select"
+                    class="px-3 py-3 bg-gray-700 border border-gray-600 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    aria-label="Sort prompts"
+                >
+                    ${Object.entries(SORT_ORDERS).map(([value, label]) => `
+                        <option value="${value}">${label}</option>
+                    `).join('')}
+                </select>
+                
                 <button
                     id="settings-btn"
                     class="px-3 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
@@ -42,6 +92,19 @@ export const renderApp = () => {
                     </svg>
                 </button>
                 
+                <button
+                    id="trash-btn"
+                    class="relative px-3 py-3 bg-gray-700 hover:bg-gray-600 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50"
+                    aria-label="Trash"
+                    aria-pressed="false"
+                    title="Trash"
+                >
+                    <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"></path>
+                    </svg>
+                    <span id="trash-count" class="hidden absolute -top-1 -right-1 min-w-[1.25rem] px-1 text-xs bg-red-600 text-white rounded-full"></span>
+                </button>
+                
                 <button
                     id="new-prompt-btn"
                     class="px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
@@ -70,7 +133,7 @@ export const renderApp = () => {
                         </svg>
                     </button>
                     
-                    <div id="export-menu" class="hidden absolute right-0 mt-2 w-48 bg-gray-800 rounded-lg shadow-lg border border-gray-600 z-50">
+                    <div id="export-menu" class="hidden absolute right-0 mt-2 w-56 bg-gray-800 rounded-lg shadow-lg border border-gray-600 z-50">
                         <div class="py-1">
                             <button id="export-json-btn" class="w-full text-left px-4 py-2 text-white hover:bg-gray-700 transition-colors duration-200">
                                 Export as JSON
@@ -78,10 +141,37 @@ export const renderApp = () => {
                             <button id="export-markdown-btn" class="w-full text-left px-4 py-2 text-white hover:bg-gray-700 transition-colors duration-200">
                                 Export as Markdown
                             </button>
+                            <button id="export-zip-btn" class="w-full text-left px-4 py-2 text-white hover:bg-gray-700 transition-colors duration-200">
+                                Export as ZIP
+                                <span class="block text-xs text-gray-400">One Markdown file per prompt</span>
+                            </button>
+                            <div class="flex items-center">
+                                <button id="export-csv-btn" class="flex-1 text-left px-4 py-2 text-white hover:bg-gray-700 transition-colors duration-200">
+                                    Export as CSV
+                                </button>
+                                <select
+                                    id="export-csv-delimiter"
+                                    class="mr-2 px-1 py-1 bg-gray-700 border border-gray-600 rounded text-xs text-gray-300 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                                    aria-label="CSV delimiter"
+                                >
+                                    ${Object.entries(CSV_DELIMITERS).map(([key, option]) => `
+                                        <option value="${key}">${option.label}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                            <button id="export-code-btn" class="w-full text-left px-4 py-2 text-white hover:bg-gray-700 transition-colors duration-200">
+                                Export for code…
+                                <span class="block text-xs text-gray-400">Listed prompts as messages, Jinja2, Python or JS</span>
+                            </button>
+                            <label class="flex items-center w-full px-4 py-2 text-sm text-gray-300 hover:bg-gray-700 transition-colors duration-200 cursor-pointer">
+                                <input type="checkbox" id="export-include-trash" class="mr-2 text-blue-600 focus:ring-blue-500 focus:ring-2">
+                                Include trash
+                            </label>
                             <hr class="border-gray-600 my-1">
                             <label class="w-full text-left px-4 py-2 text-white hover:bg-gray-700 transition-colors duration-200 cursor-pointer block">
-                                <input type="file" id="import-file" accept=".json" class="hidden">
-                                Import JSON
+                                <input type="file" id="import-file" accept=".json,.jsonl,.csv,.tsv,.md,.markdown,.zip,.txt" class="hidden">
+                                Import
+                                <span class="block text-xs text-gray-400">JSON, CSV, Markdown, ZIP or text</span>
                             </label>
                         </div>
                     </div>
@@ -89,14 +179,23 @@ export const renderApp = () => {
             </div>
         </div>
 
-        <!-- Tags Filter Bar -->
-        <div id="tags-filter-container" class="mb-6">
-            <!-- Tags will be rendered here -->
-        </div>
+        <div class="flex flex-col lg:flex-row gap-6">
+            <!-- Saved Searches Sidebar -->
+            <aside id="collections-sidebar" class="lg:w-60 flex-shrink-0" aria-label="Saved searches">
+                <!-- Smart collections will be rendered here -->
+            </aside>
 
-        <!-- Prompts Grid -->
-        <div id="prompts-container" class="space-y-4">
-            <!-- Prompt cards will be rendered here -->
+            <div class="flex-1 min-w-0">
+                <!-- Tags Filter Bar -->
+                <div id="tags-filter-container" class="mb-6">
+                    <!-- Tags will be rendered here -->
+                </div>
+
+                <!-- Prompts Grid -->
+                <div id="prompts-container" class="space-y-4">
+                    <!-- Prompt cards will be rendered here -->
+                </div>
+            </div>
         </div>
 
         <!-- Toast Container -->
@@ -112,35 +211,164 @@ export const renderApp = () => {
 };
 
 /**
- * Render tag filters
+ * Show or clear inline search query syntax feedback
  */
-export const renderTagFilters = (allTags, selectedTags = []) => {
+export const renderSearchError = (message = null) => {
+    const errorElement = document.getElementById('search-error');
+    const searchInput = document.getElementById('search-input');
+    if (!errorElement) return;
+
+    errorElement.textContent = message ? `${message} — showing plain text matches` : '';
+    errorElement.classList.toggle('hidden', !message);
+    searchInput?.classList.toggle('border-red-500', !!message);
+    searchInput?.setAttribute('aria-invalid', String(!!message));
+};
+
+/**
+ * Render saved searches (smart collections) sidebar
+ */
+export const renderCollectionsSidebar = (collections, activeId = null, canSave = false) => {
+    const container = document.getElementById('collections-sidebar');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div class="bg-gray-800 border border-gray-700 rounded-lg p-4">
+            <div class="flex justify-between items-center mb-3">
+                <h2 class="text-sm font-medium text-gray-400">Saved searches</h2>
+                <button
+                    id="save-collection-btn"
+                    class="text-sm text-blue-400 hover:text-blue-300 disabled:text-gray-600 disabled:cursor-not-allowed transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded px-1"
+                    ${canSave ? '' : 'disabled'}
+                    title="Save current search and tag filters"
+                >
+                    + Save
+                </button>
+            </div>
+            ${collections.length === 0 ? `
+                <p class="text-xs text-gray-500">Search or pick tags, then save the combination here.</p>
+            ` : `
+                <ul class="space-y-1">
+                    ${collections.map((collection, index) => `
+                        <li class="group flex items-center gap-1 rounded ${collection.id === activeId ? 'bg-blue-600' : 'hover:bg-gray-700'}">
+                            <button
+                                class="collection-open-btn flex-1 min-w-0 flex justify-between items-center gap-2 px-2 py-1 text-sm text-left ${collection.id === activeId ? 'text-white' : 'text-gray-300'} focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded"
+                                data-collection-id="${collection.id}"
+                                aria-pressed="${collection.id === activeId}"
+                                title="${sanitizeHTML([collection.query, ...collection.tags.map(tag => `#${tag}`), ...(collection.excludedTags || []).map(tag => `-#${tag}`)].filter(Boolean).join(' '))}"
+                            >
+                                <span class="truncate">${sanitizeHTML(collection.name)}</span>
+                                <span class="opacity-75 flex-shrink-0">${collection.count}</span>
+                            </button>
+                            <div class="hidden group-hover:flex group-focus-within:flex flex-shrink-0 text-xs">
+                                <button class="collection-move-btn px-1 text-gray-400 hover:text-white disabled:opacity-30" data-collection-id="${collection.id}" data-direction="-1" ${index === 0 ? 'disabled' : ''} aria-label="Move up" title="Move up">↑</button>
+                                <button class="collection-move-btn px-1 text-gray-400 hover:text-white disabled:opacity-30" data-collection-id="${collection.id}" data-direction="1" ${index === collections.length - 1 ? 'disabled' : ''} aria-label="Move down" title="Move down">↓</button>
+                                <button class="collection-rename-btn px-1 text-gray-400 hover:text-yellow-400" data-collection-id="${collection.id}" aria-label="Rename" title="Rename">✎</button>
+                                <button class="collection-delete-btn px-1 text-gray-400 hover:text-red-400" data-collection-id="${collection.id}" aria-label="Delete" title="Delete">✕</button>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            `}
+        </div>
+    `;
+};
+
+/**
+ * Render tag filters as a collapsible tree (flat tags are simply top-level leaves)
+ * Chips cycle between included (blue), excluded (red) and off
+ */
+export const renderTagFilters = (tagTree, selectedTags = [], { excludedTags = [], mode = 'all', tagColors = {}, expandedTags = [] } = {}) => {
     const container = document.getElementById('tags-filter-container');
     if (!container) return;
 
-    if (allTags.length === 0) {
+    if (tagTree.length === 0) {
         container.innerHTML = '';
         return;
     }
 
-    const hasSelectedTags = selectedTags.length > 0;
+    const hasSelectedTags = selectedTags.length > 0 || excludedTags.length > 0;
 
-    container.innerHTML = `
-        <div class="flex flex-wrap items-center gap-2">
-            <span class="text-sm text-gray-400 font-medium">Filter by tags:</span>
-            ${allTags.map(({ tag, count }) => `
+    const chipState = (tag) => {
+        if (selectedTags.includes(tag)) return 'include';
+        if (excludedTags.includes(tag)) return 'exclude';
+        return 'off';
+    };
+    const chipClass = {
+        include: 'bg-blue-600 text-white',
+        exclude: 'bg-red-700 text-white line-through',
+        off: 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+    };
+    const chipLabel = {
+        include: 'included, click to exclude',
+        exclude: 'excluded, click to clear',
+        off: 'click to include'
+    };
+
+    // Branches holding an active filter stay open so the chip is visible
+    const isExpanded = (node) => node.children.length > 0 && (
+        expandedTags.includes(node.path) ||
+        [...selectedTags, ...excludedTags].some(tag => tag.startsWith(node.path + '/'))
+    );
+
+    const modeButton = (value, label) => `
+        <button
+            class="tag-mode-btn px-2 py-1 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 ${
+                mode === value ? 'bg-gray-600 text-white' : 'text-gray-400 hover:text-white'
+            }"
+            data-mode="${value}"
+            aria-pressed="${mode === value}"
+            title="${value === 'all' ? 'Prompts must have all included tags' : 'Prompts must have at least one included tag'}"
+        >
+            ${label}
+        </button>
+    `;
+
+    const renderChip = (node) => `
+        <span class="inline-flex items-center gap-1">
+            ${node.children.length > 0 ? `
                 <button
-                    class="tag-filter-btn px-3 py-1 rounded-full text-sm font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 ${
-                        selectedTags.includes(tag)
-                            ? 'bg-blue-600 text-white'
-                            : 'bg-gray-700 text-gray-300 hover:bg-gray-600'
-                    }"
-                    data-tag="${sanitizeHTML(tag)}"
-                    aria-pressed="${selectedTags.includes(tag)}"
+                    class="tag-expand-btn w-5 h-5 text-xs text-gray-400 hover:text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                    data-tag="${sanitizeHTML(node.path)}"
+                    aria-expanded="${isExpanded(node)}"
+                    aria-label="${isExpanded(node) ? 'Collapse' : 'Expand'} ${sanitizeHTML(node.path)}"
                 >
-                    ${sanitizeHTML(tag)} <span class="opacity-75">(${count})</span>
+                    ${isExpanded(node) ? '▾' : '▸'}
                 </button>
-            `).join('')}
+            ` : ''}
+            <button
+                class="tag-filter-btn px-3 py-1 rounded-full text-sm font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 ${chipClass[chipState(node.path)]}"
+                data-tag="${sanitizeHTML(node.path)}"
+                title="${sanitizeHTML(node.path)}"
+                aria-label="${sanitizeHTML(node.path)}: ${chipLabel[chipState(node.path)]}"
+            >
+                ${renderTagDot(getTagColor(tagColors, node.path))}${chipState(node.path) === 'exclude' ? '−' : ''}${sanitizeHTML(node.name)} <span class="opacity-75">(${node.count})</span>
+            </button>
+        </span>
+    `;
+
+    const renderLevel = (nodes) => nodes.map(node => isExpanded(node) ? `
+        <div class="w-full">
+            ${renderChip(node)}
+            <div class="flex flex-wrap items-center gap-2 mt-2 ml-2 pl-4 border-l border-gray-700">
+                ${renderLevel(node.children)}
+            </div>
+        </div>
+    ` : renderChip(node)).join('');
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center gap-2">
+            <span class="text-sm text-gray-400 font-medium">Filter by tags:</span>
+            <button
+                id="manage-tags-btn"
+                class="text-xs text-blue-400 hover:text-blue-300 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded px-1"
+            >
+                Manage
+            </button>
+            <div class="flex text-xs bg-gray-800 border border-gray-600 rounded-full overflow-hidden" role="group" aria-label="Tag match mode">
+                ${modeButton('all', 'All')}
+                ${modeButton('any', 'Any')}
+            </div>
+            ${renderLevel(tagTree)}
             ${hasSelectedTags ? `
                 <button
                     id="clear-filters-btn"
@@ -156,7 +384,7 @@ export const renderTagFilters = (allTags, selectedTags = []) => {
 /**
  * Render prompt cards
  */
-export const renderPromptCards = (prompts) => {
+export const renderPromptCards = (prompts, tagColors = {}) => {
     const container = document.getElementById('prompts-container');
     if (!container) return;
 
@@ -169,13 +397,13 @@ export const renderPromptCards = (prompts) => {
         <div class="prompt-card bg-gray-800 border border-gray-700 rounded-lg p-6 hover:border-gray-600 transition-colors duration-200">
             <div class="flex justify-between items-start mb-3">
                 <h3 class="text-lg font-semibold text-white truncate flex-1 mr-4">
-                    ${sanitizeHTML(prompt.title)}
+                    ${prompt.match ? highlightMatches(prompt.title, prompt.match.titleRanges) : sanitizeHTML(prompt.title)}
                 </h3>
                 <div class="flex gap-1 flex-shrink-0">
-                    ${parsePlaceholders(prompt.content).length > 0 ? `
+                    ${isTemplatePrompt(prompt) ? `
                     <button
                         class="insert-copy-btn p-2 text-gray-400 hover:text-purple-400 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 rounded"
-                        data-id="${prompt.id}"
+                        data-id="${sanitizeHTML(prompt.id)}"
                         title="Insert & Copy with variables"
                         aria-label="Insert variables and copy"
                     >
@@ -186,7 +414,7 @@ export const renderPromptCards = (prompts) => {
                     ` : ''}
                     <button
                         class="copy-btn p-2 text-gray-400 hover:text-green-400 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 rounded"
-                        data-id="${prompt.id}"
+                        data-id="${sanitizeHTML(prompt.id)}"
                         title="Copy content"
                         aria-label="Copy prompt content"
                     >
@@ -194,9 +422,19 @@ export const renderPromptCards = (prompts) => {
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 16H6a2 2 0 01-2-2V6a2 2 0 012-2h8a2 2 0 012 2v2m-6 12h8a2 2 0 002-2v-8a2 2 0 00-2-2h-8a2 2 0 00-2 2v8a2 2 0 002 2z"></path>
                         </svg>
                     </button>
+                    <button
+                        class="export-code-btn p-2 text-gray-400 hover:text-purple-400 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 rounded"
+                        data-id="${sanitizeHTML(prompt.id)}"
+                        title="Export for code"
+                        aria-label="Export prompt for code"
+                    >
+                        <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 20l4-16m4 4l4 4-4 4M6 16l-4-4 4-4"></path>
+                        </svg>
+                    </button>
                     <button
                         class="duplicate-btn p-2 text-gray-400 hover:text-blue-400 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded"
-                        data-id="${prompt.id}"
+                        data-id="${sanitizeHTML(prompt.id)}"
                         title="Duplicate prompt"
                         aria-label="Duplicate prompt"
                     >
@@ -206,7 +444,7 @@ export const renderPromptCards = (prompts) => {
                     </button>
                     <button
                         class="edit-btn p-2 text-gray-400 hover:text-yellow-400 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 rounded"
-                        data-id="${prompt.id}"
+                        data-id="${sanitizeHTML(prompt.id)}"
                         title="Edit prompt"
                         aria-label="Edit prompt"
                     >
@@ -216,7 +454,7 @@ export const renderPromptCards = (prompts) => {
                     </button>
                     <button
                         class="delete-btn p-2 text-gray-400 hover:text-red-400 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 rounded"
-                        data-id="${prompt.id}"
+                        data-id="${sanitizeHTML(prompt.id)}"
                         title="Delete prompt"
                         aria-label="Delete prompt"
                     >
@@ -229,14 +467,14 @@ export const renderPromptCards = (prompts) => {
             
             ${prompt.content ? `
                 <p class="text-gray-300 text-sm mb-4 whitespace-pre-wrap">
-                    ${sanitizeHTML(truncate(getFirstLine(prompt.content), 150))}
+                    ${renderSnippet(prompt)}
                 </p>
             ` : ''}
             
             <div class="flex justify-between items-center">
                 <div class="flex flex-wrap gap-1">
                     ${prompt.tags.map(tag => `
-                        <span class="px-2 py-1 bg-gray-700 text-gray-300 text-xs rounded-full">
+                        <span class="px-2 py-1 ${TAG_COLORS[getTagColor(tagColors, tag)]?.chip || 'bg-gray-700 text-gray-300'} text-xs rounded-full">
                             ${sanitizeHTML(tag)}
                         </span>
                     `).join('')}
@@ -249,6 +487,94 @@ export const renderPromptCards = (prompts) => {
     `).join('');
 };
 
+/**
+ * Update trash count badge
+ */
+export const renderTrashCount = (count) => {
+    const badge = document.getElementById('trash-count');
+    if (!badge) return;
+
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
+};
+
+/**
+ * Render trash view
+ */
+export const renderTrashView = (prompts, retentionDays) => {
+    const container = document.getElementById('prompts-container');
+    if (!container) return;
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const daysLeft = (prompt) => Math.max(0, Math.ceil((prompt.deletedAt + retentionDays * dayMs - Date.now()) / dayMs));
+
+    container.innerHTML = `
+        <div class="flex flex-wrap justify-between items-center gap-4">
+            <div>
+                <h2 class="text-xl font-semibold text-white">Trash</h2>
+                <p class="text-sm text-gray-400">Prompts are deleted permanently after ${retentionDays} day${retentionDays !== 1 ? 's' : ''} in trash</p>
+            </div>
+            <div class="flex gap-2">
+                <button
+                    id="trash-back-btn"
+                    class="px-4 py-2 text-gray-300 hover:text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 rounded"
+                >
+                    Back to prompts
+                </button>
+                ${prompts.length > 0 ? `
+                    <button
+                        id="empty-trash-btn"
+                        class="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50"
+                    >
+                        Empty trash
+                    </button>
+                ` : ''}
+            </div>
+        </div>
+        
+        ${prompts.length === 0 ? `
+            <div class="text-center py-16 text-gray-400">
+                <p>Trash is empty</p>
+            </div>
+        ` : prompts.map(prompt => `
+            <div class="bg-gray-800 border border-gray-700 rounded-lg p-6 flex justify-between items-center gap-4">
+                <div class="min-w-0">
+                    <h3 class="text-lg font-semibold text-gray-300 truncate">${sanitizeHTML(prompt.title)}</h3>
+                    <p class="text-xs text-gray-500">
+                        Deleted ${formatDate(prompt.deletedAt)} · permanently deleted in ${daysLeft(prompt)} day${daysLeft(prompt) !== 1 ? 's' : ''}
+                    </p>
+                </div>
+                <div class="flex gap-2 flex-shrink-0">
+                    <button
+                        class="trash-restore-btn px-3 py-1 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                        data-id="${sanitizeHTML(prompt.id)}"
+                    >
+                        Restore
+                    </button>
+                    <button
+                        class="trash-purge-btn px-3 py-1 text-sm bg-gray-600 hover:bg-red-600 text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50"
+                        data-id="${sanitizeHTML(prompt.id)}"
+                    >
+                        Delete forever
+                    </button>
+                </div>
+            </div>
+        `).join('')}
+    `;
+};
+
+/**
+ * Render card snippet: the matching line while searching, otherwise the first line
+ */
+const renderSnippet = (prompt) => {
+    const snippet = prompt.match?.snippet;
+    if (!snippet) {
+        return sanitizeHTML(truncate(getFirstLine(prompt.content), 150));
+    }
+
+    return `${snippet.prefix}${highlightMatches(snippet.text, snippet.ranges)}${snippet.suffix}`;
+};
+
 /**
  * Render empty state
  */
@@ -273,7 +599,7 @@ export const renderEmptyState = (container) => {
 /**
  * Render edit/create modal
  */
-export const renderModal = (prompt = null) => {
+export const renderModal = (prompt = null, usages = [], { showPreview = false } = {}) => {
     const isEdit = !!prompt;
     const container = document.getElementById('modal-container');
     if (!container) return;
@@ -282,7 +608,7 @@ export const renderModal = (prompt = null) => {
         <div id="modal-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
             <div
                 id="modal-dialog"
-                class="bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-hidden"
+                class="bg-gray-800 rounded-lg shadow-xl w-full ${showPreview ? 'max-w-5xl' : 'max-w-2xl'} max-h-[90vh] overflow-hidden"
                 role="dialog"
                 aria-labelledby="modal-title"
                 aria-modal="true"
@@ -302,7 +628,7 @@ export const renderModal = (prompt = null) => {
                     </button>
                 </div>
                 
-                <form id="prompt-form" class="p-6">
+                <form id="prompt-form" class="p-6 overflow-y-auto max-h-[calc(90vh-5rem)]">
                     <div class="space-y-4">
                         <div>
                             <label for="prompt-title" class="block text-sm font-medium text-gray-300 mb-2">
@@ -325,23 +651,53 @@ export const renderModal = (prompt = null) => {
                             <input
                                 type="text"
                                 id="prompt-tags"
-                                value="${isEdit ? prompt.tags.join(', ') : ''}"
+                                value="${isEdit ? sanitizeHTML(prompt.tags.join(', ')) : ''}"
                                 class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
                                 placeholder="tag1, tag2, tag3..."
                             >
                         </div>
                         
                         <div>
-                            <label for="prompt-content" class="block text-sm font-medium text-gray-300 mb-2">
-                                Content
+                            <div class="flex justify-between items-center mb-2">
+                                <label for="prompt-content" class="text-sm font-medium text-gray-300">
+                                    Content
+                                </label>
+                                <button
+                                    type="button"
+                                    id="content-preview-toggle"
+                                    class="text-xs text-blue-400 hover:text-blue-300 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded px-1"
+                                    aria-pressed="${showPreview}"
+                                    aria-controls="content-preview-pane"
+                                >
+                                    ${showPreview ? 'Hide preview' : 'Show preview'}
+                                </button>
+                            </div>
+                            <div id="content-split" class="grid grid-cols-1 gap-4 ${showPreview ? 'md:grid-cols-2' : ''}">
+                                <textarea
+                                    id="prompt-content"
+                                    rows="8"
+                                    class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400 resize-vertical"
+                                    placeholder="Enter your prompt content here..."
+                                >${isEdit ? sanitizeHTML(prompt.content) : ''}</textarea>
+                                <div id="content-preview-pane" class="${showPreview ? '' : 'hidden'}">
+                                    ${renderPreviewPane('content-preview')}
+                                </div>
+                            </div>
+                            <ul id="content-lint" class="hidden mt-2 space-y-1 text-xs" aria-live="polite"></ul>
+                            <label class="flex items-center gap-2 mt-2 text-sm text-gray-400">
+                                <input
+                                    type="checkbox"
+                                    id="prompt-no-placeholders"
+                                    ${isEdit && prompt.noPlaceholders ? 'checked' : ''}
+                                    class="text-blue-600 focus:ring-blue-500 focus:ring-2"
+                                >
+                                Plain text: keep <code class="bg-gray-700 px-1 rounded text-gray-300">{{…}}</code> as written, no placeholders
                             </label>
-                            <textarea
-                                id="prompt-content"
-                                rows="8"
-                                class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400 resize-vertical"
-                                placeholder="Enter your prompt content here..."
-                            >${isEdit ? sanitizeHTML(prompt.content) : ''}</textarea>
                         </div>
+                        
+                        ${isEdit ? renderUsagesPanel(prompt, usages) : ''}
+                        
+                        ${isEdit && prompt.history?.length > 0 ? renderHistoryPanel(prompt.history) : ''}
                     </div>
                     
                     <div class="flex justify-end gap-3 mt-6">
@@ -371,10 +727,158 @@ export const renderModal = (prompt = null) => {
     }
 };
 
+/**
+ * Text colour for each template diagnostic severity (see lintPrompt)
+ */
+const LINT_SEVERITY_CLASSES = {
+    error: 'text-red-400',
+    warning: 'text-yellow-400',
+    info: 'text-gray-400'
+};
+
+/**
+ * Render template diagnostics below the content editor; lines are clickable to jump there
+ */
+export const renderLintResults = (diagnostics) => {
+    const container = document.getElementById('content-lint');
+    if (!container) return;
+
+    container.classList.toggle('hidden', diagnostics.length === 0);
+    container.innerHTML = diagnostics.map(({ severity, message, line }) => `
+        <li class="flex gap-2 ${LINT_SEVERITY_CLASSES[severity]}">
+            ${line ? `
+                <button type="button" class="lint-line-btn flex-shrink-0 underline hover:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 rounded" data-line="${line}">Line ${line}</button>
+            ` : ''}
+            <span><span class="sr-only">${severity}: </span>${sanitizeHTML(message)}</span>
+        </li>
+    `).join('');
+};
+
+/**
+ * Render the "used by" panel for the edit modal: prompts that include this one as a partial
+ */
+const renderUsagesPanel = (prompt, usages) => {
+    const hasTitleIncludes = usages.some(usage => usage.byTitle);
+
+    return `
+        <details id="usages-panel" class="bg-gray-700 rounded-lg">
+            <summary class="px-4 py-3 text-sm font-medium text-gray-300 cursor-pointer hover:text-white">
+                Used by <span class="text-gray-500">(${usages.length} prompt${usages.length !== 1 ? 's' : ''})</span>
+            </summary>
+            <div class="px-4 pb-4 space-y-3 text-sm">
+                ${usages.length > 0 ? `
+                    <ul class="space-y-1 max-h-40 overflow-y-auto">
+                        ${usages.map(usage => `
+                            <li class="text-white truncate">
+                                ${sanitizeHTML(usage.title)}
+                                ${usage.via ? `<span class="text-xs text-gray-400">via ${sanitizeHTML(usage.via)}</span>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                    <p class="text-xs text-gray-400">Changes to this prompt show up in all of them.</p>
+                ` : `
+                    <p class="text-gray-400">No other prompt includes this one yet.</p>
+                `}
+                ${hasTitleIncludes ? `
+                    <p class="text-xs text-yellow-400">Some prompts include this one by title; renaming it will break those includes.</p>
+                ` : ''}
+                <p class="text-xs text-gray-400">
+                    Include it with <code class="bg-gray-800 px-1 rounded text-gray-300">{{&gt; ${sanitizeHTML(prompt.title)}}}</code>
+                    or, to survive renames, <code class="bg-gray-800 px-1 rounded text-gray-300 break-all">{{&gt; id:${sanitizeHTML(prompt.id)}}}</code>
+                </p>
+            </div>
+        </details>
+    `;
+};
+
+/**
+ * Render version history panel for the edit modal
+ */
+const renderHistoryPanel = (history) => {
+    const revisions = [...history].reverse(); // Newest first
+    const latestId = revisions[0].id;
+    const previousId = revisions[1]?.id || latestId;
+
+    const revisionOptions = (selectedId) => revisions.map((revision, index) => `
+        <option value="${sanitizeHTML(revision.id)}" ${revision.id === selectedId ? 'selected' : ''}>
+            ${formatDate(revision.savedAt)}${index === 0 ? ' (current)' : ''}
+        </option>
+    `).join('');
+
+    return `
+        <details id="history-panel" class="bg-gray-700 rounded-lg">
+            <summary class="px-4 py-3 text-sm font-medium text-gray-300 cursor-pointer hover:text-white">
+                History <span class="text-gray-500">(${revisions.length} revision${revisions.length !== 1 ? 's' : ''})</span>
+            </summary>
+            <div class="px-4 pb-4 space-y-4">
+                <ul class="space-y-2 max-h-40 overflow-y-auto">
+                    ${revisions.map((revision, index) => `
+                        <li class="flex justify-between items-center gap-3 text-sm">
+                            <div class="min-w-0">
+                                <div class="text-white truncate">${sanitizeHTML(revision.title)}</div>
+                                <div class="text-xs text-gray-400">${formatDate(revision.savedAt)}</div>
+                            </div>
+                            ${index === 0 ? `
+                                <span class="text-xs text-gray-400 flex-shrink-0">Current</span>
+                            ` : `
+                                <button
+                                    type="button"
+                                    class="history-restore-btn px-3 py-1 text-xs bg-gray-600 hover:bg-gray-500 text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 flex-shrink-0"
+                                    data-revision-id="${sanitizeHTML(revision.id)}"
+                                >
+                                    Restore
+                                </button>
+                            `}
+                        </li>
+                    `).join('')}
+                </ul>
+                
+                ${revisions.length > 1 ? `
+                    <div class="flex flex-wrap items-center gap-2 text-sm text-gray-300">
+                        <label for="history-from">Compare</label>
+                        <select id="history-from" class="px-2 py-1 bg-gray-800 border border-gray-600 rounded text-white text-xs">
+                            ${revisionOptions(previousId)}
+                        </select>
+                        <label for="history-to">with</label>
+                        <select id="history-to" class="px-2 py-1 bg-gray-800 border border-gray-600 rounded text-white text-xs">
+                            ${revisionOptions(latestId)}
+                        </select>
+                    </div>
+                    <div id="history-diff" class="bg-gray-900 rounded p-2 font-mono text-xs max-h-60 overflow-auto"></div>
+                ` : ''}
+            </div>
+        </details>
+    `;
+};
+
+/**
+ * Render line-level diff between two revisions
+ */
+export const renderRevisionDiff = (diff) => {
+    const container = document.getElementById('history-diff');
+    if (!container) return;
+
+    const lineClass = {
+        added: 'bg-green-900 bg-opacity-50 text-green-300',
+        removed: 'bg-red-900 bg-opacity-50 text-red-300',
+        same: 'text-gray-400'
+    };
+    const linePrefix = { added: '+', removed: '-', same: ' ' };
+
+    if (!diff.some(({ type }) => type !== 'same')) {
+        container.innerHTML = '<div class="text-gray-500 p-1">No differences</div>';
+        return;
+    }
+
+    container.innerHTML = diff.map(({ type, line }) => `
+        <div class="${lineClass[type]} whitespace-pre-wrap px-1">${linePrefix[type]} ${sanitizeHTML(line)}</div>
+    `).join('');
+};
+
 /**
  * Show toast notification
  */
-export const showToast = (message, type = 'success', duration = 3000) => {
+export const showToast = (message, type = 'success', duration = 3000, action = null) => {
     const container = document.getElementById('toast-container');
     if (!container) return;
 
@@ -395,6 +899,11 @@ export const showToast = (message, type = 'success', duration = 3000) => {
         <div class="flex-1">
             ${sanitizeHTML(message)}
         </div>
+        ${action ? `
+            <button class="toast-action-btn font-semibold underline hover:text-gray-200 transition-colors duration-200 focus:outline-none">
+                ${sanitizeHTML(action.label)}
+            </button>
+        ` : ''}
         <button class="text-white hover:text-gray-300 transition-colors duration-200 focus:outline-none" onclick="this.parentElement.remove()">
             <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
@@ -402,6 +911,13 @@ export const showToast = (message, type = 'success', duration = 3000) => {
         </button>
     `;
 
+    if (action) {
+        toast.querySelector('.toast-action-btn').onclick = () => {
+            toast.remove();
+            action.onClick();
+        };
+    }
+
     container.appendChild(toast);
 
     // Animate in
@@ -574,21 +1090,323 @@ export const showConfirmDialog = (title, message, confirmText = 'Confirm', cance
     });
 };
 
+/**
+ * Render tag manager modal
+ */
+export const renderTagManagerModal = (tags, tagColors = {}) => {
+    const container = document.getElementById('modal-container');
+    if (!container) return;
+
+    container.innerHTML = `
+        <div id="tags-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+            <div
+                id="tags-dialog"
+                class="bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-hidden"
+                role="dialog"
+                aria-labelledby="tags-title"
+                aria-modal="true"
+            >
+                <div class="flex justify-between items-center p-6 border-b border-gray-700">
+                    <h2 id="tags-title" class="text-xl font-semibold text-white">
+                        Manage Tags
+                    </h2>
+                    <button
+                        id="tags-close-btn"
+                        class="p-2 text-gray-400 hover:text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 rounded"
+                        aria-label="Close tag manager"
+                    >
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                        </svg>
+                    </button>
+                </div>
+                
+                <div class="p-6 max-h-[60vh] overflow-y-auto">
+                    ${tags.length === 0 ? `
+                        <p class="text-center py-8 text-gray-400">No tags yet</p>
+                    ` : `
+                        <table class="w-full text-sm">
+                            <thead>
+                                <tr class="text-left text-gray-400">
+                                    <th class="pb-2 w-8"><span class="sr-only">Select</span></th>
+                                    <th class="pb-2">Tag</th>
+                                    <th class="pb-2 text-right pr-4">Prompts</th>
+                                    <th class="pb-2">Color</th>
+                                    <th class="pb-2"><span class="sr-only">Actions</span></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${tags.map(({ tag, count }) => `
+                                    <tr class="border-t border-gray-700">
+                                        <td class="py-2">
+                                            <input type="checkbox" class="tag-select-checkbox text-blue-600 focus:ring-blue-500 focus:ring-2" value="${sanitizeHTML(tag)}" aria-label="Select ${sanitizeHTML(tag)}">
+                                        </td>
+                                        <td class="py-2 text-white">${renderTagDot(tagColors[tag])}${sanitizeHTML(tag)}</td>
+                                        <td class="py-2 text-right pr-4 text-gray-400">${count}</td>
+                                        <td class="py-2">
+                                            <select class="tag-color-select px-2 py-1 bg-gray-700 border border-gray-600 rounded text-white text-xs" data-tag="${sanitizeHTML(tag)}" aria-label="Color for ${sanitizeHTML(tag)}">
+                                                <option value="">None</option>
+                                                ${Object.keys(TAG_COLORS).map(color => `
+                                                    <option value="${color}" ${tagColors[tag] === color ? 'selected' : ''}>${color}</option>
+                                                `).join('')}
+                                            </select>
+                                        </td>
+                                        <td class="py-2 text-right whitespace-nowrap">
+                                            <button class="tag-rename-btn px-2 py-1 text-xs text-gray-300 hover:text-yellow-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:ring-opacity-50 rounded" data-tag="${sanitizeHTML(tag)}">
+                                                Rename
+                                            </button>
+                                            <button class="tag-delete-btn px-2 py-1 text-xs text-gray-300 hover:text-red-400 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50 rounded" data-tag="${sanitizeHTML(tag)}">
+                                                Delete
+                                            </button>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `}
+                </div>
+                
+                <div class="flex justify-between items-center gap-3 p-6 border-t border-gray-700">
+                    <p class="text-xs text-gray-500">Changes apply to every prompt, including prompts in trash</p>
+                    <button
+                        id="tags-merge-btn"
+                        disabled
+                        class="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                    >
+                        Merge selected
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Show text input dialog
+ * Resolves with the entered text, or null when cancelled
+ */
+export const showInputDialog = (title, label, defaultValue = '', confirmText = 'Save') => {
+    return new Promise((resolve) => {
+        const container = document.getElementById('modal-container');
+        if (!container) {
+            resolve(null);
+            return;
+        }
+
+        container.innerHTML = `
+            <div id="input-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+                <div
+                    id="input-dialog"
+                    class="bg-gray-800 rounded-lg shadow-xl w-full max-w-md"
+                    role="dialog"
+                    aria-labelledby="input-title"
+                    aria-modal="true"
+                >
+                    <form id="input-form" class="p-6">
+                        <h3 id="input-title" class="text-lg font-semibold text-white mb-4">
+                            ${sanitizeHTML(title)}
+                        </h3>
+                        <label for="input-value" class="block text-sm font-medium text-gray-300 mb-2">
+                            ${sanitizeHTML(label)}
+                        </label>
+                        <input
+                            type="text"
+                            id="input-value"
+                            required
+                            value="${sanitizeHTML(defaultValue)}"
+                            class="w-full px-3 py-2 mb-6 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400"
+                        >
+                        <div class="flex justify-end gap-3">
+                            <button
+                                type="button"
+                                id="input-cancel-btn"
+                                class="px-4 py-2 text-gray-300 hover:text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 rounded"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                id="input-confirm-btn"
+                                class="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                            >
+                                ${sanitizeHTML(confirmText)}
+                            </button>
+                        </div>
+                    </form>
+                </div>
+            </div>
+        `;
+
+        const input = document.getElementById('input-value');
+
+        const handleResolve = (result) => {
+            container.innerHTML = '';
+            resolve(result);
+        };
+
+        document.getElementById('input-cancel-btn').onclick = () => handleResolve(null);
+        document.getElementById('input-form').onsubmit = (e) => {
+            e.preventDefault();
+            const value = input.value.trim();
+            if (value) {
+                handleResolve(value);
+            }
+        };
+        document.getElementById('input-overlay').onclick = (e) => {
+            if (e.target.id === 'input-overlay') {
+                handleResolve(null);
+            }
+        };
+
+        // Focus and select the input
+        input.focus();
+        input.select();
+    });
+};
+
+/**
+ * Where a prefilled placeholder value comes from (see resolvePromptVariables)
+ */
+export const VARIABLE_SOURCE_LABELS = {
+    prompt: 'last used',
+    profile: 'from profile',
+    global: 'global'
+};
+
+/**
+ * Render the form control for one placeholder, matching its type
+ */
+const renderPlaceholderField = (placeholder, index, value) => {
+    const id = `var-${index}`;
+    const inputClass = 'w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-white placeholder-gray-400';
+    const attributes = `id="${id}" name="${sanitizeHTML(placeholder.name)}" data-placeholder="${sanitizeHTML(placeholder.name)}" aria-describedby="${id}-error"`;
+    const hint = placeholder.hasDefault ? placeholder.defaultValue : `Value for ${placeholder.name}`;
+
+    // Auto-values are filled in already; show the resolved value as a read-only preview
+    if (isAutoValue(placeholder.name)) {
+        return `
+            <input type="text" readonly ${attributes} value="${sanitizeHTML(value)}" placeholder="${placeholder.hasDefault ? sanitizeHTML(hint) : 'Not available'}" class="${inputClass} bg-gray-900 text-gray-300 cursor-default">
+        `;
+    }
+
+    switch (placeholder.type) {
+        case 'select': {
+            const selected = placeholder.options.includes(value) ? value : placeholder.options[0];
+            return `
+                <select ${attributes} class="${inputClass}">
+                    ${placeholder.options.map(option => `
+                        <option value="${sanitizeHTML(option)}" ${option === selected ? 'selected' : ''}>${sanitizeHTML(option)}</option>
+                    `).join('')}
+                </select>
+            `;
+        }
+        case 'text':
+        case 'list':
+            return `
+                <textarea ${attributes} rows="4" placeholder="${sanitizeHTML(placeholder.type === 'list' ? 'One item per line' : hint)}" class="${inputClass} resize-y">${sanitizeHTML(value)}</textarea>
+            `;
+        case 'bool':
+            return `
+                <div class="flex items-center gap-2 text-sm text-gray-300">
+                    <input type="checkbox" ${attributes} ${value === 'true' ? 'checked' : ''} class="w-4 h-4 rounded bg-gray-700 border-gray-600 text-purple-600 focus:ring-purple-500">
+                    <span>Yes</span>
+                </div>
+            `;
+        case 'number':
+        case 'date':
+            return `
+                <input type="${placeholder.type}" ${placeholder.type === 'number' ? 'step="any"' : ''} ${attributes} value="${sanitizeHTML(value)}" placeholder="${sanitizeHTML(hint)}" class="${inputClass}">
+            `;
+        default:
+            return `
+                <input type="text" ${attributes} value="${sanitizeHTML(value)}" placeholder="${sanitizeHTML(hint)}" class="${inputClass}">
+            `;
+    }
+};
+
+/**
+ * Highlight classes for rendered preview segments (see applyPlaceholders)
+ */
+const PREVIEW_HIGHLIGHTS = {
+    value: { label: 'Value', className: 'bg-green-900 bg-opacity-60 text-green-200' },
+    default: { label: 'Default', className: 'bg-yellow-900 bg-opacity-60 text-yellow-200' },
+    missing: { label: 'Missing', className: 'bg-red-900 bg-opacity-60 text-red-200' },
+    unresolved: { label: 'Filled in on insert', className: 'bg-gray-600 text-gray-300 italic' }
+};
+
+/**
+ * Render a rendered-output pane with a colour legend and a "Copy rendered" button
+ */
+const renderPreviewPane = (prefix) => `
+    <div class="flex flex-col min-w-0">
+        <div class="flex flex-wrap justify-between items-center gap-2 mb-2">
+            <span class="text-sm font-medium text-gray-300">Rendered</span>
+            <button
+                type="button"
+                id="${prefix}-copy-btn"
+                class="text-xs text-blue-400 hover:text-blue-300 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 rounded px-1"
+            >
+                Copy rendered
+            </button>
+        </div>
+        <pre
+            id="${prefix}-output"
+            class="flex-1 min-h-[10rem] max-h-80 overflow-y-auto p-3 bg-gray-900 border border-gray-700 rounded-lg text-sm text-gray-300 whitespace-pre-wrap break-words"
+            aria-live="polite"
+        ></pre>
+        <div class="flex flex-wrap gap-2 mt-2 text-xs">
+            ${Object.values(PREVIEW_HIGHLIGHTS).map(({ label, className }) => `
+                <span class="px-1 rounded ${className}">${label}</span>
+            `).join('')}
+        </div>
+    </div>
+`;
+
+/**
+ * Fill a preview pane (see renderPreviewPane) with a rendered prompt (see renderPromptPreview)
+ * Missing auto-values aren't the user's to fill, so they show as "filled in on insert".
+ */
+export const renderPreviewOutput = (elementId, preview) => {
+    const output = document.getElementById(elementId);
+    if (!output) return;
+
+    if (preview.error) {
+        output.innerHTML = `<span class="text-red-400">${sanitizeHTML(preview.error)}</span>`;
+        return;
+    }
+    if (!preview.text) {
+        output.innerHTML = '<span class="text-gray-500">Nothing to preview</span>';
+        return;
+    }
+
+    output.innerHTML = preview.segments.map(({ kind, text, name }) => {
+        if (kind === 'text') {
+            return sanitizeHTML(text);
+        }
+        const highlight = kind === 'missing' && isAutoValue(name) ? 'unresolved' : kind;
+        return `<mark class="rounded-sm ${PREVIEW_HIGHLIGHTS[highlight].className}" title="${sanitizeHTML(name)}: ${PREVIEW_HIGHLIGHTS[highlight].label.toLowerCase()}">${sanitizeHTML(text)}</mark>`;
+    }).join('');
+};
+
+/**
+ * Escape template text and highlight its {{…}} tags
+ */
+const highlightPlaceholderTags = (template) => {
+    return sanitizeHTML(template).replace(/\{\{[^}]*\}\}/g, (tag) => `<span class="text-purple-300">${tag}</span>`);
+};
+
 /**
  * Render placeholder variables modal
  */
-export const renderPlaceholderModal = (promptId, placeholders, cachedValues = {}) => {
+export const renderPlaceholderModal = (promptId, placeholders, cachedValues = {}, { profiles = [], activeProfileId = null, sources = {}, template = '' } = {}) => {
     const container = document.getElementById('modal-container');
     if (!container) return;
 
-    const today = formatDateTime(false);
-    const now = formatDateTime(true);
-    
     container.innerHTML = `
         <div id="placeholder-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
             <div
                 id="placeholder-dialog"
-                class="bg-gray-800 rounded-lg shadow-xl w-full max-w-lg max-h-[90vh] overflow-hidden"
+                class="bg-gray-800 rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-hidden"
                 role="dialog"
                 aria-labelledby="placeholder-title"
                 aria-modal="true"
@@ -608,39 +1426,72 @@ export const renderPlaceholderModal = (promptId, placeholders, cachedValues = {}
                     </button>
                 </div>
                 
-                <div class="p-6">
+                <div class="p-6 overflow-y-auto max-h-[calc(90vh-5rem)]">
                     <div class="mb-4 text-sm text-gray-400">
                         <p><strong>${placeholders.length}</strong> variable${placeholders.length !== 1 ? 's' : ''} found</p>
-                        <p class="mt-1">Syntax: <code class="bg-gray-700 px-1 rounded text-gray-300">{{name}}</code> or <code class="bg-gray-700 px-1 rounded text-gray-300">{{name|default}}</code></p>
+                        <p class="mt-1">Syntax: <code class="bg-gray-700 px-1 rounded text-gray-300">{{name}}</code>, <code class="bg-gray-700 px-1 rounded text-gray-300">{{name|default}}</code> or typed <code class="bg-gray-700 px-1 rounded text-gray-300">{{name:number=3}}</code></p>
                     </div>
                     
                     <form id="placeholder-form" class="space-y-4">
-                        ${placeholders.map(placeholder => `
-                            <div>
-                                <label for="var-${placeholder.name}" class="block text-sm font-medium text-gray-300 mb-2">
-                                    <code class="bg-gray-700 px-2 py-1 rounded text-gray-300">{{${placeholder.name}}}</code>
+                        ${profiles.length > 0 ? `
+                            <div class="flex items-center gap-3">
+                                <label for="placeholder-profile" class="text-sm font-medium text-gray-300">Profile</label>
+                                <select
+                                    id="placeholder-profile"
+                                    class="flex-1 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-white"
+                                >
+                                    <option value="">No profile</option>
+                                    ${profiles.map(profile => `
+                                        <option value="${profile.id}" ${profile.id === activeProfileId ? 'selected' : ''}>${sanitizeHTML(profile.name)}</option>
+                                    `).join('')}
+                                </select>
+                            </div>
+                        ` : ''}
+                        
+                        ${placeholders.map((placeholder, index) => `
+                            <div data-placeholder-field="${sanitizeHTML(placeholder.name)}">
+                                <label for="var-${index}" class="block text-sm font-medium text-gray-300 mb-2">
+                                    <code class="bg-gray-700 px-2 py-1 rounded text-gray-300">{{${sanitizeHTML(placeholder.name)}}}</code>
+                                    ${isAutoValue(placeholder.name) ? `
+                                        <span class="text-xs text-green-300 ml-2">auto</span>
+                                    ` : placeholder.type !== 'string' ? `
+                                        <span class="text-xs text-purple-300 ml-2">${placeholder.type}</span>
+                                    ` : ''}
                                     ${placeholder.hasDefault ? `
-                                        <span class="text-xs text-gray-500 ml-2">default: "${placeholder.defaultValue}"</span>
+                                        <span class="text-xs text-gray-500 ml-2">default: "${sanitizeHTML(placeholder.defaultValue)}"</span>
                                     ` : ''}
+                                    <span id="var-${index}-source" class="text-xs text-blue-300 ml-2">${isAutoValue(placeholder.name) ? '' : VARIABLE_SOURCE_LABELS[sources[placeholder.name]] || ''}</span>
                                 </label>
-                                <input
-                                    type="text"
-                                    id="var-${placeholder.name}"
-                                    name="${placeholder.name}"
-                                    value="${sanitizeHTML(cachedValues[placeholder.name] || placeholder.defaultValue)}"
-                                    placeholder="${placeholder.hasDefault ? placeholder.defaultValue : `Value for ${placeholder.name}`}"
-                                    class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-white placeholder-gray-400"
-                                >
+                                ${renderPlaceholderField(placeholder, index, cachedValues[placeholder.name] || placeholder.defaultValue)}
+                                <p id="var-${index}-error" class="placeholder-error hidden mt-1 text-xs text-red-400" role="alert"></p>
                             </div>
                         `).join('')}
                         
+                        <div class="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div class="flex flex-col min-w-0">
+                                <span class="text-sm font-medium text-gray-300 mb-2">Template</span>
+                                <pre class="flex-1 min-h-[10rem] max-h-80 overflow-y-auto p-3 bg-gray-900 border border-gray-700 rounded-lg text-sm text-gray-400 whitespace-pre-wrap break-words">${highlightPlaceholderTags(template)}</pre>
+                            </div>
+                            ${renderPreviewPane('placeholder-preview')}
+                        </div>
+                        
                         <div class="bg-gray-700 rounded-lg p-3 text-sm text-gray-400">
-                            <p><strong>Auto-values:</strong></p>
-                            <p>• <code class="text-gray-300">today</code>: ${today}</p>
-                            <p>• <code class="text-gray-300">now</code>: ${now}</p>
+                            <p><strong>Auto-values:</strong> filled in when you insert</p>
+                            <p class="mt-1 text-xs">
+                                <code class="text-gray-300">today</code>, <code class="text-gray-300">now:DD.MM.YYYY HH:mm</code>, <code class="text-gray-300">today+7d</code>, <code class="text-gray-300">weekday</code>, <code class="text-gray-300">week</code>,
+                                <code class="text-gray-300">uuid</code>, <code class="text-gray-300">random:1-100</code>, <code class="text-gray-300">clipboard</code>, <code class="text-gray-300">prompt.title</code>, <code class="text-gray-300">prompt.tags</code>
+                            </p>
                         </div>
                         
                         <div class="flex justify-end gap-3 mt-6">
+                            <button
+                                type="button"
+                                id="placeholder-batch-btn"
+                                class="mr-auto px-4 py-2 text-purple-300 hover:text-purple-200 transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 rounded"
+                                title="Fill this prompt once per row of a CSV or JSON dataset"
+                            >
+                                Batch fill…
+                            </button>
                             <button
                                 type="button"
                                 id="placeholder-cancel-btn"
@@ -665,13 +1516,307 @@ export const renderPlaceholderModal = (promptId, placeholders, cachedValues = {}
     // Store prompt ID for processing
     document.getElementById('placeholder-dialog').dataset.promptId = promptId;
     
-    // Focus first input
-    const firstInput = container.querySelector('input[type="text"]');
+    // Focus first field
+    const firstInput = container.querySelector('#placeholder-form [data-placeholder]:not([readonly])');
     if (firstInput) {
         setTimeout(() => firstInput.focus(), 100);
     }
 };
 
+/**
+ * Render the batch fill modal: dataset input, column mapping and a preview of every result
+ */
+export const renderBatchModal = (prompt) => {
+    const container = document.getElementById('modal-container');
+    if (!container) return;
+
+    const buttonClass = 'px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed';
+    const inputClass = 'px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-white placeholder-gray-400';
+
+    container.innerHTML = `
+        <div id="batch-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+            <div
+                id="batch-dialog"
+                class="bg-gray-800 rounded-lg shadow-xl w-full max-w-4xl max-h-[90vh] overflow-hidden flex flex-col"
+                role="dialog"
+                aria-labelledby="batch-title"
+                aria-modal="true"
+            >
+                <div class="flex justify-between items-center p-6 border-b border-gray-700">
+                    <h2 id="batch-title" class="text-xl font-semibold text-white">
+                        Batch Fill: ${sanitizeHTML(prompt.title)}
+                    </h2>
+                    <button
+                        id="batch-close-btn"
+                        class="p-2 text-gray-400 hover:text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 rounded"
+                        aria-label="Close batch fill"
+                    >
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                        </svg>
+                    </button>
+                </div>
+                
+                <div class="p-6 overflow-y-auto space-y-6">
+                    <div>
+                        <div class="flex justify-between items-center mb-2">
+                            <label for="batch-data" class="text-sm font-medium text-gray-300">Data (CSV with a header row, or a JSON array of objects)</label>
+                            <label class="text-sm text-blue-400 hover:text-blue-300 cursor-pointer">
+                                Load file…
+                                <input type="file" id="batch-file" accept=".csv,.tsv,.json,.txt" class="sr-only">
+                            </label>
+                        </div>
+                        <textarea
+                            id="batch-data"
+                            rows="6"
+                            class="w-full ${inputClass} font-mono text-sm"
+                            placeholder="name,topic&#10;Ada,compilers&#10;Grace,COBOL"
+                            aria-describedby="batch-data-error"
+                        ></textarea>
+                        <p id="batch-data-error" class="hidden mt-1 text-xs text-red-400" role="alert"></p>
+                    </div>
+                    
+                    <div id="batch-mapping"></div>
+                    
+                    <div>
+                        <p id="batch-summary" class="text-sm text-gray-400 mb-2" aria-live="polite"></p>
+                        <div id="batch-preview" class="space-y-3"></div>
+                    </div>
+                </div>
+                
+                <div class="flex flex-wrap items-center gap-3 p-6 border-t border-gray-700">
+                    <label for="batch-separator" class="text-sm text-gray-300">Separator</label>
+                    <input
+                        type="text"
+                        id="batch-separator"
+                        value="\\n\\n---\\n\\n"
+                        class="${inputClass} w-36 font-mono text-sm"
+                        title="Placed between results when copying; \\n is a line break"
+                    >
+                    <button id="batch-copy-btn" class="${buttonClass}" disabled>Copy all</button>
+                    <div class="flex items-center gap-2 ml-auto">
+                        <select id="batch-format" class="${inputClass}" aria-label="Download format">
+                            <option value="jsonl">JSONL</option>
+                            <option value="csv">CSV</option>
+                            <option value="zip">ZIP of text files</option>
+                        </select>
+                        <button
+                            id="batch-download-btn"
+                            class="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                            disabled
+                        >
+                            Download
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('batch-dialog').dataset.promptId = prompt.id;
+};
+
+/**
+ * Render the code export modal: target picker and a preview of the file for the given prompts
+ */
+export const renderCodeExportModal = (title, targets, selectedTarget) => {
+    const container = document.getElementById('modal-container');
+    if (!container) return;
+
+    const buttonClass = 'px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+    container.innerHTML = `
+        <div id="code-export-overlay" class="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+            <div
+                id="code-export-dialog"
+                class="bg-gray-800 rounded-lg shadow-xl w-full max-w-3xl max-h-[90vh] overflow-hidden flex flex-col"
+                role="dialog"
+                aria-labelledby="code-export-title"
+                aria-modal="true"
+            >
+                <div class="flex justify-between items-center p-6 border-b border-gray-700">
+                    <h2 id="code-export-title" class="text-xl font-semibold text-white">
+                        Export for Code: ${sanitizeHTML(title)}
+                    </h2>
+                    <button
+                        id="code-export-close-btn"
+                        class="p-2 text-gray-400 hover:text-white transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-gray-500 focus:ring-opacity-50 rounded"
+                        aria-label="Close code export"
+                    >
+                        <svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"></path>
+                        </svg>
+                    </button>
+                </div>
+
+                <div class="p-6 overflow-y-auto space-y-4">
+                    <div>
+                        <label for="code-export-target" class="block text-sm font-medium text-gray-300 mb-2">Target</label>
+                        <select
+                            id="code-export-target"
+                            class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-white"
+                        >
+                            ${Object.entries(targets).map(([key, target]) => `
+                                <option value="${key}" ${key === selectedTarget ? 'selected' : ''}>${target.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div id="code-export-output" aria-live="polite"></div>
+                </div>
+
+                <div class="flex justify-end gap-3 p-6 border-t border-gray-700">
+                    <button id="code-export-copy-btn" class="${buttonClass}" disabled>Copy</button>
+                    <button
+                        id="code-export-download-btn"
+                        class="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg font-medium transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:ring-opacity-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                        disabled
+                    >
+                        Download
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Show a code export (file name, warnings and content) or the error that stopped it
+ */
+export const renderCodeExportOutput = (codeExport, error = null) => {
+    const container = document.getElementById('code-export-output');
+    if (!container) return;
+
+    if (error) {
+        container.innerHTML = `<p class="text-sm text-red-400" role="alert">${sanitizeHTML(error)}</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        ${codeExport.warnings.length > 0 ? `
+            <ul class="mb-3 space-y-1 text-sm text-yellow-400">
+                ${codeExport.warnings.map(warning => `<li>⚠ ${sanitizeHTML(warning)}</li>`).join('')}
+            </ul>
+        ` : ''}
+        <div class="border border-gray-700 rounded-lg">
+            <div class="px-3 py-2 bg-gray-900 rounded-t-lg text-xs text-gray-400 font-mono">${sanitizeHTML(codeExport.fileName)}</div>
+            <pre class="p-3 text-sm text-gray-300 font-mono whitespace-pre overflow-x-auto max-h-96 overflow-y-auto">${sanitizeHTML(codeExport.content)}</pre>
+        </div>
+    `;
+};
+
+/**
+ * Render the column picker for each placeholder in the batch fill modal
+ */
+export const renderBatchMapping = (placeholders, columns, mapping) => {
+    const container = document.getElementById('batch-mapping');
+    if (!container) return;
+
+    if (placeholders.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <h3 class="text-sm font-medium text-gray-300 mb-2">Columns</h3>
+        <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            ${placeholders.map((placeholder, index) => `
+                <div class="flex items-center gap-2">
+                    <label for="batch-map-${index}" class="w-1/2 truncate">
+                        <code class="bg-gray-700 px-2 py-1 rounded text-sm text-gray-300">{{${sanitizeHTML(placeholder.name)}}}</code>
+                    </label>
+                    <select
+                        id="batch-map-${index}"
+                        data-placeholder="${sanitizeHTML(placeholder.name)}"
+                        class="batch-mapping-select flex-1 min-w-0 px-2 py-1 bg-gray-700 border border-gray-600 rounded text-sm text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    >
+                        <option value="">${placeholder.hasDefault ? `Default: ${sanitizeHTML(truncate(placeholder.defaultValue, 30))}` : 'Not mapped'}</option>
+                        ${columns.filter(Boolean).map(column => `
+                            <option value="${sanitizeHTML(column)}" ${mapping[placeholder.name] === column ? 'selected' : ''}>${sanitizeHTML(column)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `).join('')}
+        </div>
+    `;
+};
+
+/**
+ * Render the batch results preview (at most `limit` results; copy and download use all of them)
+ */
+export const renderBatchPreview = (results, limit = 100) => {
+    const summary = document.getElementById('batch-summary');
+    const container = document.getElementById('batch-preview');
+    if (!summary || !container) return;
+
+    const incomplete = results.filter(result => result.missing.length > 0);
+    const invalid = results.filter(result => result.invalid.length > 0);
+    const listRows = (rows) => `${rows.slice(0, 10).map(result => result.index + 1).join(', ')}${rows.length > 10 ? ', …' : ''}`;
+    summary.innerHTML = results.length === 0 ? '' : `
+        <strong class="text-gray-300">${results.length}</strong> result${results.length !== 1 ? 's' : ''}
+        ${incomplete.length > 0 ? `
+            · <span class="text-yellow-400">${incomplete.length} row${incomplete.length !== 1 ? 's' : ''} with missing values (${listRows(incomplete)})</span>
+        ` : ''}
+        ${invalid.length > 0 ? `
+            · <span class="text-red-400">${invalid.length} row${invalid.length !== 1 ? 's' : ''} with invalid values (${listRows(invalid)})</span>
+        ` : ''}
+    `;
+
+    container.innerHTML = results.slice(0, limit).map(result => `
+        <div class="border ${result.invalid.length > 0 ? 'border-red-600' : (result.missing.length > 0 ? 'border-yellow-600' : 'border-gray-700')} rounded-lg">
+            <div class="flex justify-between items-center gap-3 px-3 py-2 bg-gray-900 rounded-t-lg text-xs">
+                <span class="text-gray-400">Row ${result.index + 1}</span>
+                <span class="text-right">
+                    ${result.missing.length > 0 ? `
+                        <span class="text-yellow-400">Missing: ${result.missing.map(name => sanitizeHTML(name)).join(', ')}</span>
+                    ` : ''}
+                    ${result.invalid.map(message => `
+                        <span class="block text-red-400">${sanitizeHTML(message)}</span>
+                    `).join('')}
+                </span>
+            </div>
+            <pre class="p-3 text-sm text-gray-300 whitespace-pre-wrap max-h-40 overflow-y-auto">${sanitizeHTML(result.text)}</pre>
+        </div>
+    `).join('') + (results.length > limit ? `
+        <p class="text-sm text-gray-500">…and ${results.length - limit} more (included when copying or downloading)</p>
+    ` : '');
+};
+
+/**
+ * Render the editable list of variable profiles in the settings modal
+ */
+export const renderVariableProfiles = (profiles) => {
+    const container = document.getElementById('variable-profiles');
+    if (!container) return;
+
+    container.innerHTML = profiles.length > 0 ? profiles.map(profile => `
+        <div class="profile-editor bg-gray-700 rounded-lg p-3 space-y-2" data-profile-id="${profile.id || ''}">
+            <div class="flex gap-2">
+                <input
+                    type="text"
+                    value="${sanitizeHTML(profile.name)}"
+                    aria-label="Profile name"
+                    placeholder="Client: Acme"
+                    class="profile-name-input flex-1 px-3 py-1 bg-gray-800 border border-gray-600 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-500 text-sm"
+                >
+                <button
+                    type="button"
+                    class="profile-delete-btn px-3 py-1 text-xs bg-red-600 hover:bg-red-700 text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50"
+                >
+                    Delete
+                </button>
+            </div>
+            <textarea
+                rows="3"
+                aria-label="Profile variables"
+                placeholder="client = Acme&#10;tone = formal"
+                class="profile-variables-input w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-500 font-mono text-sm"
+            >${sanitizeHTML(formatVariableLines(profile.variables))}</textarea>
+        </div>
+    `).join('') : `
+        <p class="text-sm text-gray-400">No profiles yet. A profile fills several variables at once, e.g. one per client.</p>
+    `;
+};
+
 /**
  * Render settings modal
  */
@@ -743,6 +1888,81 @@ export const renderSettingsModal = (preferences, backups = []) => {
                         </div>
                     </div>
                     
+                    <!-- Version History Section -->
+                    <div class="p-6 border-b border-gray-700">
+                        <h3 class="text-lg font-medium text-white mb-4">Version History</h3>
+                        
+                        <div class="flex items-center gap-4">
+                            <label for="history-limit" class="text-sm font-medium text-gray-300">
+                                Keep the last
+                            </label>
+                            <input
+                                type="number"
+                                id="history-limit"
+                                min="1"
+                                max="500"
+                                value="${preferences.historyLimit}"
+                                class="w-20 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white"
+                            >
+                            <span class="text-sm text-gray-300">revisions per prompt</span>
+                        </div>
+                    </div>
+                    
+                    <!-- Trash Section -->
+                    <div class="p-6 border-b border-gray-700">
+                        <h3 class="text-lg font-medium text-white mb-4">Trash</h3>
+                        
+                        <div class="flex items-center gap-4">
+                            <label for="trash-retention-days" class="text-sm font-medium text-gray-300">
+                                Delete trashed prompts after
+                            </label>
+                            <input
+                                type="number"
+                                id="trash-retention-days"
+                                min="1"
+                                max="365"
+                                value="${preferences.trashRetentionDays}"
+                                class="w-20 px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white"
+                            >
+                            <span class="text-sm text-gray-300">days</span>
+                        </div>
+                    </div>
+                    
+                    <!-- Variables Section -->
+                    <div class="p-6 border-b border-gray-700">
+                        <h3 class="text-lg font-medium text-white mb-2">Variables</h3>
+                        <p class="text-sm text-gray-400 mb-4">
+                            One <code class="bg-gray-700 px-1 rounded text-gray-300">name = value</code> per line.
+                            Insert &amp; Copy fills each placeholder with the value last used for that prompt, then the selected profile's, then the global one, then the placeholder's default.
+                        </p>
+                        
+                        <div class="space-y-4">
+                            <div>
+                                <label for="global-variables" class="block text-sm font-medium text-gray-300 mb-2">Global variables</label>
+                                <textarea
+                                    id="global-variables"
+                                    rows="4"
+                                    class="w-full px-3 py-2 bg-gray-700 border border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white placeholder-gray-400 font-mono text-sm"
+                                    placeholder="company = Acme Inc."
+                                >${sanitizeHTML(formatVariableLines(preferences.globalVariables))}</textarea>
+                            </div>
+                            
+                            <div>
+                                <div class="flex justify-between items-center mb-2">
+                                    <span class="text-sm font-medium text-gray-300">Profiles</span>
+                                    <button
+                                        type="button"
+                                        id="profile-add-btn"
+                                        class="px-3 py-1 text-xs bg-gray-600 hover:bg-gray-500 text-white rounded transition-colors duration-200 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                                    >
+                                        + Add profile
+                                    </button>
+                                </div>
+                                <div id="variable-profiles" class="space-y-3"></div>
+                            </div>
+                        </div>
+                    </div>
+                    
                     <!-- Local Backups Section -->
                     <div class="p-6">
                         <h3 class="text-lg font-medium text-white mb-4">Local Backups</h3>
@@ -799,4 +2019,6 @@ export const renderSettingsModal = (preferences, backups = []) => {
             </div>
         </div>
     `;
+
+    renderVariableProfiles(preferences.variableProfiles || []);
 };
@@ -1,5 +1,6 @@
 /**
- * Storage module - handles LocalStorage operations, state management, and data migration
+ * Storage module - handles persistence through pluggable adapters (IndexedDB with a
+ * LocalStorage fallback), state management, and data migration
  */
 
 const STORAGE_KEY = 'promptboard:v1';
@@ -8,6 +9,10 @@ const VARIABLES_KEY_PREFIX = 'promptboard:vars:v1:';
 const BACKUPS_KEY = 'promptboard:backups:v1';
 const CURRENT_VERSION = 1;
 
+const DB_NAME = 'promptboard';
+const DB_VERSION = 1;
+const PROMPTS_STORE = 'prompts';
+
 /**
  * Generate UUID v4
  */
@@ -19,11 +24,27 @@ export const uuid = () => {
     });
 };
 
+/**
+ * Check whether a value is a uuid like the ones uuid() makes
+ * Ids from imported files must pass this before they are kept, since they end up in HTML attributes.
+ */
+export const isUuid = (value) => {
+    return typeof value === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+};
+
 /**
  * Get current timestamp
  */
 export const now = () => Date.now();
 
+/**
+ * Turn a stored date (milliseconds or a date string) into milliseconds, or null when it isn't one
+ */
+const toTimestamp = (value) => {
+    const timestamp = typeof value === 'string' ? Date.parse(value) : value;
+    return typeof timestamp === 'number' && Number.isFinite(timestamp) ? timestamp : null;
+};
+
 /**
  * Default state structure
  */
@@ -33,36 +54,232 @@ const defaultState = {
 };
 
 /**
- * Get current state from localStorage
+ * Read the legacy single-blob state from localStorage (null if absent or unreadable)
  */
-export const getState = () => {
+const readLocalStorageState = () => {
     try {
         const stored = localStorage.getItem(STORAGE_KEY);
-        if (!stored) {
-            return { ...defaultState };
-        }
-        
-        const parsed = JSON.parse(stored);
-        return migrate(parsed);
+        return stored ? JSON.parse(stored) : null;
     } catch (error) {
         console.warn('Failed to load state from localStorage:', error);
-        return { ...defaultState };
+        return null;
     }
 };
 
 /**
- * Save state to localStorage
+ * LocalStorage adapter - stores the whole state as one JSON blob.
+ * Used when IndexedDB is unavailable (e.g. some private browsing modes).
+ */
+export const createLocalStorageAdapter = () => ({
+    name: 'localStorage',
+
+    load: async () => readLocalStorageState() || { ...defaultState },
+
+    // Synchronous on purpose so quota errors surface to setState callers
+    save: (state) => {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    },
+
+    clear: async () => {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+});
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisifyRequest = (request) => {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+};
+
+/**
+ * Open (and create or upgrade) the PromptBoard database
+ */
+const openDatabase = () => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(PROMPTS_STORE)) {
+            const store = db.createObjectStore(PROMPTS_STORE, { keyPath: 'id' });
+            store.createIndex('tags', 'tags', { multiEntry: true });
+            store.createIndex('updatedAt', 'updatedAt');
+        }
+    };
+
+    return promisifyRequest(request);
+};
+
+/**
+ * IndexedDB adapter - stores each prompt as its own record so a save only
+ * touches the prompts that actually changed
+ */
+export const createIndexedDBAdapter = () => {
+    let dbPromise = null;
+    const getDatabase = () => {
+        if (!dbPromise) {
+            dbPromise = openDatabase();
+        }
+        return dbPromise;
+    };
+
+    const runTransaction = async (mode, work) => {
+        const db = await getDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(PROMPTS_STORE, mode);
+            const result = work(transaction.objectStore(PROMPTS_STORE));
+            transaction.oncomplete = () => resolve(result?.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+
+    return {
+        name: 'indexeddb',
+
+        load: async () => {
+            // Read the store itself: records whose updatedAt isn't a valid key are missing from the index
+            const prompts = await runTransaction('readonly', store => store.getAll());
+            return { version: CURRENT_VERSION, prompts: prompts || [] };
+        },
+
+        save: (state, { upserts, deletes }) => {
+            if (upserts.length === 0 && deletes.length === 0) {
+                return Promise.resolve();
+            }
+            return runTransaction('readwrite', store => {
+                upserts.forEach(prompt => store.put(prompt));
+                deletes.forEach(id => store.delete(id));
+            });
+        },
+
+        clear: () => runTransaction('readwrite', store => store.clear())
+    };
+};
+
+/**
+ * Check whether IndexedDB can be used in this browser
+ */
+const isIndexedDBAvailable = () => {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (error) {
+        return false;
+    }
+};
+
+let activeAdapter = createLocalStorageAdapter();
+let cachedState = null;
+let storageErrorHandler = null;
+
+/**
+ * Register a callback for asynchronous write failures
+ */
+export const setStorageErrorHandler = (handler) => {
+    storageErrorHandler = handler;
+};
+
+/**
+ * Compute which prompt records were added/changed or removed between two states.
+ * Prompts are treated as immutable: an update always replaces the object.
+ */
+const diffPrompts = (previousPrompts, nextPrompts) => {
+    const previousById = new Map(previousPrompts.map(prompt => [prompt.id, prompt]));
+    const nextIds = new Set(nextPrompts.map(prompt => prompt.id));
+
+    return {
+        upserts: nextPrompts.filter(prompt => previousById.get(prompt.id) !== prompt),
+        deletes: previousPrompts.filter(prompt => !nextIds.has(prompt.id)).map(prompt => prompt.id)
+    };
+};
+
+/**
+ * Copy prompts from the legacy localStorage blob into IndexedDB, then drop the blob
+ */
+const migrateFromLocalStorage = async (adapter) => {
+    const legacy = readLocalStorageState();
+    if (!legacy) {
+        return false;
+    }
+
+    const legacyState = migrate(legacy);
+    const existing = await adapter.load();
+    const existingIds = new Set(existing.prompts.map(prompt => prompt.id));
+    const upserts = legacyState.prompts.filter(prompt => !existingIds.has(prompt.id));
+
+    await adapter.save(legacyState, { upserts, deletes: [] });
+    localStorage.removeItem(STORAGE_KEY);
+
+    console.log(`Migrated ${upserts.length} prompts from localStorage to IndexedDB`);
+    return true;
+};
+
+/**
+ * Initialize storage: pick a backend, migrate legacy data and load the state cache.
+ * Must resolve before the app reads state; returns the active backend name.
+ */
+export const initStorage = async (adapter = null) => {
+    activeAdapter = adapter || (isIndexedDBAvailable() ? createIndexedDBAdapter() : createLocalStorageAdapter());
+
+    try {
+        if (activeAdapter.name === 'indexeddb') {
+            await migrateFromLocalStorage(activeAdapter);
+        }
+        cachedState = migrate(await activeAdapter.load());
+    } catch (error) {
+        console.warn(`Failed to initialize ${activeAdapter.name} storage, falling back to localStorage:`, error);
+        activeAdapter = createLocalStorageAdapter();
+        cachedState = migrate(readLocalStorageState());
+    }
+
+    return activeAdapter.name;
+};
+
+/**
+ * Get the active storage adapter
+ */
+export const getStorageAdapter = () => activeAdapter;
+
+/**
+ * Get current state (served from the in-memory cache)
+ */
+export const getState = () => {
+    if (!cachedState) {
+        cachedState = migrate(readLocalStorageState());
+    }
+
+    return {
+        ...cachedState,
+        prompts: [...cachedState.prompts]
+    };
+};
+
+/**
+ * Save state: update the cache and persist only the changed prompts
  */
 export const setState = (state) => {
     try {
+        const previousPrompts = getState().prompts;
         const stateToSave = {
             ...state,
+            prompts: [...state.prompts],
             version: CURRENT_VERSION
         };
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(stateToSave));
+
+        const pending = activeAdapter.save(stateToSave, diffPrompts(previousPrompts, stateToSave.prompts));
+        cachedState = stateToSave;
+
+        Promise.resolve(pending).catch(error => {
+            console.error(`Failed to save state to ${activeAdapter.name}:`, error);
+            storageErrorHandler?.(error);
+        });
+
         return true;
     } catch (error) {
-        console.error('Failed to save state to localStorage:', error);
+        console.error(`Failed to save state to ${activeAdapter.name}:`, error);
         return false;
     }
 };
@@ -99,8 +316,11 @@ export const migrate = (data) => {
             title: prompt.title || 'Untitled',
             content: prompt.content || '',
             tags: Array.isArray(prompt.tags) ? prompt.tags : [],
-            createdAt: prompt.createdAt || now(),
-            updatedAt: prompt.updatedAt || now()
+            noPlaceholders: prompt.noPlaceholders === true,
+            createdAt: toTimestamp(prompt.createdAt) || now(),
+            updatedAt: toTimestamp(prompt.updatedAt) || now(),
+            deletedAt: toTimestamp(prompt.deletedAt) || null,
+            history: normalizeHistory(prompt.history)
         }));
 
     migrated.version = CURRENT_VERSION;
@@ -108,12 +328,34 @@ export const migrate = (data) => {
     return migrated;
 };
 
+/**
+ * Validate and clean up a prompt's revision history
+ */
+export const normalizeHistory = (history) => {
+    if (!Array.isArray(history)) {
+        return [];
+    }
+
+    return history
+        .filter(revision => revision && typeof revision === 'object')
+        .map(revision => ({
+            id: isUuid(revision.id) ? revision.id : uuid(),
+            title: typeof revision.title === 'string' ? revision.title : '',
+            content: typeof revision.content === 'string' ? revision.content : '',
+            tags: Array.isArray(revision.tags) ? revision.tags : [],
+            savedAt: toTimestamp(revision.savedAt) || now()
+        }));
+};
+
 /**
  * Clear all data (useful for testing/reset)
  */
 export const clearStorage = () => {
     try {
-        localStorage.removeItem(STORAGE_KEY);
+        cachedState = { ...defaultState, prompts: [] };
+        Promise.resolve(activeAdapter.clear()).catch(error => {
+            console.error('Failed to clear storage:', error);
+        });
         return true;
     } catch (error) {
         console.error('Failed to clear storage:', error);
@@ -126,13 +368,14 @@ export const clearStorage = () => {
  */
 export const getStorageInfo = () => {
     try {
-        const data = localStorage.getItem(STORAGE_KEY);
+        const data = JSON.stringify(getState());
         return {
-            size: data ? data.length : 0,
-            sizeKB: data ? Math.round(data.length / 1024 * 100) / 100 : 0
+            backend: activeAdapter.name,
+            size: data.length,
+            sizeKB: Math.round(data.length / 1024 * 100) / 100
         };
     } catch (error) {
-        return { size: 0, sizeKB: 0 };
+        return { backend: activeAdapter.name, size: 0, sizeKB: 0 };
     }
 };
 
@@ -142,7 +385,16 @@ export const getStorageInfo = () => {
 const defaultPreferences = {
     autoBackupEnabled: true,
     autoBackupThreshold: 10,
-    changeCounter: 0
+    changeCounter: 0,
+    historyLimit: 20,
+    trashRetentionDays: 30,
+    savedCollections: [],
+    tagColors: {},
+    globalVariables: {},
+    variableProfiles: [],
+    activeProfileId: null,
+    csvDelimiter: 'comma',
+    codeExportTarget: 'openai'
 };
 
 /**
@@ -0,0 +1,761 @@
+/**
+ * Template module - placeholder syntax, block helpers and rendering for prompt content
+ *
+ * Syntax:
+ *   {{name}}                          placeholder
+ *   {{name|default}}                  placeholder with default value
+ *   {{name:type}}, {{name:type=arg}}  typed placeholder (string, text, number, select, date, bool, list)
+ *   {{#if name}}…{{else}}…{{/if}}     block shown when the value is set (not empty, "false", "no", "off" or "0")
+ *   {{#unless name}}…{{/unless}}      the opposite of #if
+ *   {{#each items}}…{{/each}}         repeat for each line of a list value; {{this}}, {{@index}} and {{@number}} inside
+ *   {{> Prompt Title}}, {{> id:uuid}} include another prompt (a partial)
+ *   {{name!upper!truncate:80|default}} transform the value with filters (see FILTERS), before any default
+ *   \{{literal}}                      written as "{{literal}}", not a placeholder
+ *   {{{{raw}}}}…{{{{/raw}}}}          everything inside is written as is
+ *
+ * Blocks can be nested and take an optional {{else}}. A block tag alone on its line
+ * leaves no blank line behind. Partials are looked up through the `resolvePartial`
+ * option and expanded recursively (prompts flagged `noPlaceholders` are included as plain
+ * text); without it they are left as written.
+ * Auto-values ({{today}}, {{uuid}}, …) are resolved by autovalues.js and passed in with the values.
+ */
+
+import { truncate, slugify, isLikelyTypo } from './utils.js';
+
+/**
+ * Placeholder types, written as {{name:type}} or {{name:type=argument}}
+ */
+export const PLACEHOLDER_TYPES = ['string', 'text', 'number', 'select', 'date', 'bool', 'list'];
+
+const BLOCKS = ['if', 'unless', 'each'];
+const LOOP_VARIABLES = ['this', '@index', '@number'];
+const TRUE_VALUES = ['true', 'yes', 'on', '1'];
+const FALSE_VALUES = ['false', 'no', 'off', '0'];
+const FILTER_PATTERN = /^[a-z][\w-]*(:[^!]*)?$/i;
+
+/**
+ * Split a value into its non-empty lines
+ */
+const toLines = (value) => value.split('\n').map(line => line.trim()).filter(Boolean);
+
+/**
+ * Read a whole-number filter argument, falling back when missing or invalid
+ */
+const toCount = (arg, fallback) => {
+    const count = parseInt(arg, 10);
+    return Number.isFinite(count) && count >= 0 ? count : fallback;
+};
+
+/**
+ * Value filters for {{name!filter}} and {{name!filter:arg1,arg2}}
+ * Each filter takes the value and its (string) arguments and returns the new value.
+ */
+const FILTERS = {
+    upper: (value) => value.toUpperCase(),
+    lower: (value) => value.toLowerCase(),
+    capitalize: (value) => value.replace(/(^|\s)(\S)/g, (match, space, char) => space + char.toUpperCase()),
+    trim: (value) => value.trim(),
+    oneline: (value) => value.replace(/\s*\n\s*/g, ' ').trim(),
+    slug: (value) => slugify(value),
+    indent: (value, [width]) => {
+        const padding = ' '.repeat(toCount(width, 4));
+        return value.split('\n').map(line => line ? padding + line : line).join('\n');
+    },
+    bullets: (value, [marker = '-']) => toLines(value).map(line => `${marker} ${line}`).join('\n'),
+    numbered: (value) => toLines(value).map((line, index) => `${index + 1}. ${line}`).join('\n'),
+    quote: (value) => value.split('\n').map(line => `> ${line}`).join('\n'),
+    json: (value) => JSON.stringify(value),
+    truncate: (value, [length]) => truncate(value, toCount(length, 100))
+};
+
+/**
+ * Register a value filter, usable as {{name!filterName}} in every template
+ * The function receives the value and the filter arguments and returns a string.
+ */
+export const registerFilter = (name, apply) => {
+    if (!FILTER_PATTERN.test(name) || name.includes(':')) {
+        throw new Error(`Invalid filter name "${name}"`);
+    }
+    if (typeof apply !== 'function') {
+        throw new Error(`Filter "${name}" must be a function`);
+    }
+    FILTERS[name.toLowerCase()] = apply;
+};
+
+/**
+ * Get the names of the available filters
+ */
+export const getFilterNames = () => Object.keys(FILTERS);
+
+/**
+ * Get the filter name of one "!" part ("truncate:200" → "truncate")
+ */
+const toFilterName = (part) => part.trim().split(':')[0].toLowerCase();
+
+/**
+ * Split "name!upper!truncate:200" into the placeholder spec and its filters
+ * Only a tail made entirely of registered filters counts, so names written before filters existed
+ * ("wow!", "hey!you") keep working as plain placeholders.
+ */
+const splitFilters = (content) => {
+    const [spec, ...parts] = content.split('!');
+    const isFilter = (part) => FILTER_PATTERN.test(part.trim()) && Object.prototype.hasOwnProperty.call(FILTERS, toFilterName(part));
+    if (parts.length === 0 || !parts.every(isFilter)) {
+        return { spec: content, filters: [] };
+    }
+
+    return {
+        spec,
+        filters: parts.map(part => {
+            const [name, ...rest] = part.trim().split(':');
+            const arg = rest.join(':');
+            return { name: name.toLowerCase(), args: arg ? arg.split(',').map(item => item.trim()) : [] };
+        })
+    };
+};
+
+/**
+ * Run a value through a chain of filters
+ */
+const applyFilters = (value, filters) => {
+    return filters.reduce((result, filter) => String(FILTERS[filter.name](result, filter.args)), value);
+};
+
+/**
+ * Get the 1-based line and column of a position in text
+ */
+const getPosition = (text, index) => {
+    const before = text.slice(0, index);
+    return { line: before.split('\n').length, column: index - before.lastIndexOf('\n') };
+};
+
+/**
+ * Create a template error carrying the line and column of the offending tag
+ */
+const templateError = (message, text, index) => {
+    const { line, column } = getPosition(text, index);
+    const error = new Error(`${message} (line ${line}, column ${column})`);
+    error.detail = message;
+    error.line = line;
+    error.column = column;
+    return error;
+};
+
+/**
+ * Parse the inside of a placeholder ("tone:select=formal,casual") and its optional "|default"
+ * For select the "=" argument lists the choices; for the other types it is the default value.
+ * A colon not followed by a known type is part of the name, as before typed placeholders existed.
+ */
+const parsePlaceholderSpec = (spec, defaultPart) => {
+    const typed = spec.match(/^\s*([^:]+?)\s*:\s*(string|text|number|select|date|bool|list)\s*(?:=(.*))?$/s);
+    if (!typed) {
+        return {
+            name: spec.trim(),
+            type: 'string',
+            options: [],
+            defaultValue: defaultPart || '',
+            hasDefault: defaultPart !== undefined
+        };
+    }
+
+    const [, name, type, argument] = typed;
+    const options = type === 'select' && argument !== undefined
+        ? argument.split(',').map(option => option.trim()).filter(Boolean)
+        : [];
+    let defaultValue = defaultPart !== undefined ? defaultPart : (type === 'select' ? undefined : argument);
+
+    if (type === 'bool' && defaultValue !== undefined) {
+        defaultValue = String(TRUE_VALUES.includes(defaultValue.trim().toLowerCase()));
+    }
+
+    return {
+        name,
+        type,
+        options,
+        defaultValue: defaultValue || '',
+        hasDefault: defaultValue !== undefined
+    };
+};
+
+/**
+ * Classify one {{…}} tag
+ */
+const readTag = (content, defaultPart, index) => {
+    const trimmed = content.trim();
+
+    if (trimmed.startsWith('#')) {
+        const [, block, name] = trimmed.match(/^#(\S*)\s*(.*)$/s);
+        if (!BLOCKS.includes(block)) {
+            return { type: 'invalid', message: `Unknown block "{{#${block}}}" (use #if, #unless or #each)`, index };
+        }
+        if (!name.trim() || /\s/.test(name.trim()) || defaultPart !== undefined) {
+            return { type: 'invalid', message: `"{{#${block}}}" needs a single variable name`, index };
+        }
+        return { type: 'open', block, name: name.trim(), index };
+    }
+
+    if (trimmed.startsWith('/')) {
+        const block = trimmed.slice(1).trim();
+        if (!BLOCKS.includes(block)) {
+            return { type: 'invalid', message: `Unknown closing tag "{{/${block}}}"`, index };
+        }
+        return { type: 'close', block, index };
+    }
+
+    if (trimmed.startsWith('>')) {
+        const reference = trimmed.slice(1).trim();
+        if (!reference || defaultPart !== undefined) {
+            return { type: 'invalid', message: '"{{>}}" needs a prompt title or id:…', index };
+        }
+        return { type: 'partial', reference, index };
+    }
+
+    if (trimmed === 'else' && defaultPart === undefined) {
+        return { type: 'else', index };
+    }
+
+    const { spec, filters } = splitFilters(content);
+    return { type: 'variable', placeholder: parsePlaceholderSpec(spec, defaultPart), filters, index };
+};
+
+/**
+ * Split template into text, placeholder and block tokens
+ * Block tags standing alone on a line swallow that line's whitespace and line break.
+ */
+const tokenize = (text) => {
+    const tokens = [];
+    // An escaped "\{{", a {{{{raw}}}}…{{{{/raw}}}} block (unclosed ones run to the end) or a tag
+    const tagRegex = /\\\{\{|\{\{\{\{raw\}\}\}\}([\s\S]*?)(\{\{\{\{\/raw\}\}\}\}|$)|\{\{\{\{\/raw\}\}\}\}|\{\{([^}|]+)(\|([^}]*))?\}\}/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = tagRegex.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            tokens.push({ type: 'text', value: text.slice(lastIndex, match.index) });
+        }
+        if (match[0] === '\\{{') {
+            tokens.push({ type: 'text', value: '{{' });
+        } else if (match[0] === '{{{{/raw}}}}') {
+            tokens.push({ type: 'invalid', message: '"{{{{/raw}}}}" without a matching "{{{{raw}}}}"', index: match.index, raw: match[0] });
+        } else if (match[0].startsWith('{{{{raw}}}}')) {
+            tokens.push({ type: 'rawOpen', index: match.index, raw: '{{{{raw}}}}' });
+            tokens.push({ type: 'text', value: match[1] });
+            tokens.push(match[2]
+                ? { type: 'rawClose', index: tagRegex.lastIndex - match[2].length, raw: match[2] }
+                : { type: 'invalid', message: 'Unclosed "{{{{raw}}}}" (end it with "{{{{/raw}}}}")', index: match.index, raw: '' });
+        } else {
+            tokens.push({ ...readTag(match[3], match[5], match.index), raw: match[0] });
+        }
+        lastIndex = tagRegex.lastIndex;
+    }
+    if (lastIndex < text.length) {
+        tokens.push({ type: 'text', value: text.slice(lastIndex) });
+    }
+
+    // Decide which block tags are standalone before trimming, so neighbours see the original text
+    const isBlockTag = (token) => ['open', 'else', 'close', 'rawOpen', 'rawClose'].includes(token.type);
+    const standalone = tokens.map((token, i) => {
+        if (!isBlockTag(token)) return false;
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+        const startsLine = !prev || (prev.type === 'text' && (/\n[ \t]*$/.test(prev.value) || (i === 1 && /^[ \t]*$/.test(prev.value))));
+        const endsLine = !next || (next.type === 'text' && (/^[ \t]*\r?\n/.test(next.value) || (i === tokens.length - 2 && /^[ \t]*$/.test(next.value))));
+        return startsLine && endsLine;
+    });
+
+    standalone.forEach((isStandalone, i) => {
+        if (!isStandalone) return;
+        const prev = tokens[i - 1];
+        const next = tokens[i + 1];
+        if (prev) prev.value = prev.value.replace(/[ \t]*$/, '');
+        if (next) next.value = next.value.replace(/^[ \t]*(\r?\n)?/, '');
+    });
+
+    return tokens;
+};
+
+/**
+ * Check whether text renders differently from how it's written: it has tags, partials, escapes or raw blocks
+ */
+export const hasTemplateSyntax = (text) => {
+    return tokenize(text || '').some(token => token.type !== 'text') || /\\\{\{/.test(text || '');
+};
+
+/**
+ * Get the prompt references of the partials included directly in a template
+ */
+export const getPartialReferences = (text) => {
+    return tokenize(text || '')
+        .filter(token => token.type === 'partial')
+        .map(token => token.reference);
+};
+
+/**
+ * Parse a partial's prompt into nodes, guarding against include cycles
+ * `trail` lists the prompts ({ id, title }) already being included.
+ */
+const parsePartial = (token, text, { resolvePartial, trail }) => {
+    const partial = resolvePartial(token.reference);
+    if (!partial) {
+        throw Object.assign(templateError(`No prompt found for "{{> ${token.reference}}}"`, text, token.index), { inPartial: true });
+    }
+
+    if (trail.some(item => item.id === partial.id)) {
+        const cycle = [...trail, partial].map(item => `"${item.title}"`).join(' → ');
+        throw templateError(`Include cycle: ${cycle}`, text, token.index);
+    }
+
+    if (partial.noPlaceholders) {
+        return [{ type: 'text', value: partial.content || '' }];
+    }
+
+    try {
+        return parseTemplate(partial.content || '', { resolvePartial, trail: [...trail, partial] });
+    } catch (error) {
+        throw Object.assign(templateError(`In "${partial.title}" at line ${error.line}, column ${error.column}: ${error.detail}`, text, token.index), { inPartial: true });
+    }
+};
+
+/**
+ * Parse template into a tree of text, variable, block and partial nodes
+ * Options: `resolvePartial(reference)` returns the included prompt ({ id, title, content, noPlaceholders }) or null;
+ * `trail` lists the prompts ({ id, title }) being rendered, starting with the template's own prompt.
+ * Throws an Error with `line` and `column` properties on invalid block structure, unknown partials and include cycles
+ * (`inPartial` is set when the problem is a missing or broken included prompt rather than this template)
+ */
+export const parseTemplate = (text, { resolvePartial = null, trail = [] } = {}) => {
+    const root = [];
+    const stack = [];
+    let current = root;
+
+    tokenize(text || '').forEach(token => {
+        switch (token.type) {
+            case 'text':
+            case 'variable':
+                current.push(token);
+                break;
+            case 'partial':
+                current.push(resolvePartial
+                    ? { type: 'partial', reference: token.reference, nodes: parsePartial(token, text, { resolvePartial, trail }) }
+                    : { type: 'text', value: token.raw });
+                break;
+            case 'rawOpen':
+            case 'rawClose':
+                break;
+            case 'invalid':
+                throw templateError(token.message, text, token.index);
+            case 'open': {
+                const node = { type: token.block, name: token.name, index: token.index, body: [], elseBody: [], hasElse: false };
+                current.push(node);
+                stack.push(node);
+                current = node.body;
+                break;
+            }
+            case 'else': {
+                const node = stack[stack.length - 1];
+                if (!node) {
+                    throw templateError('"{{else}}" outside of a block', text, token.index);
+                }
+                if (node.hasElse) {
+                    throw templateError(`Second "{{else}}" in "{{#${node.type} ${node.name}}}"`, text, token.index);
+                }
+                node.hasElse = true;
+                current = node.elseBody;
+                break;
+            }
+            case 'close': {
+                const node = stack.pop();
+                if (!node) {
+                    throw templateError(`"{{/${token.block}}}" without a matching "{{#${token.block}}}"`, text, token.index);
+                }
+                if (node.type !== token.block) {
+                    throw templateError(`"{{/${token.block}}}" does not close "{{#${node.type} ${node.name}}}"`, text, token.index);
+                }
+                const parent = stack[stack.length - 1];
+                current = !parent ? root : (parent.hasElse ? parent.elseBody : parent.body);
+                break;
+            }
+        }
+    });
+
+    if (stack.length > 0) {
+        const node = stack[stack.length - 1];
+        throw templateError(`Unclosed "{{#${node.type} ${node.name}}}"`, text, node.index);
+    }
+
+    return root;
+};
+
+/**
+ * Get the template error message, or null when the template is valid
+ */
+export const getTemplateError = (text, options = {}) => {
+    try {
+        parseTemplate(text, options);
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+};
+
+/**
+ * Find "{{" without a matching "}}" (and the reverse), and tags without a name such as "{{ }}" or "{{|x}}"
+ * Raw blocks are skipped, and an escaped "\{{" takes its "}}" along.
+ */
+const lintBraces = (text) => {
+    const diagnostics = [];
+    const report = (severity, message, index) => diagnostics.push({ severity, message, ...getPosition(text, index) });
+    const braceRegex = /\{\{\{\{raw\}\}\}\}[\s\S]*?(\{\{\{\{\/raw\}\}\}\}|$)|\{\{\{\{\/raw\}\}\}\}|\\\{\{|\{\{|\}\}/g;
+    let openIndex = null;
+    let isEscaped = false;
+    let match;
+
+    while ((match = braceRegex.exec(text)) !== null) {
+        if (match[0].startsWith('{{{{')) {
+            continue; // Raw blocks; a stray {{{{/raw}}}} is reported by the parser
+        }
+        if (match[0] === '\\{{') {
+            isEscaped = true;
+        } else if (match[0] === '{{') {
+            if (openIndex !== null) {
+                report('error', 'Unclosed "{{" (missing "}}")', openIndex);
+            }
+            openIndex = match.index;
+        } else if (openIndex === null && isEscaped) {
+            isEscaped = false;
+        } else if (openIndex === null) {
+            report('warning', 'Stray "}}" without an opening "{{"', match.index);
+        } else {
+            const content = text.slice(openIndex + 2, match.index);
+            if (!content.split(/[|!]/)[0].trim()) {
+                report('error', `Empty placeholder name in "{{${content}}}"`, openIndex);
+            }
+            openIndex = null;
+        }
+    }
+
+    if (openIndex !== null) {
+        report('error', 'Unclosed "{{" (missing "}}")', openIndex);
+    }
+    return diagnostics;
+};
+
+/**
+ * Find the same placeholder declared with different defaults or types, and names that look like typos of each other
+ * or of a filter
+ */
+const lintNames = (text) => {
+    const diagnostics = [];
+    const occurrences = new Map();
+
+    tokenize(text).forEach(token => {
+        const name = token.type === 'variable' ? token.placeholder.name : (token.type === 'open' ? token.name : null);
+        if (!name || LOOP_VARIABLES.includes(name)) return;
+        if (!occurrences.has(name)) occurrences.set(name, []);
+        occurrences.get(name).push({ ...token, ...getPosition(text, token.index) });
+    });
+
+    occurrences.forEach((tokens, name) => {
+        const declared = tokens.filter(token => token.type === 'variable');
+        const withDefault = declared.filter(token => token.placeholder.hasDefault);
+        const conflict = withDefault.find(token => token.placeholder.defaultValue !== withDefault[0].placeholder.defaultValue);
+        if (conflict) {
+            diagnostics.push({
+                severity: 'warning',
+                message: `"${name}" has different defaults: "${withDefault[0].placeholder.defaultValue}" (line ${withDefault[0].line}) and "${conflict.placeholder.defaultValue}"`,
+                line: conflict.line,
+                column: conflict.column
+            });
+        }
+
+        const typed = declared.filter(token => token.placeholder.type !== 'string');
+        const typeConflict = typed.find(token => token.placeholder.type !== typed[0].placeholder.type);
+        if (typeConflict) {
+            diagnostics.push({
+                severity: 'warning',
+                message: `"${name}" is declared as ${typed[0].placeholder.type} (line ${typed[0].line}) and as ${typeConflict.placeholder.type}`,
+                line: typeConflict.line,
+                column: typeConflict.column
+            });
+        }
+    });
+
+    // A "!" part one typo away from a filter was probably meant as one, but is read as part of the name
+    occurrences.forEach(([first], name) => {
+        name.split('!').slice(1).forEach(part => {
+            const filter = getFilterNames().find(filterName => isLikelyTypo(toFilterName(part), filterName));
+            if (filter) {
+                diagnostics.push({
+                    severity: 'warning',
+                    message: `"!${toFilterName(part)}" is not a filter, so "${name}" is one name; did you mean "!${filter}"?`,
+                    line: first.line,
+                    column: first.column
+                });
+            }
+        });
+    });
+
+    // Near-duplicate names: the rarer one is the likely typo
+    const names = [...occurrences.keys()];
+    names.forEach((name, i) => {
+        names.slice(i + 1).forEach(other => {
+            if (!isLikelyTypo(name, other)) return;
+
+            const [typo, intended] = occurrences.get(other).length <= occurrences.get(name).length ? [other, name] : [name, other];
+            const first = occurrences.get(typo)[0];
+            diagnostics.push({
+                severity: 'warning',
+                message: `"${typo}" looks like a typo of "${intended}" (line ${occurrences.get(intended)[0].line})`,
+                line: first.line,
+                column: first.column
+            });
+        });
+    });
+
+    return diagnostics;
+};
+
+/**
+ * Check a template for mistakes the parser would accept or only report one at a time
+ * Returns [{ severity, message, line, column }] sorted by position: 'error' for templates that can't be
+ * used as written (unbalanced braces, empty names, invalid blocks), 'warning' for likely mistakes
+ * (conflicting defaults, near-duplicate names, misspelt filters, missing or broken included prompts).
+ */
+export const lintTemplate = (text, options = {}) => {
+    if (!text) return [];
+
+    const diagnostics = lintBraces(text);
+
+    try {
+        parseTemplate(text, options);
+    } catch (error) {
+        const isReported = diagnostics.some(item => item.line === error.line && item.column === error.column);
+        if (!isReported) {
+            diagnostics.push({ severity: error.inPartial ? 'warning' : 'error', message: error.detail, line: error.line, column: error.column });
+        }
+    }
+
+    diagnostics.push(...lintNames(text));
+    return diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+};
+
+/**
+ * Check whether a value switches an #if block on
+ */
+const isTruthy = (value) => {
+    return value !== undefined && value.trim() !== '' && !FALSE_VALUES.includes(value.trim().toLowerCase());
+};
+
+/**
+ * Split a list value into its items, one per line
+ */
+const toListItems = (value) => {
+    return (value || '').split('\n').map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * Look up a value: loop variables first, then filled-in values, then defaults
+ */
+const lookup = (name, { values, defaults, scope }) => {
+    if (scope && Object.prototype.hasOwnProperty.call(scope, name)) {
+        return scope[name];
+    }
+    if (Object.prototype.hasOwnProperty.call(values, name) && values[name] !== '') {
+        return values[name];
+    }
+    return defaults[name];
+};
+
+/**
+ * Record a placeholder; explicit types beat plain placeholders, which beat types inferred from blocks
+ */
+const addPlaceholder = (placeholders, placeholder) => {
+    const rank = (item) => item.inferred ? 0 : (item.type === 'string' ? 1 : 2);
+    const existing = placeholders.get(placeholder.name);
+
+    if (!existing) {
+        placeholders.set(placeholder.name, placeholder);
+    } else if (rank(placeholder) > rank(existing)) {
+        // A later typed occurrence ({{tone}} ... {{tone:select=a,b}}) defines the field
+        placeholders.set(placeholder.name, !placeholder.hasDefault && existing.hasDefault
+            ? { ...placeholder, defaultValue: existing.defaultValue, hasDefault: true }
+            : placeholder);
+    }
+};
+
+/**
+ * Walk the template collecting placeholders
+ * Without a context every branch is visited; with one, only the branches its values reach.
+ */
+const collectPlaceholders = (nodes, placeholders, context = null, inLoop = false) => {
+    nodes.forEach(node => {
+        switch (node.type) {
+            case 'variable':
+                if (node.placeholder.name && !(inLoop && LOOP_VARIABLES.includes(node.placeholder.name))) {
+                    addPlaceholder(placeholders, node.placeholder);
+                }
+                break;
+            case 'if':
+            case 'unless': {
+                addPlaceholder(placeholders, { name: node.name, type: 'bool', options: [], defaultValue: '', hasDefault: false, inferred: true });
+                if (!context) {
+                    collectPlaceholders(node.body, placeholders, context, inLoop);
+                    collectPlaceholders(node.elseBody, placeholders, context, inLoop);
+                } else {
+                    const isOn = isTruthy(lookup(node.name, context)) !== (node.type === 'unless');
+                    collectPlaceholders(isOn ? node.body : node.elseBody, placeholders, context, inLoop);
+                }
+                break;
+            }
+            case 'partial':
+                collectPlaceholders(node.nodes, placeholders, context, inLoop);
+                break;
+            case 'each':
+                addPlaceholder(placeholders, { name: node.name, type: 'list', options: [], defaultValue: '', hasDefault: false, inferred: true });
+                if (!context) {
+                    collectPlaceholders(node.body, placeholders, context, true);
+                    collectPlaceholders(node.elseBody, placeholders, context, inLoop);
+                } else if (toListItems(lookup(node.name, context)).length > 0) {
+                    collectPlaceholders(node.body, placeholders, context, true);
+                } else {
+                    collectPlaceholders(node.elseBody, placeholders, context, inLoop);
+                }
+                break;
+        }
+    });
+    return placeholders;
+};
+
+/**
+ * Map placeholder names to their default values
+ */
+const getDefaults = (placeholders) => {
+    return Object.fromEntries(placeholders
+        .filter(placeholder => placeholder.hasDefault)
+        .map(placeholder => [placeholder.name, placeholder.defaultValue]));
+};
+
+/**
+ * Parse placeholders from text content, including those of partials (see parseTemplate for options)
+ * Returns array of unique placeholders with their type, choices and default values.
+ * Pass the current values to get only the placeholders reachable through #if/#each blocks.
+ */
+export const parsePlaceholders = (text, values = null, options = {}) => {
+    if (!text || typeof text !== 'string') {
+        return [];
+    }
+
+    let nodes;
+    try {
+        nodes = parseTemplate(text, options);
+    } catch (error) {
+        // Broken block structure: still offer every placeholder and block variable written in the text
+        nodes = tokenize(text)
+            .filter(token => token.type === 'variable' || token.type === 'open')
+            .map(token => token.type === 'open' ? { type: token.block, name: token.name, body: [], elseBody: [] } : token);
+    }
+
+    const all = [...collectPlaceholders(nodes, new Map()).values()];
+    if (!values) {
+        return all;
+    }
+
+    const reachable = collectPlaceholders(nodes, new Map(), { values, defaults: getDefaults(all), scope: null });
+    return all.filter(placeholder => reachable.has(placeholder.name));
+};
+
+/**
+ * Check a value against its placeholder type
+ * Returns an error message, or null when the value is valid (empty values are left to defaults)
+ */
+export const validatePlaceholderValue = (placeholder, value) => {
+    if (value === undefined || value === '') {
+        return null;
+    }
+
+    switch (placeholder.type) {
+        case 'number':
+            return Number.isFinite(Number(value)) ? null : `"${placeholder.name}" must be a number`;
+        case 'select':
+            return placeholder.options.includes(value) ? null : `"${placeholder.name}" must be one of: ${placeholder.options.join(', ')}`;
+        case 'date': {
+            const date = new Date(`${value}T00:00:00Z`);
+            const isValid = /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date.toISOString().startsWith(value);
+            return isValid ? null : `"${placeholder.name}" must be a date (YYYY-MM-DD)`;
+        }
+        case 'bool':
+            return ['true', 'false'].includes(value) ? null : `"${placeholder.name}" must be true or false`;
+        default:
+            return null;
+    }
+};
+
+/**
+ * Render template nodes to segments: { kind, text, name }, where kind is 'text' (template text),
+ * 'value' (a filled-in value), 'default' (a default in use) or 'missing' (left as written)
+ */
+const renderNodes = (nodes, context) => {
+    return nodes.flatMap(node => {
+        switch (node.type) {
+            case 'text':
+                return [{ kind: 'text', text: node.value }];
+            case 'variable': {
+                // Each occurrence falls back to its own default, as {{name|default}} always has
+                const { name, defaultValue, hasDefault } = node.placeholder;
+                const value = lookup(name, { ...context, defaults: {} });
+                if (value !== undefined && value !== '') {
+                    return [{ kind: 'value', text: applyFilters(value, node.filters), name }];
+                }
+                if (hasDefault) {
+                    return [{ kind: 'default', text: applyFilters(defaultValue, node.filters), name }];
+                }
+                context.missing.add(name);
+                return [{ kind: 'missing', text: node.raw, name }]; // Keep original placeholder if no value provided
+            }
+            case 'if':
+            case 'unless': {
+                const isOn = isTruthy(lookup(node.name, context)) !== (node.type === 'unless');
+                return renderNodes(isOn ? node.body : node.elseBody, context);
+            }
+            case 'partial':
+                return renderNodes(node.nodes, context);
+            case 'each': {
+                const items = toListItems(lookup(node.name, context));
+                if (items.length === 0) {
+                    return renderNodes(node.elseBody, context);
+                }
+                return items.flatMap((item, index) => renderNodes(node.body, {
+                    ...context,
+                    scope: { this: item, '@index': String(index), '@number': String(index + 1) }
+                }));
+            }
+            default:
+                return [];
+        }
+    });
+};
+
+/**
+ * Apply placeholder substitutions, blocks and partials to text (see parseTemplate for options)
+ * Returns object with processed text, any missing placeholders and the rendered segments
+ * (see renderNodes) for highlighting.
+ * Throws an Error with `line` and `column` properties on invalid templates.
+ */
+export const applyPlaceholders = (text, values = {}, options = {}) => {
+    if (!text || typeof text !== 'string') {
+        return { text: text || '', missing: [], segments: [] };
+    }
+
+    const nodes = parseTemplate(text, options);
+    const placeholders = [...collectPlaceholders(nodes, new Map()).values()];
+
+    const defaults = getDefaults(placeholders);
+    const context = { values, defaults, scope: null, missing: new Set() };
+    const segments = renderNodes(nodes, context);
+
+    return {
+        text: segments.map(segment => segment.text).join(''),
+        missing: [...context.missing],
+        segments
+    };
+};
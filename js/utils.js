@@ -19,11 +19,32 @@ export const debounce = (func, wait) => {
 
 /**
  * Sanitize HTML content to prevent XSS
+ * Quotes are escaped too, so the result is also safe inside a quoted attribute.
  */
 export const sanitizeHTML = (str) => {
     const div = document.createElement('div');
     div.textContent = str;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+};
+
+/**
+ * Normalize a (possibly hierarchical) tag: lowercase, with "/" as the only separator.
+ * "Client \\ Acme", "client > acme" and "client::acme" all become "client/acme".
+ */
+export const normalizeTagPath = (tag) => {
+    return tag
+        .toLowerCase()
+        .split(/\s*(?:\/|\\|::|>)\s*/)
+        .map(segment => segment.trim())
+        .filter(segment => segment.length > 0)
+        .join('/');
+};
+
+/**
+ * Check whether a tag equals another tag or is nested below it ("client/acme" is within "client")
+ */
+export const isTagWithin = (tag, parentTag) => {
+    return tag === parentTag || tag.startsWith(parentTag + '/');
 };
 
 /**
@@ -35,7 +56,7 @@ export const sanitizeTags = (tags) => {
     }
     
     return tags
-        .map(tag => typeof tag === 'string' ? tag.trim().toLowerCase() : '')
+        .map(tag => typeof tag === 'string' ? normalizeTagPath(tag) : '')
         .filter(tag => tag.length > 0)
         .filter((tag, index, arr) => arr.indexOf(tag) === index); // Remove duplicates
 };
@@ -153,6 +174,18 @@ export const truncate = (text, maxLength = 100) => {
     return text.substring(0, maxLength).trim() + '...';
 };
 
+/**
+ * Turn text into a lowercase, dash-separated slug ("Café Notes!" becomes "cafe-notes")
+ */
+export const slugify = (text) => {
+    return text
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+};
+
 /**
  * Get first line of text
  */
@@ -168,6 +201,77 @@ export const escapeRegex = (string) => {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 };
 
+/**
+ * Levenshtein edit distance between two strings
+ * Stops early and returns maxDistance + 1 once the distance is known to exceed maxDistance
+ */
+export const levenshtein = (a, b, maxDistance = Infinity) => {
+    if (a === b) return 0;
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const currentRow = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            currentRow[j] = Math.min(
+                previousRow[j] + 1,
+                currentRow[j - 1] + 1,
+                previousRow[j - 1] + cost
+            );
+            rowMin = Math.min(rowMin, currentRow[j]);
+        }
+
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previousRow = currentRow;
+    }
+
+    return previousRow[b.length];
+};
+
+/**
+ * Check whether two names look like typos of each other: equal apart from case and separators
+ * ("first_name", "firstName"), two neighbouring letters swapped ("clinet"), or one edit apart for longer names.
+ * Names that differ only in their digits ("option1", "option2") are not typos.
+ */
+export const isLikelyTypo = (a, b) => {
+    if (a === b || a.replace(/\d/g, '') === b.replace(/\d/g, '')) return false;
+
+    const normalize = (name) => name.toLowerCase().replace(/[\s_.-]/g, '');
+    if (normalize(a) === normalize(b)) return true;
+    if (Math.min(a.length, b.length) < 4) return false;
+
+    const swapAt = [...a].findIndex((char, i) => char !== b[i]);
+    const isSwap = a.length === b.length
+        && a[swapAt] === b[swapAt + 1] && a[swapAt + 1] === b[swapAt]
+        && a.slice(swapAt + 2) === b.slice(swapAt + 2);
+
+    // Short names one letter apart are often both meant ("date", "data")
+    return isSwap || (Math.min(a.length, b.length) >= 5 && levenshtein(a, b, 1) <= 1);
+};
+
+/**
+ * Escape text and wrap the given [start, end) ranges in <mark> elements
+ * Ranges must be sorted and non-overlapping
+ */
+export const highlightMatches = (text, ranges = []) => {
+    if (!text) return '';
+
+    let html = '';
+    let lastIndex = 0;
+
+    ranges.forEach(([start, end]) => {
+        html += sanitizeHTML(text.slice(lastIndex, start));
+        html += `<mark class="bg-yellow-400 bg-opacity-30 text-inherit rounded-sm">${sanitizeHTML(text.slice(start, end))}</mark>`;
+        lastIndex = end;
+    });
+
+    return html + sanitizeHTML(text.slice(lastIndex));
+};
+
 /**
  * Generate hash from string (simple hash for collision detection)
  */
@@ -223,74 +327,249 @@ export const copyToClipboard = async (text) => {
 };
 
 /**
- * Parse placeholders from text content
- * Returns array of unique placeholders with their default values
+ * Parse "name = value" lines into a variables object (blank lines and lines without "=" are skipped)
  */
-export const parsePlaceholders = (text) => {
-    if (!text || typeof text !== 'string') {
-        return [];
-    }
-    
-    // Regex to match {{name}} and {{name|default}}
-    const placeholderRegex = /\{\{([^}|]+)(\|([^}]*))?\}\}/g;
-    const placeholders = new Map();
-    
-    let match;
-    while ((match = placeholderRegex.exec(text)) !== null) {
-        const name = match[1].trim();
-        const defaultValue = match[3] || '';
-        
-        if (name && !placeholders.has(name)) {
-            placeholders.set(name, {
-                name,
-                defaultValue,
-                hasDefault: match[3] !== undefined
-            });
+export const parseVariableLines = (text) => {
+    const variables = {};
+    (text || '').split('\n').forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator === -1) return;
+
+        const name = line.slice(0, separator).trim();
+        if (name) {
+            variables[name] = line.slice(separator + 1).trim();
+        }
+    });
+    return variables;
+};
+
+/**
+ * Format a variables object as "name = value" lines
+ */
+export const formatVariableLines = (variables = {}) => {
+    return Object.entries(variables).map(([name, value]) => `${name} = ${value}`).join('\n');
+};
+
+/**
+ * CSV delimiters offered for import and export, by preference key
+ */
+export const CSV_DELIMITERS = {
+    comma: { label: 'Comma', char: ',' },
+    semicolon: { label: 'Semicolon', char: ';' },
+    tab: { label: 'Tab', char: '\t' }
+};
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields may hold delimiters,
+ * line breaks and doubled quotes). Line endings can be \n or \r\n.
+ */
+export const parseCSV = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
         }
     }
-    
-    return Array.from(placeholders.values());
+
+    // Last row, unless the text ended with a line break
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+};
+
+/**
+ * Format rows of fields as CSV, quoting fields that need it (RFC 4180)
+ */
+export const toCSV = (rows, delimiter = ',') => {
+    const quote = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(delimiter)).join('\r\n');
 };
 
 /**
- * Apply placeholder substitutions to text
- * Returns object with processed text and any missing placeholders
+ * Read a single YAML value: quoted or plain string, number, boolean or null
  */
-export const applyPlaceholders = (text, values = {}) => {
-    if (!text || typeof text !== 'string') {
-        return { text: text || '', missing: [] };
+const parseYamlScalar = (raw) => {
+    const value = raw.trim();
+    if (/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
     }
-    
-    const missing = [];
-    const today = formatDateTime(false);
-    const now = formatDateTime(true);
-    
-    // Add auto values if they exist as placeholders in text
-    const autoValues = { ...values };
-    if (text.includes('{{today}}')) {
-        autoValues.today = today;
+    if (/^'(?:[^']|'')*'$/.test(value)) {
+        return value.slice(1, -1).replace(/''/g, "'");
     }
-    if (text.includes('{{now}}')) {
-        autoValues.now = now;
+
+    const plain = value.replace(/\s+#.*$/, '');
+    if (/^(true|false)$/i.test(plain)) return plain.toLowerCase() === 'true';
+    if (/^(null|~)?$/.test(plain)) return null;
+    if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+    return plain;
+};
+
+/**
+ * Split YAML front matter (between "---" lines at the very start) from a Markdown text
+ * Supports the subset used for prompt metadata: "key: value" pairs with strings, numbers,
+ * booleans and lists ("[a, b]" or "- item" lines). Returns { data, body }.
+ */
+export const parseFrontMatter = (text) => {
+    const match = text.match(/^\uFEFF?---[ \t]*\r?\n([\s\S]*?)\r?\n?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+        return { data: {}, body: text };
     }
-    
-    const processedText = text.replace(/\{\{([^}|]+)(\|([^}]*))?\}\}/g, (match, name, _, defaultValue) => {
-        const trimmedName = name.trim();
-        
-        if (autoValues.hasOwnProperty(trimmedName) && autoValues[trimmedName] !== '') {
-            return autoValues[trimmedName];
+
+    const data = {};
+    let listKey = null;
+
+    match[1].split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+            if (!Array.isArray(data[listKey])) data[listKey] = [];
+            data[listKey].push(parseYamlScalar(item[1]));
+            return;
         }
-        
-        if (defaultValue !== undefined) {
-            return defaultValue;
+
+        const pair = line.match(/^([\w.-]+)\s*:(?:\s+(.*))?$/);
+        if (!pair) return;
+
+        const [, key, value = ''] = pair;
+        listKey = value.trim() === '' ? key : null;
+        if (/^\[.*\]$/.test(value.trim())) {
+            const items = [...value.trim().slice(1, -1).matchAll(/(?:^|,)\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]*)/g)];
+            data[key] = items.map(item => parseYamlScalar(item[1])).filter(item => item !== null && item !== '');
+        } else {
+            data[key] = parseYamlScalar(value);
         }
-        
-        missing.push(trimmedName);
-        return match; // Keep original placeholder if no value provided
     });
-    
-    return {
-        text: processedText,
-        missing: [...new Set(missing)] // Remove duplicates
-    };
+
+    return { data, body: text.slice(match[0].length) };
+};
+
+/**
+ * Write a YAML value, quoting strings that would otherwise read back differently
+ */
+const formatYamlValue = (value, inList = false) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => formatYamlValue(item, true)).join(', ')}]`;
+    }
+    if (typeof value !== 'string') {
+        return String(value);
+    }
+
+    const needsQuotes = value === '' ||
+        value !== value.trim() ||
+        /^[-?:,[\]{}#&*!|>'"%@`]/.test(value) ||
+        /: |\s#|[\n\r\t\\]/.test(value) ||
+        (inList && /[,[\]]/.test(value)) ||
+        /^(true|false|null|~|-?\d+(\.\d+)?)$/i.test(value);
+    return needsQuotes ? JSON.stringify(value) : value;
+};
+
+/**
+ * Write YAML front matter for a Markdown file (read back with parseFrontMatter)
+ * Undefined and null values are left out.
+ */
+export const toFrontMatter = (data) => {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}: ${formatYamlValue(value)}`);
+    return `---\n${lines.join('\n')}\n---\n`;
+};
+
+/**
+ * Compute a line-level diff between two texts (LCS based)
+ * Returns array of { type: 'same' | 'added' | 'removed', line }
+ */
+export const diffLines = (oldText = '', newText = '') => {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+
+    // Skip the common prefix and suffix so the LCS table stays small
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+
+    // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Array(newMiddle.length + 1).fill(0));
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+        for (let j = newMiddle.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldMiddle[i] === newMiddle[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const diff = oldLines.slice(0, start).map(line => ({ type: 'same', line }));
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length && j < newMiddle.length) {
+        if (oldMiddle[i] === newMiddle[j]) {
+            diff.push({ type: 'same', line: oldMiddle[i] });
+            i++;
+            j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            diff.push({ type: 'removed', line: oldMiddle[i] });
+            i++;
+        } else {
+            diff.push({ type: 'added', line: newMiddle[j] });
+            j++;
+        }
+    }
+    while (i < oldMiddle.length) {
+        diff.push({ type: 'removed', line: oldMiddle[i++] });
+    }
+    while (j < newMiddle.length) {
+        diff.push({ type: 'added', line: newMiddle[j++] });
+    }
+
+    oldLines.slice(oldEnd).forEach(line => diff.push({ type: 'same', line }));
+
+    return diff;
 };
@@ -0,0 +1,183 @@
+/**
+ * ZIP module - minimal ZIP archive writer (stored entries, no compression) and reader, fully client-side
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 checksum of bytes
+ */
+const crc32 = (bytes) => {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Date and time in MS-DOS format, as stored in ZIP headers
+ */
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+/**
+ * Create a ZIP archive from files: [{ name, content }] where content is a string or Uint8Array
+ * Names may contain "/" for folders. Returns the archive as a Uint8Array.
+ */
+export const createZip = (files, modified = new Date()) => {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = encoder.encode(name);
+        const data = typeof content === 'string' ? encoder.encode(content) : content;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);           // version needed
+        local.setUint16(6, 0x0800, true);       // UTF-8 names
+        local.setUint16(8, 0, true);            // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);         // version made by
+        central.setUint16(6, 20, true);         // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);    // extra, comment, disk and attributes stay 0
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const archive = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+
+    return archive;
+};
+
+/**
+ * Inflate raw DEFLATE data (compression method 8) with the browser's DecompressionStream
+ */
+const inflateRaw = async (bytes) => {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot read compressed ZIP files');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Read a ZIP archive (Uint8Array or ArrayBuffer) into files: [{ name, content }] with content as a Uint8Array
+ * Stored and deflated entries are supported; folder entries are left out.
+ */
+export const readZip = async (data) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record is the last 22 bytes, unless the archive has a comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a ZIP archive');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (count === 0xFFFF || offset === 0xFFFFFFFF) {
+        throw new Error('ZIP64 archives are not supported');
+    }
+
+    const files = [];
+    for (let index = 0; index < count; index++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('The ZIP archive is damaged');
+        }
+
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (flags & 0x1) {
+            throw new Error(`"${name}" is encrypted`);
+        }
+
+        // File data follows the local header, whose name and extra field lengths may differ from the central ones
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        let content;
+        if (method === 0) {
+            content = stored.slice();
+        } else if (method === 8) {
+            content = await inflateRaw(stored);
+        } else {
+            throw new Error(`"${name}" uses an unsupported compression method`);
+        }
+
+        if (crc32(content) !== crc) {
+            throw new Error(`"${name}" is damaged (checksum mismatch)`);
+        }
+        files.push({ name, content });
+    }
+
+    return files;
+};
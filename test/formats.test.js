@@ -0,0 +1,142 @@
+/**
+ * Tests for the code export targets in js/formats.js
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { convertPrompts, EXPORT_TARGETS } from '../js/formats.js';
+import { applyPlaceholders } from '../js/template.js';
+
+const TEMPLATE = [
+    '### System',
+    '',
+    'You answer in a {{tone!upper|friendly}} tone.',
+    '',
+    '### User',
+    '',
+    '{{#if short}}Keep it brief.{{else}}Be thorough.{{/if}}',
+    '{{#each points}}- {{@number}}. {{this!trim}}',
+    '{{/each}}'
+].join('\n');
+
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+
+const toItems = (...prompts) => prompts.map(prompt => ({ prompt: { id: prompt.title, tags: [], ...prompt }, options: {} }));
+
+/**
+ * Load a generated JavaScript module
+ */
+const importModule = (source) => import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+
+/**
+ * Call a function of a generated Python module with keyword arguments, returning its result
+ */
+const runPython = (source, functionName, values) => {
+    const script = `${source}\nimport json, sys\nprint(json.dumps(${functionName}(**json.loads(sys.argv[1]))))`;
+    const result = spawnSync('python3', ['-c', script, JSON.stringify(values)], { encoding: 'utf8' });
+    assert.equal(result.status, 0, result.stderr);
+    return JSON.parse(result.stdout);
+};
+
+/**
+ * Values to check the generated code against PromptBoard's renderer
+ */
+const CASES = [
+    {},
+    { short: 'yes', points: ' a \nb', tone: 'calm' },
+    { short: 'false', points: '', tone: '' },
+    { short: 'no', points: 'one' }
+];
+
+test('every target converts a template with #if, #each and a filter', () => {
+    Object.keys(EXPORT_TARGETS).filter(target => target !== 'string-template').forEach(target => {
+        const { content } = convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), target);
+        assert.ok(content.length > 0, target);
+    });
+});
+
+test('messages targets keep blocks and filters as written and warn about them', () => {
+    ['openai', 'anthropic'].forEach(target => {
+        const { content, warnings } = convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), target);
+        const payload = JSON.parse(content);
+        const text = JSON.stringify(payload);
+        assert.match(text, /\{\{tone!upper\|friendly\}\}/);
+        assert.match(text, /\{\{#if short\}\}Keep it brief\.\{\{else\}\}Be thorough\.\{\{\/if\}\}/);
+        assert.match(text, /\{\{#each points\}\}/);
+        assert.equal(warnings.length, 1);
+    });
+
+    const anthropic = JSON.parse(convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), 'anthropic').content);
+    assert.equal(anthropic.system, 'You answer in a {{tone!upper|friendly}} tone.');
+    assert.equal(anthropic.messages[0].role, 'user');
+});
+
+test('messages targets inline partials and need no warning for plain placeholders', () => {
+    const partial = { id: 'sig', title: 'Sig', content: '-- {{sender}}' };
+    const items = [{
+        prompt: { id: 'p', title: 'Greeting', tags: [], content: 'Hello {{name|friend}}\n{{> Sig}}' },
+        options: { resolvePartial: (reference) => reference === 'Sig' ? partial : null, trail: [] }
+    }];
+    const { content, warnings } = convertPrompts(items, 'openai');
+    assert.equal(JSON.parse(content).messages[0].content, 'Hello {{name|friend}}\n-- {{sender}}');
+    assert.deepEqual(warnings, []);
+});
+
+test('the JavaScript target renders like PromptBoard, left-out values included', async () => {
+    const { content } = convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), 'js');
+    const { review } = await importModule(content);
+
+    CASES.forEach(values => assert.equal(review(values), applyPlaceholders(TEMPLATE, values).text));
+    assert.equal(review({ points: ['a', 'b'] }), applyPlaceholders(TEMPLATE, { points: 'a\nb' }).text);
+});
+
+test('bool defaults apply only when the value is left out', async () => {
+    const content = '{{flag:bool=yes}}{{#if flag}}on{{else}}off{{/if}}';
+    const { flagged } = await importModule(convertPrompts(toItems({ title: 'Flagged', content }), 'js').content);
+    assert.equal(flagged(), 'trueon');
+    assert.equal(flagged({ flag: 'false' }), 'falseoff');
+});
+
+test('the Python f-string target renders like PromptBoard', { skip: !hasPython && 'python3 not found' }, () => {
+    const { content } = convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), 'fstring');
+    CASES.forEach(values => assert.equal(runPython(content, 'review', values), applyPlaceholders(TEMPLATE, values).text));
+});
+
+test('the Jinja2 and Python targets translate blocks and filters', () => {
+    const jinja = convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), 'jinja2').content;
+    assert.match(jinja, /\{% if /);
+    assert.match(jinja, /\{% for item in /);
+    assert.match(jinja, /\| upper/);
+
+    const python = convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), 'fstring').content;
+    assert.match(python, /def review\(\*, /);
+    assert.match(python, /for index, item in enumerate\(/);
+    assert.match(python, /\.upper\(\)/);
+});
+
+test('string.Template refuses blocks', () => {
+    assert.throws(() => convertPrompts(toItems({ title: 'Review', content: TEMPLATE }), 'string-template'), /no #if or #each blocks/);
+});
+
+test('Jinja2 macros rename placeholders that clash with Python keywords', () => {
+    const items = toItems({ title: 'Keys', content: '{{class}} {{for}} {{from}}' }, { title: 'Other', content: 'Plain' });
+    const { content } = convertPrompts(items, 'jinja2');
+    assert.match(content, /\{% macro keys\(class_, for_, from_\) -%\}/);
+    assert.match(content, /\{\{ class_ \}\} \{\{ for_ \}\} \{\{ from_ \}\}/);
+});
+
+test('truncate keeps the same number of characters in every target', () => {
+    const content = '{{note!truncate:5}}';
+    const jinja = convertPrompts(toItems({ title: 'Short', content }), 'jinja2').content;
+    assert.doesNotMatch(jinja, /truncate\(/);
+    assert.match(jinja, /\[:5\]/);
+    assert.match(convertPrompts(toItems({ title: 'Short', content }), 'fstring').content, /\[:5\]/);
+    assert.match(convertPrompts(toItems({ title: 'Short', content }), 'js').content, /\.slice\(0, 5\)/);
+});
+
+test('the Python target skips empty text between blocks', () => {
+    const { content } = convertPrompts(toItems({ title: 'Gaps', content: '{{#if a}}\nx\n{{/if}}\n{{b}}' }), 'fstring');
+    assert.doesNotMatch(content, /parts\.append\(f?""""""\)/);
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for the prompt library logic, on an in-memory storage backend
+ * Run with: node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+
+const { initStorage } = await import('../js/storage.js');
+const { getPreferences, setPreferences } = await import('../js/storage.js');
+const { createPrompt, updatePrompt, getAllPrompts, previewImport, batchCreatePrompts, deleteTag, mergeTags, setTagColor, renderPromptBatch, deletePrompt, getManagedTags, getTrashedPrompts, getPromptUsages, getPromptTemplateError, detectPromptPlaceholders, renderPromptPreview } = await import('../js/logic.js');
+
+beforeEach(async () => {
+    store.clear();
+    await initStorage({ name: 'memory', load: async () => ({ prompts: [] }), save: () => {} });
+});
+
+const toExport = (prompt) => JSON.parse(JSON.stringify(prompt));
+
+test('an older export of a prompt edited since is identical, not a conflict', () => {
+    const prompt = createPrompt({ title: 'Summary', content: 'Summarize {{text}}' });
+    const exported = toExport(prompt);
+    updatePrompt(prompt.id, { content: 'Summarize {{text}} in three bullets' });
+
+    const [item] = previewImport([exported]);
+    assert.equal(item.status, 'identical');
+
+    const results = batchCreatePrompts([exported]);
+    assert.deepEqual([results.created, results.updated, results.skipped], [0, 0, 1]);
+    assert.equal(getAllPrompts()[0].content, 'Summarize {{text}} in three bullets');
+});
+
+test('an import edited on top of our version is still an update', () => {
+    const prompt = createPrompt({ title: 'Summary', content: 'Summarize {{text}}' });
+    const exported = toExport(prompt);
+    exported.content = 'Summarize {{text}} in one line';
+    exported.history.push({ ...exported.history[0], id: 'theirs', content: exported.content });
+
+    assert.equal(previewImport([exported])[0].status, 'updated');
+});
+
+test('an id repeated in the same file is previewed and imported once', () => {
+    const first = { id: '5f0c6a52-3b1e-4c7a-9d2f-8e4b1a6c7d90', title: 'Greeting', content: 'Hello {{name}}', tags: [] };
+    const second = { ...first, content: 'Hi {{name}}' };
+
+    assert.deepEqual(previewImport([first, second]).map(item => item.status), ['new', 'identical']);
+
+    const results = batchCreatePrompts([first, second]);
+    assert.deepEqual([results.created, results.updated, results.skipped], [1, 0, 1]);
+    assert.equal(getAllPrompts().length, 1);
+    assert.equal(getAllPrompts()[0].content, 'Hello {{name}}');
+});
+
+test('deleting a tag removes the tags nested under it too', () => {
+    createPrompt({ title: 'Email', content: 'Hi', tags: ['client', 'client/acme', 'client/acme/email', 'clients', 'draft'] });
+    setTagColor('client/acme', 'blue');
+
+    assert.equal(deleteTag('client'), 1);
+    assert.deepEqual(getAllPrompts()[0].tags, ['clients', 'draft']);
+    assert.deepEqual(getPreferences().tagColors, {});
+});
+
+test('a tag change that cannot save preferences leaves the prompts as they were', () => {
+    createPrompt({ title: 'Email', content: 'Hi', tags: ['gpt4'] });
+    setTagColor('gpt4', 'green');
+    setPreferences({ ...getPreferences(), savedCollections: [{ id: 'c', name: 'Models', tags: ['gpt4'] }] });
+
+    const setItem = localStorage.setItem;
+    localStorage.setItem = () => { throw new Error('Quota exceeded'); };
+    try {
+        assert.throws(() => mergeTags(['gpt4'], 'gpt-4'), /Failed to update tags/);
+    } finally {
+        localStorage.setItem = setItem;
+    }
+
+    assert.deepEqual(getAllPrompts()[0].tags, ['gpt4']);
+    assert.deepEqual(getPreferences().tagColors, { gpt4: 'green' });
+
+    assert.equal(mergeTags(['gpt4'], 'gpt-4'), 1);
+    assert.deepEqual(getAllPrompts()[0].tags, ['gpt-4']);
+    assert.deepEqual(getPreferences().tagColors, { 'gpt-4': 'green' });
+    assert.deepEqual(getPreferences().savedCollections[0].tags, ['gpt-4']);
+});
+
+test('batch rows are checked against the placeholder types', async () => {
+    const prompt = createPrompt({ title: 'Order', content: '{{count:number}} x {{size:select=S,M,L}} for {{name}}' });
+    const rows = [
+        { count: '2', size: 'M', name: 'Ada' },
+        { count: 'abc', size: 'XL', name: 'Bob' },
+        { count: '3', size: 'S', name: '' }
+    ];
+    const mapping = { count: 'count', size: 'size', name: 'name' };
+
+    const results = await renderPromptBatch(prompt.id, rows, mapping);
+
+    assert.deepEqual(results.map(result => result.invalid), [
+        [],
+        ['"count" must be a number', '"size" must be one of: S, M, L'],
+        []
+    ]);
+    assert.deepEqual(results.map(result => result.missing), [[], [], ['name']]);
+});
+
+test('imported ids that are not uuids are replaced', () => {
+    const results = batchCreatePrompts([{ id: 'x" onmouseover="alert(1)', title: 'Sneaky', content: 'Hi', tags: [] }]);
+
+    assert.equal(results.created, 1);
+    assert.match(getAllPrompts()[0].id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+});
+
+test('the tag manager lists tags only used in trash, and changes reach them', () => {
+    createPrompt({ title: 'Live', content: 'Hi', tags: ['shared'] });
+    const trashed = createPrompt({ title: 'Binned', content: 'Bye', tags: ['shared', 'old'] });
+    deletePrompt(trashed.id);
+
+    assert.deepEqual(getManagedTags(), [{ tag: 'shared', count: 2 }, { tag: 'old', count: 1 }]);
+
+    assert.equal(deleteTag('old'), 1);
+    assert.deepEqual(getTrashedPrompts()[0].tags, ['shared']);
+    assert.deepEqual(getManagedTags(), [{ tag: 'shared', count: 2 }]);
+});
+
+test('saved prompts list where they are included, and cycles through them are caught', () => {
+    const signature = createPrompt({ title: 'Signature', content: 'Regards' });
+    const email = createPrompt({ title: 'Email', content: 'Hi\n{{> signature}}' });
+    const followUp = createPrompt({ title: 'Follow-up', content: `{{> id:${email.id}}}` });
+
+    assert.deepEqual(getPromptUsages(signature.id).map(({ title, via, byTitle }) => [title, via, byTitle]), [
+        ['Email', null, true],
+        ['Follow-up', 'Email', false]
+    ]);
+    assert.match(getPromptTemplateError('{{> Follow-up}}', signature.id), /Include cycle: "Signature" → "Follow-up" → "Email" → "Signature"/);
+    assert.equal(getPromptTemplateError(followUp.content, followUp.id), null);
+});
+
+test('plain text prompts have no placeholders and render as written', () => {
+    const prompt = createPrompt({ title: 'Handlebars guide', content: 'Use {{#each items}}{{this}}{{/each}}', noPlaceholders: true });
+
+    assert.deepEqual(detectPromptPlaceholders(prompt.id), []);
+    assert.equal(renderPromptPreview(prompt.content, { promptId: prompt.id, noPlaceholders: true }).text, 'Use {{#each items}}{{this}}{{/each}}');
+});
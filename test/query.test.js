@@ -0,0 +1,19 @@
+/**
+ * Tests for the search query syntax in js/query.js
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from '../js/query.js';
+
+test('date filters accept real calendar days', () => {
+    assert.equal(parseQuery('updated:>=2024-02-29').type, 'date');
+    assert.equal(parseQuery('created:2025-12-31').type, 'date');
+});
+
+test('date filters reject days that do not exist instead of rolling them over', () => {
+    ['updated:2025-13-45', 'updated:2025-02-29', 'created:<2025-04-31', 'created:2025-00-10', 'updated:2025-01-00'].forEach(query => {
+        assert.throws(() => parseQuery(query), (error) => /Invalid date/.test(error.message) && error.position === 0, query);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for storage, state migration and history normalization in js/storage.js
+ * Run with: node --test test/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.localStorage = {
+    getItem: (key) => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key)
+};
+
+const { initStorage, getState, setState, migrate, normalizeHistory, isUuid } = await import('../js/storage.js');
+
+const LEGACY_KEY = 'promptboard:v1';
+
+/**
+ * An in-memory stand-in for the IndexedDB adapter: one record per prompt, saved by diff
+ */
+const createMemoryDatabase = (prompts = []) => {
+    const records = new Map(prompts.map(prompt => [prompt.id, prompt]));
+    return {
+        records,
+        name: 'indexeddb',
+        load: async () => ({ prompts: [...records.values()] }),
+        save: async (state, { upserts, deletes }) => {
+            upserts.forEach(prompt => records.set(prompt.id, prompt));
+            deletes.forEach(id => records.delete(id));
+        }
+    };
+};
+
+const legacyPrompt = (id, title) => ({ id, title, content: `${title} {{name}}`, tags: ['legacy'], createdAt: 1, updatedAt: 2 });
+
+beforeEach(() => store.clear());
+
+test('revision ids that are not uuids are regenerated', () => {
+    const kept = '0b6f2c1e-93a4-4f0d-8c5e-2d7a9b3e1f46';
+    const history = normalizeHistory([
+        { id: kept, title: 'A', content: 'a', tags: [], savedAt: 1 },
+        { id: 42, title: 'B', content: 'b', tags: [], savedAt: 2 },
+        { id: '" onfocus="alert(1)', title: 'C', content: 'c', tags: [], savedAt: 3 },
+        { title: 'D', content: 'd', tags: [], savedAt: 4 }
+    ]);
+
+    assert.equal(history[0].id, kept);
+    history.slice(1).forEach(revision => assert.ok(isUuid(revision.id), revision.title));
+    assert.equal(new Set(history.map(revision => revision.id)).size, 4);
+});
+
+test('the localStorage blob moves into IndexedDB on first start', async () => {
+    store.set(LEGACY_KEY, JSON.stringify({ version: 1, prompts: [legacyPrompt('a', 'First'), legacyPrompt('b', 'Second')] }));
+    const database = createMemoryDatabase();
+
+    assert.equal(await initStorage(database), 'indexeddb');
+
+    assert.deepEqual([...database.records.keys()], ['a', 'b']);
+    assert.equal(store.has(LEGACY_KEY), false);
+    assert.deepEqual(getState().prompts.map(prompt => prompt.title), ['First', 'Second']);
+});
+
+test('migration keeps prompts already in IndexedDB', async () => {
+    store.set(LEGACY_KEY, JSON.stringify({ prompts: [legacyPrompt('a', 'Old copy'), legacyPrompt('b', 'Second')] }));
+    const database = createMemoryDatabase([migrate({ prompts: [legacyPrompt('a', 'Newer')] }).prompts[0]]);
+
+    await initStorage(database);
+
+    assert.equal(database.records.get('a').title, 'Newer');
+    assert.equal(database.records.get('b').title, 'Second');
+});
+
+test('saves only write the prompts that changed', async () => {
+    const database = createMemoryDatabase(migrate({ prompts: [legacyPrompt('a', 'First'), legacyPrompt('b', 'Second')] }).prompts);
+    await initStorage(database);
+    const saved = [];
+    database.save = async (state, changes) => saved.push(changes);
+
+    const state = getState();
+    state.prompts = [{ ...state.prompts[0], title: 'Renamed' }];
+    assert.equal(setState(state), true);
+
+    assert.deepEqual(saved.map(({ upserts, deletes }) => [upserts.map(prompt => prompt.id), deletes]), [[['a'], ['b']]]);
+});
+
+test('a database that fails to open falls back to localStorage', async () => {
+    store.set(LEGACY_KEY, JSON.stringify({ prompts: [legacyPrompt('a', 'First')] }));
+
+    const name = await initStorage({ name: 'indexeddb', load: async () => { throw new Error('blocked'); }, save: () => {} });
+
+    assert.equal(name, 'localStorage');
+    assert.deepEqual(getState().prompts.map(prompt => prompt.title), ['First']);
+});
+
+test('migrate turns stored dates into timestamps', () => {
+    const [prompt] = migrate({ prompts: [{ id: 'a', title: 'Dated', createdAt: '2025-01-02T00:00:00Z', updatedAt: { bad: true }, deletedAt: 'never' }] }).prompts;
+
+    assert.equal(prompt.createdAt, Date.parse('2025-01-02T00:00:00Z'));
+    assert.equal(typeof prompt.updatedAt, 'number');
+    assert.equal(prompt.deletedAt, null);
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for the template syntax in js/template.js
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyPlaceholders, parsePlaceholders, getTemplateError, lintTemplate, validatePlaceholderValue, getPartialReferences, hasTemplateSyntax } from '../js/template.js';
+
+test('names with "!" that are not filters stay plain placeholders', () => {
+    const content = '{{wow!}} {{hey!you}} {{a!upper!nope|fallback}}';
+
+    assert.equal(getTemplateError(content), null);
+    assert.deepEqual(parsePlaceholders(content).map(placeholder => placeholder.name), ['wow!', 'hey!you', 'a!upper!nope']);
+    assert.equal(applyPlaceholders(content, { 'wow!': 'W', 'hey!you': 'Y' }).text, 'W Y fallback');
+});
+
+test('registered filters still apply', () => {
+    assert.equal(applyPlaceholders('{{name!upper!truncate:3|abc}}', { name: 'bobby' }).text, 'BOB...');
+    assert.equal(applyPlaceholders('{{name!trim|nobody}}', {}).text, 'nobody');
+});
+
+test('a name one typo away from a filter gets a warning, not an error', () => {
+    const diagnostics = lintTemplate('{{notes!trucnate:200}}');
+
+    assert.deepEqual(diagnostics.map(item => item.severity), ['warning']);
+    assert.match(diagnostics[0].message, /did you mean "!truncate"/);
+});
+
+const pick = (placeholder) => ({
+    name: placeholder.name,
+    type: placeholder.type,
+    options: placeholder.options,
+    defaultValue: placeholder.defaultValue,
+    hasDefault: placeholder.hasDefault
+});
+
+test('typed placeholders read their type, choices and defaults', () => {
+    const content = '{{tone:select=formal, casual}} {{count:number=3}} {{notes:text}} {{due : date}} {{short:bool=yes}} {{items:list}} {{at:12}}';
+
+    assert.deepEqual(parsePlaceholders(content).map(pick), [
+        { name: 'tone', type: 'select', options: ['formal', 'casual'], defaultValue: '', hasDefault: false },
+        { name: 'count', type: 'number', options: [], defaultValue: '3', hasDefault: true },
+        { name: 'notes', type: 'text', options: [], defaultValue: '', hasDefault: false },
+        { name: 'due', type: 'date', options: [], defaultValue: '', hasDefault: false },
+        { name: 'short', type: 'bool', options: [], defaultValue: 'true', hasDefault: true },
+        { name: 'items', type: 'list', options: [], defaultValue: '', hasDefault: false },
+        { name: 'at:12', type: 'string', options: [], defaultValue: '', hasDefault: false }
+    ]);
+});
+
+test('a select takes its default after "|" and a later typed occurrence defines the field', () => {
+    const [tone] = parsePlaceholders('{{tone|casual}} then {{tone:select=formal,casual}}');
+
+    assert.deepEqual(pick(tone), { name: 'tone', type: 'select', options: ['formal', 'casual'], defaultValue: 'casual', hasDefault: true });
+    assert.equal(applyPlaceholders('{{tone:select=formal,casual|casual}}', {}).text, 'casual');
+    assert.equal(applyPlaceholders('{{count:number=3}} items', { count: '5' }).text, '5 items');
+    assert.equal(applyPlaceholders('{{count:number=3}} items', {}).text, '3 items');
+});
+
+test('values are checked against the placeholder type', () => {
+    const [count, tone, due, flag, notes] = parsePlaceholders('{{count:number}}{{tone:select=a,b}}{{due:date}}{{flag:bool}}{{notes:text}}');
+
+    assert.equal(validatePlaceholderValue(count, '4.5'), null);
+    assert.equal(validatePlaceholderValue(count, 'abc'), '"count" must be a number');
+    assert.equal(validatePlaceholderValue(tone, 'b'), null);
+    assert.equal(validatePlaceholderValue(tone, 'c'), '"tone" must be one of: a, b');
+    assert.equal(validatePlaceholderValue(due, '2024-02-29'), null);
+    assert.equal(validatePlaceholderValue(due, '2025-02-29'), '"due" must be a date (YYYY-MM-DD)');
+    assert.equal(validatePlaceholderValue(flag, 'false'), null);
+    assert.equal(validatePlaceholderValue(flag, 'maybe'), '"flag" must be true or false');
+    assert.equal(validatePlaceholderValue(notes, 'anything\ngoes'), null);
+    assert.equal(validatePlaceholderValue(count, ''), null);
+});
+
+test('#if and #unless pick a branch by PromptBoard truthiness', () => {
+    const content = '{{#if short}}Brief{{else}}Detailed{{/if}} / {{#unless short}}long{{/unless}}';
+
+    assert.equal(applyPlaceholders(content, { short: 'yes' }).text, 'Brief / ');
+    ['', 'false', 'No', ' off ', '0'].forEach(value => {
+        assert.equal(applyPlaceholders(content, { short: value }).text, 'Detailed / long', JSON.stringify(value));
+    });
+});
+
+test('#each repeats for every line, with this, @index and @number, and falls back to else', () => {
+    const content = '{{#each points}}{{@number}}. {{this}} ({{@index}})\n{{else}}No points{{/each}}';
+
+    assert.equal(applyPlaceholders(content, { points: 'Alpha\n\n  Beta  \n' }).text, '1. Alpha (0)\n2. Beta (1)\n');
+    assert.equal(applyPlaceholders(content, { points: '' }).text, 'No points');
+});
+
+test('blocks nest, and block tags alone on a line leave no blank line', () => {
+    const content = [
+        'Review:',
+        '{{#each files}}',
+        '{{#if strict}}',
+        '- {{this!upper}} strictly',
+        '{{else}}',
+        '- {{this}}',
+        '{{/if}}',
+        '{{/each}}',
+        'Done'
+    ].join('\n');
+
+    assert.equal(applyPlaceholders(content, { files: 'a.js\nb.js', strict: 'on' }).text, 'Review:\n- A.JS strictly\n- B.JS strictly\nDone');
+    assert.equal(applyPlaceholders(content, { files: 'a.js', strict: '' }).text, 'Review:\n- a.js\nDone');
+});
+
+test('only the placeholders a block reaches are asked for once values are known', () => {
+    const content = '{{#if detailed}}{{depth:number}}{{else}}{{summary}}{{/if}}';
+
+    assert.deepEqual(parsePlaceholders(content).map(placeholder => placeholder.name), ['detailed', 'depth', 'summary']);
+    assert.deepEqual(parsePlaceholders(content, { detailed: 'yes' }).map(placeholder => placeholder.name), ['detailed', 'depth']);
+    assert.deepEqual(parsePlaceholders(content, { detailed: '' }).map(placeholder => placeholder.name), ['detailed', 'summary']);
+});
+
+test('broken block structure is reported with its position', () => {
+    const cases = [
+        ['{{#if a}}open', /Unclosed "\{\{#if a\}\}" \(line 1, column 1\)/],
+        ['text\n{{/each}}', /"\{\{\/each\}\}" without a matching "\{\{#each\}\}" \(line 2, column 1\)/],
+        ['{{#if a}}{{/each}}', /does not close "\{\{#if a\}\}"/],
+        ['{{else}}', /"\{\{else\}\}" outside of a block/],
+        ['{{#if a}}x{{else}}y{{else}}z{{/if}}', /Second "\{\{else\}\}"/],
+        ['{{#with a}}{{/with}}', /Unknown block "\{\{#with\}\}"/],
+        ['{{#if a b}}{{/if}}', /needs a single variable name/]
+    ];
+
+    cases.forEach(([content, message]) => assert.match(getTemplateError(content), message, content));
+});
+
+const LIBRARY = [
+    { id: 'sig', title: 'Signature', content: 'Regards,\n{{sender|The team}}' },
+    { id: 'raw', title: 'Raw', content: 'Use {{name}} as is', noPlaceholders: true },
+    { id: 'a', title: 'Loop A', content: 'A {{> Loop B}}' },
+    { id: 'b', title: 'Loop B', content: 'B {{> id:a}}' },
+    { id: 'self', title: 'Self', content: 'me {{> Self}}' },
+    { id: 'broken', title: 'Broken', content: '{{#if x}}' }
+];
+
+const resolvePartial = (reference) => reference.startsWith('id:')
+    ? LIBRARY.find(prompt => prompt.id === reference.slice(3)) || null
+    : LIBRARY.find(prompt => prompt.title === reference) || null;
+
+const partialOptions = (id = null) => ({
+    resolvePartial,
+    trail: id ? [LIBRARY.find(prompt => prompt.id === id)] : []
+});
+
+test('partials are included by title or id, with their placeholders', () => {
+    const content = 'Hi {{name}},\n{{> Signature}}\n{{> id:raw}}';
+
+    assert.deepEqual(getPartialReferences(content), ['Signature', 'id:raw']);
+    assert.deepEqual(parsePlaceholders(content, null, partialOptions()).map(placeholder => placeholder.name), ['name', 'sender']);
+    assert.equal(applyPlaceholders(content, { name: 'Ada' }, partialOptions()).text, 'Hi Ada,\nRegards,\nThe team\nUse {{name}} as is');
+});
+
+test('without a resolver partials are left as written', () => {
+    assert.equal(applyPlaceholders('{{> Signature}}', {}).text, '{{> Signature}}');
+});
+
+test('include cycles are errors, direct or through other prompts', () => {
+    assert.match(getTemplateError(LIBRARY[2].content, partialOptions('a')), /Include cycle: "Loop A" → "Loop B" → "Loop A"/);
+    assert.match(getTemplateError('{{> Self}}', partialOptions('self')), /Include cycle: "Self" → "Self"/);
+    assert.match(getTemplateError('{{> Loop A}}', partialOptions()), /In "Loop A" at line 1, column 3: In "Loop B".*Include cycle/);
+});
+
+test('missing or broken partials are warnings in the lint, not errors', () => {
+    const [missing] = lintTemplate('{{> Nowhere}}', partialOptions());
+    assert.equal(missing.severity, 'warning');
+    assert.match(missing.message, /No prompt found for "\{\{> Nowhere\}\}"/);
+
+    const [broken] = lintTemplate('x\n{{> Broken}}', partialOptions());
+    assert.deepEqual([broken.severity, broken.line], ['warning', 2]);
+    assert.match(broken.message, /In "Broken" at line 1, column 1: Unclosed/);
+});
+
+test('an escaped \\{{ is written as {{ and is no placeholder', () => {
+    const content = 'Write \\{{name}} for {{name}}';
+
+    assert.deepEqual(parsePlaceholders(content).map(placeholder => placeholder.name), ['name']);
+    assert.equal(applyPlaceholders(content, { name: 'Ada' }).text, 'Write {{name}} for Ada');
+});
+
+test('raw blocks keep everything inside as written', () => {
+    const content = 'Example:\n{{{{raw}}}}\n{{#if x}}{{y}}{{/if}} \\{{z}}\n{{{{/raw}}}}\n{{name}}';
+
+    assert.deepEqual(parsePlaceholders(content).map(placeholder => placeholder.name), ['name']);
+    assert.equal(applyPlaceholders(content, { name: 'Ada' }).text, 'Example:\n{{#if x}}{{y}}{{/if}} \\{{z}}\nAda');
+    assert.match(getTemplateError('{{{{raw}}}}{{x}}'), /Unclosed "\{\{\{\{raw\}\}\}\}"/);
+    assert.match(getTemplateError('x{{{{/raw}}}}'), /without a matching "\{\{\{\{raw\}\}\}\}"/);
+});
+
+test('hasTemplateSyntax tells plain text from text that renders differently', () => {
+    assert.equal(hasTemplateSyntax('Just { braces } and }} here'), false);
+    assert.equal(hasTemplateSyntax('{{name}}'), true);
+    assert.equal(hasTemplateSyntax('\\{{name}}'), true);
+    assert.equal(hasTemplateSyntax('{{{{raw}}}}x{{{{/raw}}}}'), true);
+});
@@ -0,0 +1,64 @@
+/**
+ * Tests for the shared helpers in js/utils.js
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCSV, toCSV, CSV_DELIMITERS, parseFrontMatter, toFrontMatter } from '../js/utils.js';
+
+const ROWS = [
+    ['title', 'content', 'tags'],
+    ['Multi, "quoted"', 'Line 1\nLine "2", with comma;semi\n\tTabbed', 'work, x/y'],
+    ['Empty fields', '', ''],
+    ['Windows', 'one\r\ntwo', 'a']
+];
+
+test('CSV round-trips quotes, delimiters and line breaks with every delimiter', () => {
+    Object.values(CSV_DELIMITERS).forEach(({ char }) => {
+        assert.deepEqual(parseCSV(toCSV(ROWS, char), char), ROWS, JSON.stringify(char));
+    });
+});
+
+test('toCSV quotes only the fields that need it', () => {
+    assert.equal(toCSV([['plain', 'a,b', 'say "hi"', null, 3]]), 'plain,"a,b","say ""hi""",,3');
+    assert.equal(toCSV([['a,b', 'c;d']], ';'), 'a,b;"c;d"');
+    assert.equal(toCSV([['x'], ['y']]), 'x\r\ny');
+});
+
+test('parseCSV reads RFC 4180 quoting and both line endings', () => {
+    assert.deepEqual(parseCSV('a,"b\r\nc",d\r\n"e ""f""",,g\n'), [['a', 'b\r\nc', 'd'], ['e "f"', '', 'g']]);
+    assert.deepEqual(parseCSV('a,b\nc'), [['a', 'b'], ['c']]);
+    assert.deepEqual(parseCSV('a,b,\n'), [['a', 'b', '']]);
+    assert.deepEqual(parseCSV(''), []);
+});
+
+test('a quote inside an unquoted field is kept as written', () => {
+    assert.deepEqual(parseCSV('5" screen,ok'), [['5" screen', 'ok']]);
+});
+
+test('front matter round-trips prompt metadata', () => {
+    const data = {
+        id: '0b6f2c1e-93a4-4f0d-8c5e-2d7a9b3e1f46',
+        title: 'Review: "draft" #2',
+        tags: ['team/docs', 'a, b'],
+        noPlaceholders: true,
+        createdAt: '2025-01-02T03:04:05.000Z',
+        deletedAt: null
+    };
+    const body = '# Heading\n\n---\nNot front matter';
+
+    const parsed = parseFrontMatter(toFrontMatter(data) + body);
+
+    const { deletedAt, ...written } = data;
+    assert.deepEqual(parsed.data, written);
+    assert.equal(parsed.body, body);
+});
+
+test('front matter reads YAML lists, quoted and plain scalars', () => {
+    const { data, body } = parseFrontMatter("---\ntitle: 'It''s here'\ncount: 3\nflag: false\ntags:\n  - one\n  - two\nempty:\n---\nBody");
+
+    assert.deepEqual(data, { title: "It's here", count: 3, flag: false, tags: ['one', 'two'], empty: null });
+    assert.equal(body, 'Body');
+    assert.deepEqual(parseFrontMatter('No front matter'), { data: {}, body: 'No front matter' });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for the ZIP writer and reader in js/zip.js
+ * Run with: node --test test/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../js/zip.js';
+
+const decoder = new TextDecoder();
+
+const FILES = [
+    { name: 'team/docs/Release notes.md', content: '---\ntitle: Release notes\n---\nSummarize {{changes}}\n' },
+    { name: 'Ünïcödé – 日本.md', content: 'Grüße 👋' },
+    { name: 'empty.md', content: '' },
+    { name: 'bytes.bin', content: new Uint8Array([0, 255, 1, 254, 10, 13]) }
+];
+
+test('createZip and readZip round-trip names, folders and contents', async () => {
+    const files = await readZip(createZip(FILES));
+
+    assert.deepEqual(files.map(file => file.name), FILES.map(file => file.name));
+    files.forEach((file, index) => {
+        const expected = FILES[index].content;
+        assert.deepEqual(file.content, typeof expected === 'string' ? new TextEncoder().encode(expected) : expected, file.name);
+    });
+    assert.equal(decoder.decode(files[1].content), 'Grüße 👋');
+});
+
+test('readZip accepts an ArrayBuffer and inflates deflated entries', async () => {
+    const text = 'Deflated {{content}} '.repeat(50);
+    const archive = createZip([{ name: 'deflated.md', content: text }]);
+    const stored = archive.slice();
+    const view = new DataView(stored.buffer);
+
+    // Turn the stored entry into a deflated one: method 8, new sizes, same CRC
+    const nameLength = view.getUint16(26, true);
+    const compressed = deflateRawSync(new TextEncoder().encode(text));
+    const dataStart = 30 + nameLength;
+    const central = archive.subarray(dataStart + text.length);
+    const deflated = new Uint8Array(dataStart + compressed.length + central.length);
+    deflated.set(archive.subarray(0, dataStart));
+    deflated.set(compressed, dataStart);
+    deflated.set(central, dataStart + compressed.length);
+
+    const out = new DataView(deflated.buffer);
+    const centralStart = dataStart + compressed.length;
+    out.setUint16(8, 8, true);
+    out.setUint32(18, compressed.length, true);
+    out.setUint16(centralStart + 10, 8, true);
+    out.setUint32(centralStart + 20, compressed.length, true);
+    const end = deflated.length - 22;
+    out.setUint32(end + 16, centralStart, true);
+
+    const [file] = await readZip(deflated.buffer);
+    assert.equal(decoder.decode(file.content), text);
+});
+
+test('readZip rejects files that are not ZIP archives or are damaged', async () => {
+    await assert.rejects(readZip(new TextEncoder().encode('just text')), /Not a ZIP archive/);
+
+    const archive = createZip([{ name: 'a.md', content: 'hello' }]);
+    archive[30 + 'a.md'.length] ^= 0xFF;
+    await assert.rejects(readZip(archive), /"a\.md" is damaged \(checksum mismatch\)/);
+});